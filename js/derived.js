@@ -0,0 +1,51 @@
+/**
+ * KeyVault derived datasets — loader for the precomputed files in
+ * data/derived/ (built by scripts/build-derived.js).
+ *
+ * Browser:  <script src="js/derived.js"></script>  →  window.KVDerived
+ *           const rolling = await KVDerived.load('nav-rolling', { version: 1 });
+ * Node:     const KVDerived = require('../js/derived');
+ *
+ * load() resolves to the file's `data`, or null when the file is missing,
+ * unreadable or built at a different version than the page understands —
+ * callers then compute the numbers themselves, so a stale or absent build
+ * never breaks a page. Dataset shapes are documented in scripts/lib/derived.js.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.KVDerived = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const BASE_URL = 'data/derived/';
+
+    /** Envelope's data if it is `name` at `version`, else null. */
+    function unwrap(envelope, name, version) {
+        if (!envelope || envelope.dataset !== name || !envelope.data) return null;
+        if (version !== undefined && envelope.version !== version) return null;
+        return envelope.data;
+    }
+
+    /**
+     * Fetch data/derived/<name>.json; `base` is relative to the page, so
+     * slides pass '../data/derived/'.
+     */
+    async function load(name, { version, base = BASE_URL } = {}) {
+        try {
+            const res = await fetch(`${base}${name}.json?t=${Date.now()}`);
+            if (!res.ok) return null;
+            const data = unwrap(await res.json(), name, version);
+            if (!data) console.warn(`[KVDerived] ${name}: no v${version} build, computing live`);
+            return data;
+        } catch (error) {
+            console.warn(`[KVDerived] ${name}: ${error.message}`);
+            return null;
+        }
+    }
+
+    return {
+        BASE_URL,
+        unwrap,
+        load
+    };
+});
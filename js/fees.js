@@ -0,0 +1,295 @@
+/**
+ * KeyVault fee engine — every calculator and dashboard turns gross returns
+ * into investor net returns through this module, driven by
+ * config/fee-terms.json.
+ *
+ * Browser:  <script src="js/fees.js"></script>  →  window.KVFees
+ *           const terms = await KVFees.loadTerms();          // fetches config/fee-terms.json
+ * Node:     const KVFees = require('../js/fees');
+ *           const terms = KVFees.loadTerms();                // reads it synchronously
+ *
+ * Two layers:
+ *   strategy manager (Prime) — perfPct of strategy gross gains, part of
+ *     which is rebated to KV (rebatePct) and optionally passed to investors.
+ *     Vault share prices are already net of this layer ("KV gross").
+ *   KV fund — management fee, then a performance fee on gains that clear
+ *     the hurdle (soft: whole gain, hard: gain above it) and the high-water
+ *     mark; gains above the kicker threshold pay kickerPct instead of basePct
+ *     (all of them if kickerRetroactive).
+ *
+ * Annual rates in the terms are pro-rated to the period being charged, so a
+ * quarter uses a quarter of the hurdle, kicker threshold and management fee.
+ * Returns are fractions (0.05 = 5%).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(() => require('../config/fee-terms.json'));
+    } else {
+        root.KVFees = factory(null);
+    }
+})(typeof self !== 'undefined' ? self : this, function (readBundledTerms) {
+    'use strict';
+
+    const TERMS_URL = 'config/fee-terms.json';
+
+    // ── Terms ─────────────────────────────────────────────────────────────
+    /**
+     * Node: the parsed config (synchronous). Browser: a promise of it,
+     * fetched from `url` (relative to the page, so slides pass '../config/...').
+     * Rejects with a message fit to show the reader: pages have no fee
+     * terms of their own to fall back on.
+     */
+    function loadTerms(url = TERMS_URL) {
+        if (readBundledTerms) return readBundledTerms();
+        if (typeof location !== 'undefined' && location.protocol === 'file:') {
+            return Promise.reject(new Error(`Fee terms (${url}) cannot be loaded from a file:// page — serve the site over HTTP`));
+        }
+        return fetch(url, { cache: 'no-store' })
+            .catch(error => { throw new Error(`Fee terms (${url}) could not be loaded: ${error.message}`); })
+            .then(res => {
+                if (!res.ok) throw new Error(`Fee terms (${url}) could not be loaded: HTTP ${res.status}`);
+                return res.json();
+            });
+    }
+
+    /** Copy of `terms` with per-section overrides, e.g. { performanceFee: { basePct: 15 } }. */
+    function withOverrides(terms, overrides = {}) {
+        const merged = { ...terms };
+        for (const [section, values] of Object.entries(overrides)) {
+            merged[section] = { ...terms[section], ...values };
+        }
+        return merged;
+    }
+
+    /** Share of a gain the investor keeps at the base rate — for marking daily moves, where no fee crystallizes. */
+    function netShareOfGains(terms) {
+        return 1 - terms.performanceFee.basePct / 100;
+    }
+
+    // ── Strategy manager layer ────────────────────────────────────────────
+    /** Strategy gross return → KV gross return, with the manager fee and rebate it implies. */
+    function strategyLayer(strategyReturn, terms) {
+        const { perfPct, rebatePct, rebateToInvestor } = terms.strategyManager;
+        const managerFee = Math.max(0, strategyReturn) * perfPct / 100;
+        const rebate = managerFee * rebatePct / 100;
+        return {
+            strategyReturn,
+            managerFee,
+            rebate,
+            rebateToInvestor,
+            kvGrossReturn: strategyReturn - managerFee
+        };
+    }
+
+    // ── KV fund layer ─────────────────────────────────────────────────────
+    /**
+     * Charge one crystallization period.
+     *   startValue       — NAV at the start of the period (hurdle and kicker base)
+     *   grossValue       — NAV at the end before KV fees
+     *   hwm              — high-water mark carried in (defaults to startValue)
+     *   years            — length of the period in years (0.25 for a quarter)
+     *   managementBase   — what the management fee is charged on (default startValue);
+     *                      pass 0 to leave the management fee out
+     */
+    function chargePeriod({ startValue, grossValue, hwm = startValue, years, managementBase = startValue }, terms) {
+        const perf = terms.performanceFee;
+        const mgmtFee = managementBase * terms.managementFee.annualPct / 100 * years;
+        const afterMgmt = grossValue - mgmtFee;
+        const gain = afterMgmt - startValue;
+
+        const hurdleAmount = startValue * perf.hurdleAnnualPct / 100 * years;
+        const hurdleMet = gain > hurdleAmount;
+        const pastHurdle = perf.hurdleType === 'hard' ? Math.max(0, gain - hurdleAmount) : (hurdleMet ? gain : 0);
+        const aboveHWM = perf.highWaterMark ? Math.max(0, afterMgmt - hwm) : Math.max(0, gain);
+        const eligible = Math.min(pastHurdle, aboveHWM);
+
+        const kickerThreshold = startValue * perf.kickerThresholdAnnualPct / 100 * years;
+        const kickerEligible = perf.kickerRetroactive
+            ? (gain > kickerThreshold ? eligible : 0)
+            : Math.max(0, Math.min(gain - kickerThreshold, eligible));
+        const baseFee = (eligible - kickerEligible) * perf.basePct / 100;
+        const kickerFee = kickerEligible * perf.kickerPct / 100;
+        const perfFee = baseFee + kickerFee;
+
+        return {
+            mgmtFee,
+            afterMgmt,
+            gain,
+            hurdleAmount,
+            hurdleMet,
+            aboveHWM,
+            eligible,
+            kickerThreshold,
+            kickerEligible,
+            baseFee,
+            kickerFee,
+            perfFee,
+            hasKicker: kickerEligible > 0,
+            endValue: afterMgmt - perfFee
+        };
+    }
+
+    /**
+     * Investor net return for a gross return earned over `days`, charged as a
+     * single period from a fresh high-water mark.
+     *   from: 'kv' (default) — `grossReturn` is KV gross (e.g. a share-price return)
+     *         'strategy'     — it is strategy gross; the manager layer is applied first
+     *   managementFee        — include the management fee (default false: dashboards
+     *                          show performance net of performance fees)
+     */
+    function netReturn(grossReturn, days, terms, { from = 'kv', managementFee = false } = {}) {
+        if (!Number.isFinite(grossReturn) || !(days > 0)) return null;
+        const strategy = from === 'strategy' ? strategyLayer(grossReturn, terms) : null;
+        const kvGross = strategy ? strategy.kvGrossReturn : grossReturn;
+        const period = chargePeriod({
+            startValue: 1,
+            grossValue: 1 + kvGross,
+            years: days / 365,
+            managementBase: managementFee ? 1 : 0
+        }, terms);
+        const passedRebate = strategy && strategy.rebateToInvestor
+            ? strategy.rebate * netShareOfGains(terms)
+            : 0;
+        return period.endValue - 1 + passedRebate;
+    }
+
+    /** netReturn of a year at `grossApy` — the net APY for a gross APY. */
+    function netApy(grossApy, terms, options) {
+        return netReturn(grossApy, 365, terms, options);
+    }
+
+    /**
+     * Period-by-period fund simulation with crystallization, HWM and optional
+     * distributions.
+     *   periodReturns   — KV gross return of each period
+     *   initial         — starting NAV
+     *   distributionPct — share of each profitable period's net profit paid out
+     *                     (the HWM drops by the amount paid)
+     * Returns { endValue, grossValue, totalMgmt, totalPerf, cumDist, totalValue, rows }.
+     */
+    function simulate(periodReturns, terms, { initial = 1, distributionPct = 0 } = {}) {
+        const years = 1 / terms.performanceFee.crystallizationsPerYear;
+        let value = initial;
+        let hwm = initial;
+        let grossValue = initial;
+        let totalMgmt = 0;
+        let totalPerf = 0;
+        let cumDist = 0;
+        const rows = [];
+
+        periodReturns.forEach((periodReturn, i) => {
+            const startValue = value;
+            const charged = chargePeriod({ startValue, grossValue: startValue * (1 + periodReturn), hwm, years }, terms);
+
+            const netProfit = charged.endValue - startValue;
+            const distAmount = netProfit > 0 ? netProfit * distributionPct : 0;
+            value = charged.endValue - distAmount;
+            hwm = Math.max(hwm, charged.endValue) - distAmount;
+
+            grossValue *= 1 + periodReturn;
+            totalMgmt += charged.mgmtFee;
+            totalPerf += charged.perfFee;
+            cumDist += distAmount;
+
+            rows.push({
+                period: i + 1,
+                startValue,
+                grossReturn: periodReturn,
+                grossGain: startValue * periodReturn,
+                ...charged,
+                distAmount,
+                endValue: value,
+                hwm,
+                cumDist,
+                totalValue: value + cumDist
+            });
+        });
+
+        return { endValue: value, grossValue, totalMgmt, totalPerf, cumDist, totalValue: value + cumDist, rows };
+    }
+
+    /**
+     * One year of fund economics on `initial` at a strategy gross APY — the
+     * investor's net result and what KV earns.
+     *   managementBasis — 'initial' (fee on committed capital) or 'nav'
+     *                     (on each quarter's opening NAV); defaults to the terms
+     *   cogs            — KV operating costs for the year
+     * The management fee is taken off the deposit before it is deployed.
+     */
+    function annualWaterfall({ initial, strategyGrossApy, managementBasis = null, cogs = 0 }, terms) {
+        const basis = managementBasis || terms.managementFee.basis;
+        const quarters = terms.performanceFee.crystallizationsPerYear;
+        const quarterlyMgmtRate = terms.managementFee.annualPct / 100 / quarters;
+
+        const strategy = strategyLayer(strategyGrossApy, terms);
+        const quarterlyNavGrowth = Math.pow(1 + strategy.kvGrossReturn, 1 / quarters) - 1;
+        const mgmtDetail = [];
+        let nav = initial;
+        for (let q = 1; q <= quarters; q++) {
+            const base = basis === 'nav' ? nav : initial;
+            mgmtDetail.push({ q, base, fee: base * quarterlyMgmtRate });
+            nav *= 1 + quarterlyNavGrowth;
+        }
+        const mgmtFee = mgmtDetail.reduce((sum, q) => sum + q.fee, 0);
+        const netCapital = initial - mgmtFee;
+
+        const strategyGrossProfit = netCapital * strategyGrossApy;
+        const managerFee = netCapital * strategy.managerFee;
+        const rebate = netCapital * strategy.rebate;
+        const kvGrossProfit = netCapital * strategy.kvGrossReturn;
+
+        const kv = chargePeriod({
+            startValue: netCapital,
+            grossValue: netCapital + kvGrossProfit,
+            years: 1,
+            managementBase: 0
+        }, terms);
+
+        const rebateKvFee = strategy.rebateToInvestor ? rebate * terms.performanceFee.basePct / 100 : 0;
+        const rebateToInvestors = strategy.rebateToInvestor ? rebate - rebateKvFee : 0;
+        const netFinalValue = kv.endValue + rebateToInvestors;
+        const investorReturn = netFinalValue - netCapital;
+        const rebateKept = strategy.rebateToInvestor ? rebateKvFee : rebate;
+
+        return {
+            initial,
+            mgmtFee,
+            mgmtDetail,
+            managementBasis: basis,
+            netCapital,
+            strategyGrossApy,
+            strategyGrossProfit,
+            managerFee,
+            rebate,
+            kvGrossProfit,
+            kvGrossApy: strategy.kvGrossReturn,
+            kickerThresholdProfit: kv.kickerThreshold,
+            outperformance: kvGrossProfit - kv.kickerThreshold,
+            hurdleMet: kv.hurdleMet,
+            baseFee: kv.baseFee,
+            kickerFee: kv.kickerFee,
+            perfFee: kv.perfFee,
+            effectivePerfPct: kvGrossProfit > 0 ? kv.perfFee / kvGrossProfit * 100 : 0,
+            rebateKvFee,
+            rebateToInvestors,
+            valueAfterGross: netCapital + kvGrossProfit,
+            netFinalValue,
+            investorReturn,
+            investorNetApy: investorReturn / initial,
+            kvProfit: mgmtFee + kv.perfFee + rebateKept - cogs
+        };
+    }
+
+    return {
+        TERMS_URL,
+        loadTerms,
+        withOverrides,
+        netShareOfGains,
+        strategyLayer,
+        chargePeriod,
+        netReturn,
+        netApy,
+        simulate,
+        annualWaterfall
+    };
+});
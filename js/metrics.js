@@ -0,0 +1,413 @@
+/**
+ * KeyVault performance metrics — the one implementation every dashboard,
+ * slide and script uses.
+ *
+ * Browser:  <script src="js/metrics.js"></script>  →  window.KVMetrics
+ * Node:     const KVMetrics = require('../js/metrics');
+ *
+ * Conventions:
+ *   - A series is [{ date: 'YYYY-MM-DD', value }] sorted by date, where value
+ *     is a price or growth index (share price, 1 + cumulative return...).
+ *     fromCumulativePercent() turns a cumulative-ROI-% series into one.
+ *   - Returns are fractions (0.05 = 5%); pages format them as percentages.
+ *   - Days are calendar days between dates, not record counts.
+ *   - Annualization is explicit: 'compound' ((1 + r)^(365/d) - 1, i.e. CAGR)
+ *     or 'simple' (r × 365/d). Windows shorter than minAnnualizeDays
+ *     (default 30) are not annualized at all — `annualized` is null and
+ *     `isShortPeriod` true (audit H6: a good week is not a 26% APY).
+ *   - Sharpe / Sortino use daily returns, a 5% risk-free rate and 365
+ *     periods per year unless told otherwise.
+ *   - With investor flows, twr is the share-price experience chain-linked
+ *     across flow dates and mwr the XIRR of the flows — what the investor's
+ *     money actually earned, timing included.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.KVMetrics = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DAY_MS = 86400000;
+    const DEFAULTS = {
+        riskFreeRate: 0.05,
+        periodsPerYear: 365,
+        minAnnualizeDays: 30,
+        method: 'compound'
+    };
+
+    // ── Dates ─────────────────────────────────────────────────────────────
+    function dateAtNoon(date) {
+        return new Date(`${date}T12:00:00Z`);
+    }
+
+    /** Calendar days from startDate to endDate (YYYY-MM-DD). */
+    function daysBetween(startDate, endDate) {
+        return Math.round((dateAtNoon(endDate) - dateAtNoon(startDate)) / DAY_MS);
+    }
+
+    function shiftDate(date, days) {
+        return new Date(dateAtNoon(date).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    // ── Series helpers ────────────────────────────────────────────────────
+    /** [{ date, value: cumulative ROI % }] → growth index series (1 + roi/100). */
+    function fromCumulativePercent(points) {
+        return points.map(point => ({ date: point.date, value: 1 + point.value / 100 }));
+    }
+
+    /** Simple return from the first to the last point of `series`. */
+    function totalReturn(series) {
+        if (series.length < 2) return 0;
+        return series[series.length - 1].value / series[0].value - 1;
+    }
+
+    /** Point-to-point returns: [{ date, return }] dated by the later point. */
+    function periodReturns(series) {
+        return series.slice(1).map((point, i) => ({
+            date: point.date,
+            return: point.value / series[i].value - 1
+        }));
+    }
+
+    function dailyReturns(series) {
+        return periodReturns(series).map(r => r.return);
+    }
+
+    function mean(values) {
+        return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    }
+
+    /** Sample standard deviation (n - 1). */
+    function stdev(values) {
+        if (values.length < 2) return 0;
+        const m = mean(values);
+        return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+    }
+
+    // ── Annualization ─────────────────────────────────────────────────────
+    /** Annualize a `days`-long period return. */
+    function annualize(periodReturn, days, { method = DEFAULTS.method } = {}) {
+        if (!(days > 0) || !Number.isFinite(periodReturn)) return null;
+        if (method === 'simple') return periodReturn * 365 / days;
+        if (method === 'compound') return Math.pow(1 + periodReturn, 365 / days) - 1;
+        throw new Error(`Unknown annualization method "${method}"`);
+    }
+
+    /** Compound annual growth rate of the whole series. */
+    function cagr(series) {
+        if (series.length < 2) return null;
+        return annualize(totalReturn(series), daysBetween(series[0].date, series[series.length - 1].date), { method: 'compound' });
+    }
+
+    // ── Risk-adjusted ratios ──────────────────────────────────────────────
+    /** Annualized Sharpe ratio of per-period `returns`. */
+    function sharpe(returns, options = {}) {
+        const { riskFreeRate, periodsPerYear } = { ...DEFAULTS, ...options };
+        const sd = stdev(returns);
+        if (!(sd > 0)) return 0;
+        return ((mean(returns) - riskFreeRate / periodsPerYear) / sd) * Math.sqrt(periodsPerYear);
+    }
+
+    /** Annualized Sortino ratio — only returns below the risk-free rate count as risk. */
+    function sortino(returns, options = {}) {
+        const { riskFreeRate, periodsPerYear } = { ...DEFAULTS, ...options };
+        const target = riskFreeRate / periodsPerYear;
+        if (returns.length === 0) return 0;
+        const downside = Math.sqrt(returns.reduce((sum, r) => sum + Math.min(0, r - target) ** 2, 0) / returns.length);
+        if (!(downside > 0)) return 0;
+        return ((mean(returns) - target) / downside) * Math.sqrt(periodsPerYear);
+    }
+
+    /**
+     * Deepest peak-to-trough fall of `series`.
+     *   maxDrawdown   — fraction, ≤ 0 (-0.0101 = -1.01%)
+     *   peakDate / troughDate / recoveryDate (null if not yet recovered)
+     *   durationDays  — peak to recovery, or to the last date if still under water
+     *   longestDurationDays — longest time under water of any drawdown
+     */
+    function maxDrawdown(series) {
+        const result = {
+            maxDrawdown: 0,
+            peakDate: series[0]?.date ?? null,
+            troughDate: series[0]?.date ?? null,
+            recoveryDate: null,
+            durationDays: 0,
+            longestDurationDays: 0
+        };
+        if (series.length === 0) return result;
+
+        let peak = series[0];
+        let episodeStart = null;
+        let worst = null;
+        for (const point of series) {
+            if (point.value >= peak.value) {
+                if (episodeStart) {
+                    result.longestDurationDays = Math.max(result.longestDurationDays, daysBetween(episodeStart.date, point.date));
+                    if (worst && worst.peak === episodeStart && worst.recoveryDate === null) worst.recoveryDate = point.date;
+                    episodeStart = null;
+                }
+                peak = point;
+                continue;
+            }
+            if (!episodeStart) episodeStart = peak;
+            const drawdown = point.value / peak.value - 1;
+            if (drawdown < result.maxDrawdown) {
+                result.maxDrawdown = drawdown;
+                worst = { peak, trough: point, recoveryDate: null };
+            }
+        }
+
+        const lastDate = series[series.length - 1].date;
+        if (episodeStart) {
+            result.longestDurationDays = Math.max(result.longestDurationDays, daysBetween(episodeStart.date, lastDate));
+        }
+        if (worst) {
+            result.peakDate = worst.peak.date;
+            result.troughDate = worst.trough.date;
+            result.recoveryDate = worst.recoveryDate;
+            result.durationDays = daysBetween(worst.peak.date, worst.recoveryDate || lastDate);
+        }
+        return result;
+    }
+
+    /** CAGR divided by the size of the max drawdown; null with no drawdown. */
+    function calmar(series) {
+        const dd = maxDrawdown(series).maxDrawdown;
+        const growth = cagr(series);
+        return dd < 0 && growth !== null ? growth / Math.abs(dd) : null;
+    }
+
+    // ── Lookback / rolling windows ────────────────────────────────────────
+    /**
+     * Return over the trailing `days` calendar days ending at the last point.
+     * Starts from the last point on or before the cutoff (or the first point
+     * if the history is shorter — then isComplete is false).
+     */
+    function lookbackReturn(series, days, options = {}) {
+        const { method, minAnnualizeDays } = { ...DEFAULTS, ...options };
+        if (series.length === 0) {
+            return {
+                requestedDays: days, days: 0, start: null, end: null, return: 0, annualized: null,
+                isComplete: false, isShortPeriod: true, availableDays: 0, daysUntilAvailable: days
+            };
+        }
+
+        const end = series[series.length - 1];
+        const cutoff = shiftDate(end.date, -days);
+        let start = series[0];
+        for (const point of series) {
+            if (point.date <= cutoff) start = point;
+        }
+
+        const actualDays = daysBetween(start.date, end.date);
+        const availableDays = daysBetween(series[0].date, end.date);
+        const periodReturn = end.value / start.value - 1;
+        const isShortPeriod = actualDays < minAnnualizeDays;
+
+        return {
+            requestedDays: days,
+            days: actualDays,
+            start,
+            end,
+            return: periodReturn,
+            annualized: isShortPeriod ? null : annualize(periodReturn, actualDays, { method }),
+            isComplete: availableDays >= days,
+            isShortPeriod,
+            availableDays,
+            daysUntilAvailable: Math.max(0, days - availableDays)
+        };
+    }
+
+    /** lookbackReturn for each of `periods` ([{ name, days }]); days: null = whole series. */
+    function rollingReturns(series, periods, options = {}) {
+        const available = series.length ? daysBetween(series[0].date, series[series.length - 1].date) : 0;
+        return periods.map(period => ({
+            name: period.name,
+            ...lookbackReturn(series, period.days ?? available, options)
+        }));
+    }
+
+    // ── Flow-adjusted returns ─────────────────────────────────────────────
+    /**
+     * Money-weighted return: the annual rate that discounts `cashFlows`
+     * ([{ date, amount }] from the investor's side — money in negative, money
+     * out and the closing value positive) to zero. null without a sign change
+     * or a root.
+     */
+    function xirr(cashFlows, { guess = 0.1 } = {}) {
+        const flows = cashFlows.filter(f => f.amount !== 0);
+        if (!flows.some(f => f.amount < 0) || !flows.some(f => f.amount > 0)) return null;
+        const t0 = flows.reduce((min, f) => (f.date < min ? f.date : min), flows[0].date);
+        const years = flows.map(f => daysBetween(t0, f.date) / 365);
+        const npv = rate => flows.reduce((sum, f, i) => sum + f.amount / Math.pow(1 + rate, years[i]), 0);
+        const slope = rate => flows.reduce((sum, f, i) => sum - years[i] * f.amount / Math.pow(1 + rate, years[i] + 1), 0);
+
+        let rate = guess;
+        for (let i = 0; i < 50; i++) {
+            const value = npv(rate);
+            const d = slope(rate);
+            if (!(Math.abs(d) > 0)) break;
+            const next = rate - value / d;
+            if (!Number.isFinite(next) || next <= -1) break;
+            if (Math.abs(next - rate) < 1e-10) return next;
+            rate = next;
+        }
+
+        // Newton wandered off: bisect, widening the upper bound until it brackets
+        let lo = -0.9999;
+        let hi = 1;
+        while (npv(lo) * npv(hi) > 0 && hi < 1e6) hi *= 10;
+        if (npv(lo) * npv(hi) > 0) return null;
+        for (let i = 0; i < 200 && hi - lo > 1e-12; i++) {
+            const mid = (lo + hi) / 2;
+            if (npv(lo) * npv(mid) <= 0) hi = mid;
+            else lo = mid;
+        }
+        return (lo + hi) / 2;
+    }
+
+    /**
+     * Time-weighted return chain-linked across flow dates.
+     * `valuations` is [{ date, value, flow }] in date order, where value is the
+     * holding just before that date's flow (positive in, negative out); the
+     * last point is the closing value. Sub-periods that start empty (fully
+     * redeemed, then re-entered) are skipped.
+     */
+    function timeWeightedReturn(valuations) {
+        const periods = [];
+        for (let i = 1; i < valuations.length; i++) {
+            const start = valuations[i - 1];
+            const invested = start.value + (start.flow || 0);
+            if (!(invested > 0)) continue;
+            periods.push({ start: start.date, end: valuations[i].date, return: valuations[i].value / invested - 1 });
+        }
+        const growth = periods.reduce((g, p) => g * (1 + p.return), 1);
+        return { return: periods.length ? growth - 1 : null, periods };
+    }
+
+    /**
+     * TWR and money-weighted return (XIRR) for an account that holds vault
+     * units, from its flows.
+     *   flows    — [{ date, amount, vault?, price? }], amount positive for a
+     *              deposit and negative for a withdrawal; price is the share
+     *              price it dealt at (else read from `prices`)
+     *   prices   — a share price series, or { <vault>: series } for flows
+     *              across several vaults
+     *   endDate  — closing date (default: the last price date)
+     *   endValue — closing value if known (e.g. read from chain); otherwise
+     *              units × the closing price
+     * Between flows each vault is valued at its series, or at the last price
+     * a flow dealt at when it has none.
+     */
+    function flowReturns({ flows, prices = [], endDate = null, endValue = null }, options = {}) {
+        const { minAnnualizeDays } = { ...DEFAULTS, ...options };
+        const seriesFor = vault => (Array.isArray(prices) ? prices : prices[vault] || []);
+        const ordered = [...flows].sort((a, b) => a.date.localeCompare(b.date));
+        if (ordered.length === 0) return null;
+
+        const units = {};
+        const lastDealt = {};
+        const priceAt = (vault, date) => {
+            let price = null;
+            for (const point of seriesFor(vault)) {
+                if (point.date > date) break;
+                price = point.value;
+            }
+            if (price === null && lastDealt[vault] && lastDealt[vault].date <= date) price = lastDealt[vault].price;
+            if (price === null) throw new Error(`No price for ${vault} on ${date}`);
+            return price;
+        };
+        const holdingValue = date => Object.entries(units).reduce((sum, [vault, u]) => sum + (u ? u * priceAt(vault, date) : 0), 0);
+
+        const valuations = [];
+        let contributions = 0;
+        let withdrawals = 0;
+        for (let i = 0; i < ordered.length;) {
+            const date = ordered[i].date;
+            const sameDay = [];
+            while (i < ordered.length && ordered[i].date === date) sameDay.push(ordered[i++]);
+
+            const value = holdingValue(date);
+            let flow = 0;
+            for (const f of sameDay) {
+                const vault = f.vault || 'default';
+                const price = f.price || priceAt(vault, date);
+                units[vault] = Math.max(0, (units[vault] || 0) + f.amount / price);
+                lastDealt[vault] = { date, price };
+                flow += f.amount;
+                if (f.amount > 0) contributions += f.amount;
+                else withdrawals -= f.amount;
+            }
+            valuations.push({ date, value, flow });
+        }
+
+        const lastPrices = Object.keys(units).map(vault => seriesFor(vault)).filter(s => s.length);
+        const closeDate = endDate
+            || lastPrices.reduce((latest, s) => (s[s.length - 1].date > latest ? s[s.length - 1].date : latest), valuations[valuations.length - 1].date);
+        const closeValue = endValue ?? holdingValue(closeDate);
+        valuations.push({ date: closeDate, value: closeValue, flow: 0 });
+
+        const twr = timeWeightedReturn(valuations);
+        const days = daysBetween(valuations[0].date, closeDate);
+        const cashFlows = ordered.map(f => ({ date: f.date, amount: -f.amount }))
+            .concat([{ date: closeDate, amount: closeValue }]);
+
+        return {
+            startDate: valuations[0].date,
+            endDate: closeDate,
+            days,
+            contributions,
+            withdrawals,
+            endValue: closeValue,
+            gain: closeValue + withdrawals - contributions,
+            twr: twr.return,
+            twrAnnualized: days < minAnnualizeDays || twr.return === null ? null : annualize(twr.return, days, { method: 'compound' }),
+            mwr: days < minAnnualizeDays ? null : xirr(cashFlows),
+            valuations
+        };
+    }
+
+    /** Headline statistics for a series, all from this module. */
+    function summarize(series, options = {}) {
+        const returns = periodReturns(series);
+        const days = series.length > 1 ? daysBetween(series[0].date, series[series.length - 1].date) : 0;
+        const total = totalReturn(series);
+        const byReturn = (a, b) => a.return - b.return;
+        return {
+            days,
+            totalReturn: total,
+            cagr: cagr(series),
+            simpleAnnualized: annualize(total, days, { method: 'simple' }),
+            sharpe: sharpe(returns.map(r => r.return), options),
+            sortino: sortino(returns.map(r => r.return), options),
+            calmar: calmar(series),
+            drawdown: maxDrawdown(series),
+            bestDay: returns.length ? [...returns].sort(byReturn)[returns.length - 1] : null,
+            worstDay: returns.length ? [...returns].sort(byReturn)[0] : null
+        };
+    }
+
+    return {
+        DEFAULTS,
+        daysBetween,
+        shiftDate,
+        fromCumulativePercent,
+        totalReturn,
+        periodReturns,
+        dailyReturns,
+        mean,
+        stdev,
+        annualize,
+        cagr,
+        sharpe,
+        sortino,
+        maxDrawdown,
+        calmar,
+        lookbackReturn,
+        rollingReturns,
+        xirr,
+        timeWeightedReturn,
+        flowReturns,
+        summarize
+    };
+});
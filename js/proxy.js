@@ -0,0 +1,57 @@
+/**
+ * KeyVault CORS proxy selection — pages fetch third-party data that lacks
+ * CORS headers through a proxy taking `?url=<encoded upstream URL>`.
+ *
+ * Browser:  <script src="js/proxy.js"></script>  →  window.KVProxy
+ *           const res = await fetch(await KVProxy.url(upstreamUrl));
+ *
+ * When the page is served by scripts/dev-server.js (detected once through
+ * /proxy/health) that server's allowlisted /proxy is used, so dashboards run
+ * locally — or offline against recorded fixtures — without the hosted
+ * worker. Everywhere else the Cloudflare worker is used. Only pages on a
+ * loopback host, or opened with ?devProxy=1 (a dev server reached over the
+ * LAN), probe for it; the deployed site never requests /proxy/health.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.KVProxy = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const WORKER_URL = 'https://keyvault.deven-m-webster.workers.dev/';
+    const LOCAL_URL = '/proxy';
+    const HEALTH_URL = '/proxy/health';
+    const DETECT_TIMEOUT_MS = 1500;
+    const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+    let detection = null;
+
+    function mayBeDevServer() {
+        if (typeof location === 'undefined') return false;
+        return LOOPBACK_HOSTS.has(location.hostname) || new URLSearchParams(location.search).get('devProxy') === '1';
+    }
+
+    /** Promise of true when the page is served by scripts/dev-server.js. */
+    function isLocal() {
+        if (!detection && !mayBeDevServer()) detection = Promise.resolve(false);
+        if (!detection) {
+            detection = fetch(HEALTH_URL, { cache: 'no-store', signal: AbortSignal.timeout(DETECT_TIMEOUT_MS) })
+                .then(res => (res.ok ? res.json() : null))
+                .then(health => Boolean(health && health.server === 'kv-dev-server'))
+                .catch(() => false);
+        }
+        return detection;
+    }
+
+    /** Proxied URL for `target` on whichever proxy is available. */
+    async function url(target) {
+        const base = (await isLocal()) ? LOCAL_URL : WORKER_URL;
+        return `${base}?url=${encodeURIComponent(target)}`;
+    }
+
+    return {
+        WORKER_URL,
+        isLocal,
+        url
+    };
+});
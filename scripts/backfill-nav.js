@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+/**
+ * Backfill missing days in data/official-nav-history.json.
+ *
+ * Finds calendar dates with no record and reconstructs the public Drift
+ * vault's share price at the stamp time (5 PM ET, from config/vaults.json):
+ *
+ *   1. vault state — vault equity / totalShares at a slot within
+ *      STATE_WINDOW_SECONDS of the target slot. Read live for today's stamp
+ *      when the run is at most STATE_WINDOW_SECONDS past it (the stamp just
+ *      failed or timed out), otherwise taken from the vault program's
+ *      VaultDepositorRecord events, which log the vault equity and total
+ *      shares as they were at that slot.
+ *        source: 'backfill-vault-state', confidence: 'high' (≤ 1h) | 'medium'
+ *   2. deposit/withdraw events — when no state is close enough, interpolate
+ *      the share price between the nearest events on either side (or carry
+ *      the nearest one if only one side exists within MAX_EVENT_GAP_DAYS).
+ *        source: 'backfill-vault-events', confidence: 'low'
+ *
+ * Existing records are never overwritten, and dates with a stamp pending in
+ * data/nav-quarantine.json are left for review. Every reconstructed record
+ * goes through the same anomaly checks as the daily stamp
+ * (lib/nav-checks.js); one that fails is quarantined instead of written. Dashboards can flag backfilled
+ * points by their `confidence` field (absent on normal stamps).
+ *
+ * Usage:
+ *   node scripts/backfill-nav.js                         # whole history up to yesterday (ET),
+ *                                                        # or today within STATE_WINDOW_SECONDS of its stamp time
+ *   node scripts/backfill-nav.js --days 14               # only the last 14 days
+ *   node scripts/backfill-nav.js --from 2026-03-01 --to 2026-03-31
+ *   node scripts/backfill-nav.js --dry-run               # report, write nothing
+ *
+ * Exit code is the number of gaps that could not be filled or were
+ * quarantined.
+ */
+
+const { NAV_FILE, loadNavHistory, saveNavHistory } = require('./lib/nav-history');
+const { getVault } = require('./lib/vault-registry');
+const { readVault } = require('./lib/vault-adapters');
+const { resolveRpcUrl, findSlotAtTime } = require('./lib/rpc');
+const { notify } = require('./lib/notifier');
+const { readDataFile } = require('./lib/data-store');
+const { runNavChecks } = require('./lib/nav-checks');
+const { loadQuarantine, quarantineRecord } = require('./lib/nav-quarantine');
+
+const VAULT_ID = 'drift-public';
+const STATE_WINDOW_SECONDS = 3 * 3600;
+const HIGH_CONFIDENCE_SECONDS = 3600;
+const MAX_EVENT_GAP_DAYS = 7;
+const PRECISION = 1_000_000; // equity and shares, as in the drift adapter
+const DAY_MS = 86_400_000;
+const ALERT = { source: 'navBackfill', label: 'Official NAV backfill' };
+
+// ── Dates ─────────────────────────────────────────────────────────────────────
+function localDate(date, timeZone) {
+  return date.toLocaleDateString('en-CA', { timeZone });
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// `hour`:00 local time on `date` in `timeZone`, as a UTC Date (DST-aware)
+function zonedTime(date, hour, timeZone) {
+  const guess = new Date(`${date}T${String(hour).padStart(2, '0')}:00:00Z`);
+  const asLocal = new Date(guess.toLocaleString('en-US', { timeZone }));
+  const asUtc = new Date(guess.toLocaleString('en-US', { timeZone: 'UTC' }));
+  return new Date(guess.getTime() + (asUtc - asLocal));
+}
+
+/**
+ * Last date a run at `now` backfills by default: today (vault timezone) from
+ * the stamp time until STATE_WINDOW_SECONDS after it, while the vault can
+ * still be read live for it; yesterday otherwise.
+ */
+function defaultEndDate(vault, now = new Date()) {
+  const today = localDate(now, vault.timezone);
+  const sinceStamp = (now.getTime() - zonedTime(today, vault.stampHour, vault.timezone).getTime()) / 1000;
+  return sinceStamp >= 0 && sinceStamp <= STATE_WINDOW_SECONDS ? today : addDays(today, -1);
+}
+
+function findGaps(history, { from, to }) {
+  const have = new Set(history.map(r => r.date));
+  const gaps = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (!have.has(date)) gaps.push(date);
+  }
+  return gaps;
+}
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : undefined;
+}
+
+// ── On-chain history ──────────────────────────────────────────────────────────
+function loadSdk() {
+  const { Connection, PublicKey, Keypair } = require('@solana/web3.js');
+  const { Wallet, EventParser } = require('@coral-xyz/anchor');
+  const { getDriftVaultProgram } = require('@drift-labs/vaults-sdk');
+  return { Connection, PublicKey, Keypair, Wallet, EventParser, getDriftVaultProgram };
+}
+
+// Every successful vault transaction back to `sinceSeconds`, newest first.
+async function listVaultSignatures(connection, vaultPubkey, sinceSeconds) {
+  const signatures = [];
+  let before;
+  for (;;) {
+    const page = await connection.getSignaturesForAddress(vaultPubkey, { before, limit: 1000 }, 'confirmed');
+    signatures.push(...page.filter(s => !s.err));
+    if (page.length < 1000 || page[page.length - 1].blockTime < sinceSeconds) break;
+    before = page[page.length - 1].signature;
+  }
+  return signatures.filter(s => s.blockTime >= sinceSeconds);
+}
+
+/**
+ * Vault equity / total shares points from VaultDepositorRecord events.
+ * Each point is the vault as it stood at that slot, before the action.
+ */
+async function loadVaultStatePoints(ctx, signatures) {
+  const points = [];
+  for (const sig of signatures) {
+    const tx = await ctx.connection.getTransaction(sig.signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0,
+    });
+    const logs = tx?.meta?.logMessages;
+    if (!logs) continue;
+
+    for (const event of ctx.eventParser.parseLogs(logs)) {
+      if (event.name !== 'VaultDepositorRecord') continue;
+      if (event.data.vault.toBase58() !== ctx.vaultAddress) continue;
+      const equity = event.data.vaultEquityBefore.toNumber() / PRECISION;
+      const shares = event.data.totalVaultSharesBefore.toNumber() / PRECISION;
+      if (shares <= 0) continue; // first deposit into an empty vault
+      points.push({
+        slot: sig.slot,
+        time: sig.blockTime,
+        action: Object.keys(event.data.action)[0],
+        equity,
+        shares,
+        sharePrice: equity / shares,
+      });
+    }
+  }
+  return points.sort((a, b) => a.slot - b.slot);
+}
+
+// ── Reconstruction ────────────────────────────────────────────────────────────
+function confidenceFor(secondsOff) {
+  return secondsOff <= HIGH_CONFIDENCE_SECONDS ? 'high' : 'medium';
+}
+
+function fromVaultState(target, points) {
+  const nearest = points
+    .map(p => ({ ...p, off: Math.abs(p.time - target.seconds) }))
+    .filter(p => p.off <= STATE_WINDOW_SECONDS)
+    .sort((a, b) => Math.abs(a.slot - target.slot) - Math.abs(b.slot - target.slot))[0];
+  if (!nearest) return null;
+
+  return {
+    SharePrice: nearest.sharePrice,
+    totalShares: nearest.shares,
+    slot: nearest.slot,
+    source: 'backfill-vault-state',
+    confidence: confidenceFor(nearest.off),
+  };
+}
+
+function fromDepositWithdrawEvents(target, points) {
+  const maxGap = MAX_EVENT_GAP_DAYS * 86_400;
+  const before = points.filter(p => p.time <= target.seconds && target.seconds - p.time <= maxGap).pop();
+  const after = points.find(p => p.time > target.seconds && p.time - target.seconds <= maxGap);
+  if (!before && !after) return null;
+
+  let sharePrice = (before || after).sharePrice;
+  if (before && after) {
+    const weight = (target.seconds - before.time) / (after.time - before.time);
+    sharePrice = before.sharePrice + (after.sharePrice - before.sharePrice) * weight;
+  }
+
+  return {
+    SharePrice: sharePrice,
+    totalShares: (before || after).shares,
+    slot: target.slot,
+    source: 'backfill-vault-events',
+    confidence: 'low',
+  };
+}
+
+async function reconstruct(ctx, date) {
+  const at = zonedTime(date, ctx.vault.stampHour, ctx.vault.timezone);
+  const target = { date, at, seconds: Math.floor(at.getTime() / 1000) };
+  target.slot = await findSlotAtTime(ctx.connection, target.seconds);
+
+  // Today's stamp time just passed without a stamp (e.g. it timed out): read live
+  const liveOff = Date.now() / 1000 - target.seconds;
+  if (liveOff >= 0 && liveOff <= STATE_WINDOW_SECONDS) {
+    const nav = await readVault(ctx.vault);
+    return {
+      target,
+      record: {
+        SharePrice: nav.sharePrice,
+        totalShares: nav.shares,
+        slot: nav.slot,
+        source: 'backfill-vault-state',
+        confidence: confidenceFor(liveOff),
+      },
+    };
+  }
+
+  return { target, record: fromVaultState(target, ctx.points) || fromDepositWithdrawEvents(target, ctx.points) };
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+async function main() {
+  const vault = getVault(VAULT_ID);
+  const dryRun = process.argv.includes('--dry-run');
+  const history = loadNavHistory();
+  if (history.length === 0) throw new Error(`${NAV_FILE} is empty — nothing to backfill against`);
+
+  const yesterday = addDays(localDate(new Date(), vault.timezone), -1);
+  const days = argValue('--days');
+  const from = argValue('--from') || (days ? addDays(yesterday, 1 - Number(days)) : history[0].date);
+  const to = argValue('--to') || defaultEndDate(vault);
+  // Quarantined stamps await review — backfilling them would bypass it
+  const held = new Set(loadQuarantine().pending.map(p => p.date));
+  const gaps = findGaps(history, { from: from < history[0].date ? history[0].date : from, to })
+    .filter(date => !held.has(date));
+
+  if (gaps.length === 0) {
+    console.log(`[NAV Backfill] No gaps between ${from} and ${to}.`);
+    return 0;
+  }
+  console.log(`[NAV Backfill] ${gaps.length} missing day(s): ${gaps.join(', ')}`);
+
+  const sdk = loadSdk();
+  const connection = new sdk.Connection(resolveRpcUrl(), 'confirmed');
+  const program = sdk.getDriftVaultProgram(connection, new sdk.Wallet(sdk.Keypair.generate()));
+  const vaultPubkey = new sdk.PublicKey(vault.address);
+
+  // One signature scan covers every gap: back to the earliest gap's event window
+  const earliest = zonedTime(gaps[0], vault.stampHour, vault.timezone).getTime() / 1000;
+  const signatures = await listVaultSignatures(connection, vaultPubkey, earliest - MAX_EVENT_GAP_DAYS * 86_400);
+  const ctx = {
+    vault,
+    connection,
+    vaultAddress: vault.address,
+    eventParser: new sdk.EventParser(program.programId, program.coder),
+  };
+  ctx.points = await loadVaultStatePoints(ctx, signatures);
+  console.log(`[NAV Backfill] ${signatures.length} vault transaction(s), ${ctx.points.length} deposit/withdraw record(s)`);
+
+  const backfilledAt = new Date().toISOString();
+  const withdrawals = readDataFile('investor-flows.json', {})?.withdrawals || [];
+  const added = [];
+  const quarantined = [];
+  let unfilled = 0;
+  for (const date of gaps) {
+    const { target, record } = await reconstruct(ctx, date);
+    if (!record) {
+      unfilled++;
+      console.warn(`[NAV Backfill] ⚠️ ${date}: no vault state or deposit/withdraw events within ${MAX_EVENT_GAP_DAYS} days — left empty`);
+      continue;
+    }
+    const candidate = { date, timestamp: target.at.toISOString(), ...record, backfilledAt };
+    console.log(`[NAV Backfill] ${date}: $${record.SharePrice.toFixed(6)} (${record.source}, ${record.confidence} confidence, slot ${record.slot})`);
+
+    // Gaps run oldest first, so each is checked against the ones filled before it
+    const verdict = runNavChecks(candidate, [...history, ...added], { withdrawals });
+    if (!verdict.ok) {
+      quarantined.push({ date, reasons: verdict.reasons });
+      console.warn(`[NAV Backfill] ⚠️ ${date}: failed checks — ${verdict.reasons.join('; ')}`);
+      if (!dryRun) quarantineRecord(candidate, verdict);
+      continue;
+    }
+    added.push(candidate);
+  }
+
+  if (added.length > 0 && !dryRun) {
+    const next = [...history, ...added].sort((a, b) => a.date.localeCompare(b.date));
+    saveNavHistory(next);
+    console.log(`[NAV Backfill] Added ${added.length} record(s) to data/${NAV_FILE}`);
+  } else if (dryRun) {
+    console.log('[NAV Backfill] Dry run — nothing written');
+  }
+  if (quarantined.length > 0 && !dryRun) {
+    await notify('deviation', {
+      ...ALERT,
+      lines: [
+        `${quarantined.length} backfilled record(s) were quarantined and NOT published:`,
+        ...quarantined.map(q => `• ${q.date}: ${q.reasons.join('; ')}`),
+        '',
+        'Review: `node scripts/nav-quarantine.js`',
+      ],
+    });
+  }
+  if (unfilled > 0) {
+    await notify('failure', {
+      ...ALERT,
+      error: `${unfilled} of ${gaps.length} missing day(s) could not be reconstructed`,
+      impact: 'Those dates stay missing from official-nav-history.json.',
+    });
+  }
+  return unfilled + quarantined.length;
+}
+
+if (require.main === module) {
+  main()
+    // Drift's WebSocket subscription (live read) keeps the event loop alive
+    .then(missing => process.exit(missing))
+    .catch(async e => {
+      console.error(`[NAV Backfill] FATAL: ${e.message}`);
+      await notify('failure', { ...ALERT, error: e.message, hint: 'node scripts/backfill-nav.js --dry-run' });
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  zonedTime,
+  defaultEndDate,
+  findGaps,
+  fromVaultState,
+  fromDepositWithdrawEvents,
+};
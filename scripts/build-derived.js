@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Build the derived datasets in data/derived/ (see scripts/lib/derived.js).
+ *
+ * A dataset is rebuilt when its version or any input's hash differs from
+ * data/derived/manifest.json, so a run with nothing new rewrites nothing.
+ * The manifest records, per file:
+ *
+ *   { version, generatedAt, sha256, bytes, inputs: { <repo path>: sha256 | null } }
+ *
+ * (null = the input file was missing when it was built). A dataset whose
+ * `required` inputs are missing is not built, and leaves the manifest.
+ *
+ * Usage:
+ *   node scripts/build-derived.js                    # rebuild what is stale
+ *   node scripts/build-derived.js --force            # rebuild everything
+ *   node scripts/build-derived.js --only nav-rolling.json,jlp-weekly.json
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const KVFees = require('../js/fees');
+const { dataPath, readDataFile, writeDataFile } = require('./lib/data-store');
+const { NAV_FILE, loadNavHistory } = require('./lib/nav-history');
+const { DATASETS } = require('./lib/derived');
+
+const MANIFEST_FILE = 'derived/manifest.json';
+const MANIFEST_VERSION = 1;
+const REPO_DIR = path.join(__dirname, '..');
+const FEE_TERMS_PATH = path.join(REPO_DIR, 'config', 'fee-terms.json');
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : undefined;
+}
+
+function sha256(filePath) {
+  try {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+  } catch {
+    return null;
+  }
+}
+
+function repoPath(filePath) {
+  return path.relative(REPO_DIR, filePath).split(path.sep).join('/');
+}
+
+function inputHashes(dataset) {
+  const hashes = {};
+  for (const file of Object.values(dataset.inputs)) hashes[repoPath(dataPath(file))] = sha256(dataPath(file));
+  if (dataset.feeTerms) hashes[repoPath(FEE_TERMS_PATH)] = sha256(FEE_TERMS_PATH);
+  return hashes;
+}
+
+function isStale(dataset, entry, hashes) {
+  if (!entry || entry.version !== dataset.version) return true;
+  if (!fs.existsSync(dataPath(`derived/${dataset.file}`))) return true;
+  return JSON.stringify(entry.inputs) !== JSON.stringify(hashes);
+}
+
+function loadInputs(dataset) {
+  const inputs = {};
+  for (const [name, file] of Object.entries(dataset.inputs)) {
+    // Same-day duplicate stamps are dropped the way every NAV reader does
+    inputs[name] = file === NAV_FILE ? loadNavHistory() : readDataFile(file, null);
+  }
+  if (dataset.feeTerms) inputs.terms = KVFees.loadTerms();
+  return inputs;
+}
+
+function main() {
+  const force = process.argv.includes('--force');
+  const only = argValue('--only')?.split(',');
+  const unknown = (only || []).filter(file => !DATASETS.some(d => d.file === file));
+  if (unknown.length > 0) throw new Error(`Unknown dataset(s): ${unknown.join(', ')} — known: ${DATASETS.map(d => d.file).join(', ')}`);
+
+  const previous = readDataFile(MANIFEST_FILE, null);
+  const manifest = { version: MANIFEST_VERSION, generatedAt: null, files: { ...(previous?.files || {}) } };
+  let built = 0;
+  let dropped = 0;
+
+  for (const dataset of DATASETS) {
+    if (only && !only.includes(dataset.file)) continue;
+    const missing = (dataset.required || []).filter(name => !fs.existsSync(dataPath(dataset.inputs[name])));
+    if (missing.length > 0) {
+      console.log(`[Derived] ${dataset.file} skipped — no ${missing.map(name => `data/${dataset.inputs[name]}`).join(', ')}`);
+      if (manifest.files[dataset.file]) {
+        delete manifest.files[dataset.file];
+        dropped += 1;
+      }
+      continue;
+    }
+    const hashes = inputHashes(dataset);
+    if (!force && !isStale(dataset, manifest.files[dataset.file], hashes)) {
+      console.log(`[Derived] ${dataset.file} up to date`);
+      continue;
+    }
+
+    const generatedAt = new Date().toISOString();
+    const outFile = `derived/${dataset.file}`;
+    writeDataFile(outFile, {
+      dataset: dataset.file.replace(/\.json$/, ''),
+      version: dataset.version,
+      generatedAt,
+      inputs: hashes,
+      data: dataset.build(loadInputs(dataset)),
+    });
+    manifest.files[dataset.file] = {
+      version: dataset.version,
+      generatedAt,
+      sha256: sha256(dataPath(outFile)),
+      bytes: fs.statSync(dataPath(outFile)).size,
+      inputs: hashes,
+    };
+    built += 1;
+    console.log(`[Derived] ${dataset.file} v${dataset.version} — ${(manifest.files[dataset.file].bytes / 1024).toFixed(1)} KB`);
+  }
+
+  // Datasets dropped from lib/derived.js leave the manifest (their files stay until deleted)
+  for (const file of Object.keys(manifest.files)) {
+    if (!DATASETS.some(d => d.file === file)) {
+      delete manifest.files[file];
+      dropped += 1;
+    }
+  }
+  if (built > 0 || dropped > 0 || !previous) {
+    manifest.generatedAt = new Date().toISOString();
+    writeDataFile(MANIFEST_FILE, manifest);
+  }
+  console.log(`[Derived] ${built} dataset(s) rebuilt`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(`[Derived] ERROR: ${e.message}`);
+    process.exit(1);
+  }
+}
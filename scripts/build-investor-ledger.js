@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+/**
+ * Build the investor flow ledger from chain and derive wallet earnings.
+ *
+ * For every vault in config/vaults.json with an on-chain flow reader (Drift:
+ * the public vault and KV1; Voltr) and every wallet tracked in
+ * data/investor-flows.json:
+ *
+ *   1. scans the vault's transactions since the last run (cursor per vault)
+ *      and appends each tracked wallet's deposits and withdrawals to
+ *      data/investor-ledger.json — signature, date (vault timezone), amount,
+ *      shares and share price. Existing entries are never rewritten.
+ *        Drift — VaultDepositorRecord events (deposit / withdraw actions)
+ *        Voltr — the wallet's USDC and LP token balance changes
+ *   2. reads each wallet's current position (Drift vault depositor account,
+ *      Voltr LP token balance) at the live share price.
+ *   3. rewrites the wallet earnings in investor-flows.json as
+ *      value + withdrawals - deposits per vault, and the totals as their sum.
+ *
+ * Drift positions are valued before any profit share still to be charged on
+ * withdrawal. Voltr LP sitting in an open withdraw request has left the
+ * wallet but not yet paid out, so it counts as neither until claimed.
+ *
+ * The first scan of a vault covers its whole history; later ones only what
+ * is new. Transactions are read oldest first and the cursor and ledger are
+ * checkpointed every CHECKPOINT_EVERY transactions, so an interrupted run
+ * resumes where it stopped. --max-tx caps the transactions read per run
+ * across all vaults; a vault whose scan has not caught up keeps its earnings
+ * in investor-flows.json as they were until it does.
+ *
+ * Usage:
+ *   node scripts/build-investor-ledger.js [--max-tx 2000]  # scan, append, update earnings
+ *   node scripts/build-investor-ledger.js --dry-run        # report, write nothing
+ */
+
+const { loadVaults } = require('./lib/vault-registry');
+const { readVault, loadVoltrSdk } = require('./lib/vault-adapters');
+const { resolveRpcUrl } = require('./lib/rpc');
+const { notify } = require('./lib/notifier');
+const {
+  LEDGER_FILE,
+  loadLedger,
+  appendEntries,
+  saveLedger,
+  walletEarnings,
+  applyEarnings,
+  loadInvestorFlows,
+  saveInvestorFlows,
+} = require('./lib/investor-ledger');
+
+const PRECISION = 1_000_000; // Drift vault amounts and shares
+const DEFAULT_MAX_TX = 2000;
+const CHECKPOINT_EVERY = 100;
+const RECONCILE_TOLERANCE_USD = 1;
+const ALERT = { source: 'investorLedger', label: 'Investor flow ledger' };
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : undefined;
+}
+
+function localDate(unixSeconds, timeZone) {
+  return new Date(unixSeconds * 1000).toLocaleDateString('en-CA', { timeZone });
+}
+
+function entryFor(vault, sig, n, fields) {
+  return {
+    id: `${sig.signature}:${n}`,
+    signature: sig.signature,
+    slot: sig.slot,
+    timestamp: new Date(sig.blockTime * 1000).toISOString(),
+    date: localDate(sig.blockTime, vault.timezone),
+    vault: vault.id,
+    ...fields,
+  };
+}
+
+// Successful transactions touching `address` after `cursor`, oldest first.
+async function listNewSignatures(connection, address, cursor) {
+  const signatures = [];
+  let before;
+  for (;;) {
+    const page = await connection.getSignaturesForAddress(
+      address,
+      { before, until: cursor?.signature, limit: 1000 },
+      'confirmed'
+    );
+    signatures.push(...page);
+    if (page.length < 1000) break;
+    before = page[page.length - 1].signature;
+  }
+  return signatures.filter(s => !s.err && s.blockTime).reverse();
+}
+
+function getTransaction(connection, signature) {
+  return connection.getTransaction(signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 });
+}
+
+/**
+ * Read the transactions touching `address` after `vault`'s cursor, oldest
+ * first, within the run's budget: `decode(sig, meta)` returns each one's
+ * entries, appended to the ledger before the cursor moves past it.
+ * complete is false when the budget ran out first.
+ */
+async function scanVault(ctx, vault, address, decode) {
+  const signatures = await listNewSignatures(ctx.connection, address, ctx.ledger.cursors[vault.id]);
+  let added = 0;
+  let scanned = 0;
+  for (const sig of signatures) {
+    if (ctx.budget <= 0) break;
+    ctx.budget -= 1;
+    const meta = (await getTransaction(ctx.connection, sig.signature))?.meta;
+    if (meta) added += appendEntries(ctx.ledger, decode(sig, meta)).length;
+    ctx.ledger.cursors[vault.id] = { signature: sig.signature, slot: sig.slot };
+    scanned += 1;
+    ctx.sinceCheckpoint += 1;
+    if (ctx.sinceCheckpoint >= CHECKPOINT_EVERY) {
+      if (!ctx.dryRun) saveLedger(ctx.ledger);
+      ctx.sinceCheckpoint = 0;
+    }
+  }
+  return { added, scanned, remaining: signatures.length - scanned, complete: scanned === signatures.length };
+}
+
+// ── Drift ─────────────────────────────────────────────────────────────────────
+async function readDriftFlows(ctx, vault, wallets) {
+  const { PublicKey, Keypair } = require('@solana/web3.js');
+  const { Wallet, EventParser } = require('@coral-xyz/anchor');
+  const { getDriftVaultProgram, getVaultDepositorAddressSync } = require('@drift-labs/vaults-sdk');
+
+  const program = getDriftVaultProgram(ctx.connection, new Wallet(Keypair.generate()));
+  const parser = new EventParser(program.programId, program.coder);
+  const vaultPubkey = new PublicKey(vault.address);
+
+  const scan = await scanVault(ctx, vault, vaultPubkey, (sig, meta) => {
+    const entries = [];
+    if (!meta.logMessages) return entries;
+    let n = 0;
+    for (const event of parser.parseLogs(meta.logMessages)) {
+      if (event.name !== 'VaultDepositorRecord' || event.data.vault.toBase58() !== vault.address) continue;
+      const index = n++;
+      const wallet = event.data.depositorAuthority.toBase58();
+      const action = Object.keys(event.data.action)[0];
+      if (!wallets.includes(wallet) || (action !== 'deposit' && action !== 'withdraw')) continue;
+
+      const amount = event.data.amount.toNumber() / PRECISION;
+      const shares = Math.abs(event.data.vaultSharesAfter.sub(event.data.vaultSharesBefore).toNumber()) / PRECISION;
+      const totalShares = event.data.totalVaultSharesBefore.toNumber();
+      const sharePrice = totalShares > 0
+        ? event.data.vaultEquityBefore.toNumber() / totalShares
+        : (shares > 0 ? amount / shares : null); // first deposit into an empty vault
+      entries.push(entryFor(vault, sig, index, { wallet, action, amount, shares, sharePrice }));
+    }
+    return entries;
+  });
+  if (!scan.complete) return { scan };
+
+  const { sharePrice } = await readVault(vault);
+  const positions = {};
+  const onChainTotals = {};
+  for (const wallet of wallets) {
+    const depositor = await program.account.vaultDepositor.fetchNullable(
+      getVaultDepositorAddressSync(program.programId, vaultPubkey, new PublicKey(wallet))
+    );
+    if (!depositor) continue;
+    positions[wallet] = depositor.vaultShares.toNumber() / PRECISION * sharePrice;
+    onChainTotals[wallet] = {
+      deposits: depositor.totalDeposits.toNumber() / PRECISION,
+      withdrawals: depositor.totalWithdraws.toNumber() / PRECISION,
+    };
+  }
+
+  return { scan, positions, onChainTotals };
+}
+
+// ── Voltr ─────────────────────────────────────────────────────────────────────
+// Net change of `owner`'s balance of each mint in a transaction.
+function tokenDeltas(meta, owner) {
+  const deltas = {};
+  const firstIndex = {};
+  const add = (balances, sign) => {
+    for (const b of balances || []) {
+      if (b.owner !== owner) continue;
+      deltas[b.mint] = (deltas[b.mint] || 0) + sign * Number(b.uiTokenAmount.uiAmountString || 0);
+      firstIndex[b.mint] = Math.min(firstIndex[b.mint] ?? Infinity, b.accountIndex);
+    }
+  };
+  add(meta.preTokenBalances, -1);
+  add(meta.postTokenBalances, 1);
+  return { deltas, firstIndex };
+}
+
+async function readVoltrFlows(ctx, vault, wallets) {
+  const { PublicKey } = require('@solana/web3.js');
+  const { VoltrClient } = loadVoltrSdk();
+
+  const client = new VoltrClient(ctx.connection);
+  const vaultPubkey = new PublicKey(vault.address);
+  const lpMint = client.findVaultLpMint(vaultPubkey).toBase58();
+  const assetMint = (await client.fetchVaultAccount(vaultPubkey)).asset.mint.toBase58();
+
+  const scan = await scanVault(ctx, vault, vaultPubkey, (sig, meta) => {
+    const entries = [];
+    for (const wallet of wallets) {
+      const { deltas, firstIndex } = tokenDeltas(meta, wallet);
+      const assetDelta = deltas[assetMint] || 0;
+      const lpDelta = deltas[lpMint] || 0;
+      // Deposits swap USDC for LP; withdrawals pay USDC out (the LP may have
+      // left in an earlier request). LP-only moves are requests or transfers.
+      let action = null;
+      if (assetDelta < 0 && lpDelta > 0) action = 'deposit';
+      else if (assetDelta > 0 && lpDelta <= 0) action = 'withdraw';
+      if (!action) continue;
+
+      const amount = Math.abs(assetDelta);
+      const shares = Math.abs(lpDelta);
+      entries.push(entryFor(vault, sig, firstIndex[assetMint], {
+        wallet,
+        action,
+        amount,
+        shares,
+        sharePrice: shares > 0 ? amount / shares : null,
+      }));
+    }
+    return entries;
+  });
+  if (!scan.complete) return { scan };
+
+  const { sharePrice } = await readVault(vault);
+  const positions = {};
+  for (const wallet of wallets) {
+    const accounts = await ctx.connection.getParsedTokenAccountsByOwner(new PublicKey(wallet), { mint: new PublicKey(lpMint) });
+    const lp = accounts.value.reduce((sum, a) => sum + Number(a.account.data.parsed.info.tokenAmount.uiAmountString || 0), 0);
+    if (lp > 0) positions[wallet] = lp * sharePrice;
+  }
+
+  return { scan, positions, onChainTotals: null };
+}
+
+const FLOW_READERS = {
+  drift: readDriftFlows,
+  voltr: readVoltrFlows,
+};
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+// Drift depositor accounts keep lifetime totals; a gap means missed history.
+function reconcile(vault, ledger, onChainTotals) {
+  const warnings = [];
+  for (const [wallet, totals] of Object.entries(onChainTotals || {})) {
+    const entries = ledger.entries.filter(e => e.vault === vault.id && e.wallet === wallet);
+    for (const action of ['deposit', 'withdraw']) {
+      const fromLedger = entries.filter(e => e.action === action).reduce((sum, e) => sum + e.amount, 0);
+      const onChain = action === 'deposit' ? totals.deposits : totals.withdrawals;
+      if (Math.abs(fromLedger - onChain) > RECONCILE_TOLERANCE_USD) {
+        warnings.push(`${vault.id} ${wallet.slice(0, 4)}: ledger ${action}s $${fromLedger.toFixed(2)} vs depositor account $${onChain.toFixed(2)}`);
+      }
+    }
+  }
+  return warnings;
+}
+
+async function main() {
+  const { Connection } = require('@solana/web3.js');
+  const dryRun = process.argv.includes('--dry-run');
+
+  const flows = loadInvestorFlows();
+  if (!flows) throw new Error('data/investor-flows.json is missing — it lists the wallets to track');
+  const wallets = Object.keys(flows.wallets);
+  const vaults = loadVaults().filter(v => FLOW_READERS[v.flowPlatform || v.platform]);
+
+  const ledger = loadLedger();
+  const ctx = {
+    connection: new Connection(resolveRpcUrl(), 'confirmed'),
+    ledger,
+    dryRun,
+    budget: parseInt(argValue('--max-tx') || DEFAULT_MAX_TX, 10),
+    sinceCheckpoint: 0,
+  };
+  const positions = {};
+  const caughtUp = [];
+  const warnings = [];
+
+  for (const vault of vaults) {
+    const read = FLOW_READERS[vault.flowPlatform || vault.platform];
+    const { scan, ...result } = await read(ctx, vault, wallets);
+    if (!dryRun) saveLedger(ledger);
+    if (!scan.complete) {
+      console.log(`[Investor Ledger] ${vault.id}: ${scan.scanned} transaction(s), ${scan.added} new flow(s) — ${scan.remaining} left, continues next run; earnings unchanged`);
+      continue;
+    }
+    caughtUp.push(vault.id);
+    positions[vault.id] = result.positions;
+    warnings.push(...reconcile(vault, ledger, result.onChainTotals));
+    console.log(`[Investor Ledger] ${vault.id}: ${scan.scanned} new transaction(s), ${scan.added} new flow(s), ${Object.keys(result.positions).length} open position(s)`);
+  }
+
+  if (caughtUp.length > 0) {
+    applyEarnings(flows, walletEarnings(ledger, positions), {
+      vaultIds: caughtUp,
+      source: `on-chain ledger (data/${LEDGER_FILE})`,
+    });
+  }
+
+  for (const [address, wallet] of Object.entries(flows.wallets)) {
+    const parts = Object.entries(wallet.vaults || {}).map(([id, v]) => `${id} $${v.earnings.toLocaleString()}`);
+    console.log(`[Investor Ledger]   ${wallet.label} (${address.slice(0, 4)}): ${parts.join(', ') || 'no flows'}`);
+  }
+  console.log(`[Investor Ledger] Total earnings $${flows.totalEarnings.combined.toLocaleString()}`);
+  for (const warning of warnings) console.warn(`[Investor Ledger] ⚠️ ${warning}`);
+
+  if (dryRun) {
+    console.log('[Investor Ledger] Dry run — nothing written');
+    return warnings;
+  }
+  if (caughtUp.length > 0) saveInvestorFlows(flows);
+  return warnings;
+}
+
+if (require.main === module) {
+  main()
+    // Drift's WebSocket subscription (live read) keeps the event loop alive
+    .then(async warnings => {
+      if (warnings.length > 0) {
+        await notify('deviation', {
+          ...ALERT,
+          lines: [`Ledger does not reconcile with ${warnings.length} depositor account total(s):`, ...warnings],
+          impact: 'Wallet earnings may be missing flows the scan did not see.',
+        });
+      }
+      process.exit(0);
+    })
+    .catch(async e => {
+      console.error(`[Investor Ledger] FATAL: ${e.message}`);
+      await notify('failure', { ...ALERT, error: e.message, hint: 'node scripts/build-investor-ledger.js --dry-run' });
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  scanVault,
+  tokenDeltas,
+  reconcile,
+};
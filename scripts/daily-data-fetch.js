@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+/**
+ * Daily data fetch for the KeyVault dashboards.
+ *
+ * Runs the declarative job list from buildJobs() below through scripts/lib/pipeline.js, then:
+ *   - writes data/fetch-status.json — one entry per source:
+ *       { label, lastFetch, ok, error, lastAttempt, durationMs, rows }
+ *     (the shape mission-control.html's loadDataFreshness reads)
+ *   - appends the run to data/pipeline-runs.json (exit status, duration,
+ *     rows written and error text per job)
+ *   - commits and pushes data/ to GitHub Pages via lib/publish.js
+ *
+ * Usage:
+ *   node scripts/daily-data-fetch.js [--with allium] [--only id,id] [--no-commit | --dry-run]
+ *
+ * --no-commit leaves data/ uncommitted; --dry-run prints the diff that would
+ * be published. Both apply to jobs that publish on their own (the NAV stamp).
+ *
+ * Exit code is the number of failed critical jobs.
+ */
+
+const { REPO_DIR, runJobs } = require('./lib/pipeline');
+const { readDataFile, writeDataFile } = require('./lib/data-store');
+const { loadVaults } = require('./lib/vault-registry');
+const { DATASETS } = require('./lib/derived');
+const { loadFundingMarkets, recordsFile } = require('./lib/funding');
+const { notify } = require('./lib/notifier');
+const { getPublishMode, publish } = require('./lib/publish');
+
+const MAX_RUNS_KEPT = 60;
+
+// Built inside main() because the funding-market and vault registries are
+// read here: a bad config then fails the run through main().catch, which
+// notifies and records it in data/pipeline-runs.json.
+function buildJobs() {
+  const jobs = [
+    {
+      id: 'driftFunding',
+      label: 'Drift funding rates',
+      script: 'fetch-drift-funding.js',
+      outputs: ['drift-funding-rates.json', ...loadFundingMarkets('drift').map(m => recordsFile('drift', m.name))],
+      // A market added to config/funding-markets.json is backfilled to inception on its first run
+      timeoutMs: 600_000,
+    },
+    {
+      id: 'asterFunding',
+      label: 'Aster funding rates',
+      script: 'fetch-aster-funding.js',
+      outputs: ['aster-funding-rates.json', ...loadFundingMarkets('aster').map(m => recordsFile('aster', m.name))],
+      timeoutMs: 300_000,
+      critical: false,
+    },
+    {
+      id: 'jlpSnapshot',
+      label: 'JLP pool snapshot',
+      script: 'fetch-jlp-snapshot.js',
+      outputs: ['jlp-snapshots.json'],
+      timeoutMs: 60_000,
+    },
+    {
+      id: 'jlpUtilization',
+      label: 'JLP utilization snapshot',
+      script: 'fetch-jlp-utilization.js',
+      outputs: ['jlp-utilization-history.json'],
+      timeoutMs: 60_000,
+      critical: false,
+    },
+    {
+      id: 'traderPnl',
+      label: 'Trader P&L snapshot',
+      script: 'fetch-trader-pnl.js',
+      outputs: ['trader-pnl-snapshots.json'],
+      timeoutMs: 60_000,
+    },
+    {
+      id: 'primeVault',
+      label: 'Prime Number vault data',
+      script: 'fetch-prime-vault-data.js',
+      outputs: ['pn-kv1-current.json', 'pn-kv1-history.json', 'restatements.json'],
+      timeoutMs: 60_000,
+    },
+    {
+      id: 'jlpStrategy',
+      label: 'JLP strategy report (3x Aster Funding)',
+      script: 'fetch-jlp-strategy.js',
+      outputs: ['jlp-strategy-latest.json', 'prime-report-archive/index.json', 'restatements.json'],
+      timeoutMs: 120_000,
+      critical: false,
+    },
+    {
+      id: 'navStamp',
+      label: 'Official NAV stamp',
+      script: 'daily-nav-stamp.js',
+      outputs: ['official-nav-history.json', 'nav-quarantine.json'],
+      // The stamp has its own 90s hard kill; leave room for its alert to send.
+      // Exit 3 = quarantined by the anomaly checks, which counts as a failure.
+      timeoutMs: 150_000,
+    },
+    {
+      // Fills any day the stamp missed in the last two weeks (never overwrites),
+      // today's too, read live, when the stamp just failed — so it runs after
+      // the stamp whether or not that succeeded.
+      id: 'navBackfill',
+      label: 'Official NAV backfill',
+      script: 'backfill-nav.js',
+      args: ['--days', '14'],
+      outputs: ['official-nav-history.json'],
+      after: ['navStamp'],
+      timeoutMs: 600_000,
+      critical: false,
+    },
+    {
+      id: 'defillamaFees',
+      label: 'Fee data (DefiLlama)',
+      script: 'fetch-defillama-data.js',
+      outputs: ['allium-fees.json', 'allium-meta.json'],
+      timeoutMs: 60_000,
+      critical: false,
+    },
+    {
+      // Allium subscription is lapsed — run with `--with allium` once renewed.
+      // Fees resume from the last Allium row in allium-fees.json (DefiLlama's
+      // rows don't count), else the last 90 days; for a longer gap backfill once:
+      //   node scripts/fetch-allium-data.js --query fees --from <first missing day>
+      id: 'allium',
+      label: 'Allium on-chain fees + trader P&L',
+      script: 'fetch-allium-data.js',
+      outputs: ['allium-fees.json', 'allium-trader-pnl.json', 'allium-market-breakdown.json', 'trader-pnl-onchain.json'],
+      timeoutMs: 900_000,
+      critical: false,
+      optional: true,
+    },
+    {
+      // Every vault in config/vaults.json past its stamp hour and not yet stamped
+      // today; the per-vault history files are additive,
+      // official-nav-history.json stays owned by navStamp.
+      id: 'vaultStamp',
+      label: 'Vault NAV stamps (registry)',
+      script: 'stamp-vaults.js',
+      args: ['--due'],
+      outputs: loadVaults().map(v => v.output),
+      timeoutMs: 180_000,
+      critical: false,
+    },
+    {
+      // Append-only on-chain deposits/withdrawals; rewrites the wallet earnings
+      // in investor-flows.json from them once a vault's scan has caught up.
+      // Checkpointed: the first scan of full vault history spans runs (--max-tx).
+      id: 'investorLedger',
+      label: 'Investor flow ledger',
+      script: 'build-investor-ledger.js',
+      outputs: ['investor-ledger.json', 'investor-flows.json'],
+      timeoutMs: 600_000,
+      critical: false,
+    },
+    {
+      // Alerts (event "hedge") when an asset's hedge ratio leaves the band in config/hedge.json
+      id: 'hedgeMonitor',
+      label: 'KV1 hedge monitor',
+      script: 'monitor-hedge.js',
+      outputs: ['hedge-history.json'],
+      timeoutMs: 120_000,
+      critical: false,
+    },
+    {
+      // Checkpointed: new transactions first, then the next slice of the
+      // backfill (--max-tx per run) until the account's first transaction.
+      id: 'kv1Trades',
+      label: 'KV1 Drift trade ledger',
+      script: 'fetch-drift-vault-trades.js',
+      outputs: ['kv1-trade-ledger.json', 'kv1-drift-trades.json', 'kv1-trade-summary.json'],
+      timeoutMs: 600_000,
+      critical: false,
+    },
+    {
+      // Rebuilds only datasets whose inputs changed since the last run
+      id: 'derivedData',
+      label: 'Derived datasets',
+      script: 'build-derived.js',
+      outputs: [...DATASETS.map(d => `derived/${d.file}`), 'derived/manifest.json'],
+      dependsOn: ['navStamp', 'traderPnl', 'defillamaFees', 'kv1Trades'],
+      timeoutMs: 60_000,
+      critical: false,
+    },
+    {
+      // Report-only: writers already refuse invalid payloads, this catches
+      // files edited by hand or by other systems. Runs after every writer
+      // (set below), failed or not.
+      id: 'validateData',
+      label: 'Schema check of data/',
+      script: 'validate-data.js',
+      outputs: [],
+      timeoutMs: 60_000,
+      critical: false,
+    },
+  ];
+
+  jobs.find(job => job.id === 'validateData').after = jobs.filter(job => job.outputs.length > 0).map(job => job.id);
+  return jobs;
+}
+
+function argValues(name) {
+  const values = [];
+  process.argv.forEach((arg, i) => {
+    if (arg === name && process.argv[i + 1]) values.push(...process.argv[i + 1].split(','));
+    else if (arg.startsWith(`${name}=`)) values.push(...arg.slice(name.length + 1).split(','));
+  });
+  return values.filter(Boolean);
+}
+
+// Per-source freshness. Sources not run this time keep their last entry;
+// the pre-pipeline { lastFetch, errors, sources } layout is dropped.
+function writeFetchStatus(jobs, results) {
+  const previous = readDataFile('fetch-status.json', {});
+  const status = {};
+  for (const job of jobs) {
+    const prev = previous[job.id];
+    if (prev && typeof prev === 'object') status[job.id] = prev;
+  }
+
+  for (const result of results) {
+    if (result.status === 'skipped' && status[result.id]) continue;
+    const ok = result.status === 'ok';
+    status[result.id] = {
+      label: result.label,
+      lastFetch: ok ? result.startedAt : (status[result.id]?.lastFetch ?? null),
+      ok,
+      error: result.error,
+      lastAttempt: result.startedAt,
+      durationMs: result.durationMs,
+      rows: result.rowsWritten,
+      critical: result.critical,
+    };
+  }
+
+  writeDataFile('fetch-status.json', status);
+}
+
+function appendRun(run) {
+  const runs = readDataFile('pipeline-runs.json', []);
+  runs.push(run);
+  writeDataFile('pipeline-runs.json', runs.slice(-MAX_RUNS_KEPT));
+}
+
+function commitAndPush(errors) {
+  const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+  try {
+    publish({ files: ['data/'], message: `data: daily update ${today} [${errors} errors]` });
+  } catch (e) {
+    console.log(`⚠️  Publish failed: ${e.message}`);
+  }
+}
+
+// Jobs report their own failures; a timed-out job was killed before it
+// could, so the pipeline raises those plus one summary of critical errors.
+async function notifyRun(results, errors) {
+  for (const result of results.filter(r => r.status === 'timeout')) {
+    await notify('timeout', {
+      source: result.id,
+      label: result.label,
+      seconds: Math.round(result.durationMs / 1000),
+      impact: 'Its data/ output was not updated this run.',
+      hint: `node scripts/daily-data-fetch.js --only ${result.id} --no-commit`,
+    });
+  }
+  if (errors > 0) {
+    const failed = results.filter(r => r.critical && r.status !== 'ok');
+    await notify('failure', {
+      source: 'pipeline',
+      label: 'Daily data fetch',
+      error: `${errors} critical job(s) did not complete: ${failed.map(r => `${r.label} (${r.status})`).join(', ')}`,
+      impact: 'See data/pipeline-runs.json for each job\'s error text.',
+    });
+  }
+}
+
+async function main(startedAt) {
+  const only = argValues('--only');
+  console.log(`=== Daily Data Fetch ${startedAt.toISOString()} ===`);
+
+  // Jobs inherit the env, so this also covers the NAV stamp's own publish
+  process.env.KV_PUBLISH_MODE = process.argv.includes('--no-commit') ? 'off' : getPublishMode();
+
+  const jobs = buildJobs();
+  const results = await runJobs(jobs, {
+    include: argValues('--with'),
+    only: only.length > 0 ? only : null,
+  });
+
+  const errors = results.filter(r => r.critical && r.status !== 'ok').length;
+  const warnings = results.filter(r => !r.critical && r.status !== 'ok').length;
+
+  writeFetchStatus(jobs, results);
+  appendRun({
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    errors,
+    warnings,
+    jobs: results,
+  });
+
+  await notifyRun(results, errors);
+
+  console.log('');
+  commitAndPush(errors);
+
+  console.log(`\n=== Done (${errors} errors, ${warnings} warnings) ===`);
+  process.exit(errors);
+}
+
+const startedAt = new Date();
+main(startedAt).catch(async e => {
+  console.error(`[pipeline] FATAL: ${e.stack || e.message}`);
+  try {
+    appendRun({
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      errors: 1,
+      warnings: 0,
+      error: e.message,
+      jobs: [],
+    });
+  } catch (writeError) {
+    console.error(`[pipeline] Could not record the run: ${writeError.message}`);
+  }
+  await notify('failure', { source: 'pipeline', label: 'Daily data fetch', error: e.message });
+  process.exit(1);
+});
@@ -2,81 +2,49 @@
 /**
  * Daily NAV Stamp — Official 5 PM EST vault valuation
  *
- * Two data sources:
- *   - PUBLIC vault (Drift JLP Hedge Vault): real equity share price via VaultClient
- *     Address: 2dNSa3fBPMoxcs46NhtdLeTJuLasDt6VYNG4vopa7mWw
- *   - PRIVATE vault (Prime Number KV1): TVL / AUM display only
- *     API: https://app.primenumber.trade/data/PN_KV1.json
+ * Two data sources (both from config/vaults.json):
+ *   - PUBLIC vault "drift-public" (Drift JLP Hedge Vault): real equity share
+ *     price via the drift adapter (VaultClient)
+ *   - PRIVATE vault "kv1" (Prime Number KV1): TVL / AUM display only
  *
  * The public vault represents the full strategy track record (382+ days).
  * Share price = vault equity (incl. unrealized P&L) / total shares — net of PM fees.
+ *
+ * The stamp is only published if it passes the anomaly checks in
+ * lib/nav-checks.js; otherwise it is held in data/nav-quarantine.json until
+ * approved (scripts/nav-quarantine.js) and the script exits 3.
  */
 
-const fs   = require('fs');
-const path = require('path');
-const { Connection, PublicKey, Keypair } = require('@solana/web3.js');
-const { Wallet } = require('@coral-xyz/anchor');
-const { DriftClient } = require('@drift-labs/sdk/lib/node/index.js');
-const { VaultClient, getDriftVaultProgram } = require('@drift-labs/vaults-sdk');
+const { readDataFile } = require('./lib/data-store');
+const { loadNavHistory, saveNavHistory } = require('./lib/nav-history');
+const { runNavChecks }  = require('./lib/nav-checks');
+const { quarantineRecord, supersedePending } = require('./lib/nav-quarantine');
+const { getVault }      = require('./lib/vault-registry');
+const { readVault }     = require('./lib/vault-adapters');
+const { notify }        = require('./lib/notifier');
+const { publish }       = require('./lib/publish');
 
 // ── Config ────────────────────────────────────────────────────────────────────
-const PUBLIC_VAULT_ADDRESS = '2dNSa3fBPMoxcs46NhtdLeTJuLasDt6VYNG4vopa7mWw';
-const _heliusCfg = JSON.parse(require('fs').readFileSync(require('path').join(process.env.HOME, '.openclaw/helius/config.json'), 'utf8'));
-const RPC_URL              = process.env.HELIUS_RPC_URL || _heliusCfg.mainnetRpc;
-const PRIVATE_VAULT_URL    = 'https://app.primenumber.trade/data/PN_KV1.json';
-const DATA_DIR             = path.join(__dirname, '..', 'data');
-const NAV_FILE             = path.join(DATA_DIR, 'official-nav-history.json');
+const PUBLIC_VAULT_ID      = 'drift-public';
+const PRIVATE_VAULT_ID     = 'kv1';
 const SCRIPT_TIMEOUT_MS    = 90_000; // 90s hard kill — Drift WS can be slow
 
-// ── Telegram ──────────────────────────────────────────────────────────────────
-// Load token from env or secrets file — NEVER hardcode
-function loadTelegramToken() {
-  // Prefer secrets file — env var may be stale from launchctl
-  try {
-    const secretsPath = require('path').join(process.env.HOME, '.openclaw/secrets.env');
-    const lines = require('fs').readFileSync(secretsPath, 'utf8').split('\n');
-    for (const line of lines) {
-      const m = line.match(/^(?:export\s+)?TELEGRAM_BOT_TOKEN=["']?([^"'\s]+)["']?$/);
-      if (m) return m[1].trim();
-    }
-  } catch {}
-  // Fallback to env var
-  if (process.env.TELEGRAM_BOT_TOKEN) return process.env.TELEGRAM_BOT_TOKEN;
-  return null;
-}
-const TELEGRAM_TOKEN  = loadTelegramToken();
-const TELEGRAM_CHAT   = '6509624622';
-if (!TELEGRAM_TOKEN) {
-  console.error('[NAV Stamp] FATAL: TELEGRAM_BOT_TOKEN not set — cannot send alerts');
-  process.exit(1);
-}
-
-async function sendTelegram(message) {
-  try {
-    const res = await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ chat_id: TELEGRAM_CHAT, text: message, parse_mode: 'Markdown' }),
-    });
-    const body = await res.json();
-    if (!body.ok) console.warn(`[NAV Stamp] Telegram API error: ${JSON.stringify(body)}`);
-  } catch (e) {
-    // Last resort — log only, can't alert if network is down
-    console.warn(`[NAV Stamp] Telegram send failed: ${e.message}`);
-  }
-}
+// ── Alerts ────────────────────────────────────────────────────────────────────
+// Routed by config/notifications.json (Telegram, webhook, email, outbox)
+const ALERT = { source: 'navStamp', label: 'KV NAV Stamp' };
+const RUN_HINT = 'node scripts/daily-nav-stamp.js';
 
 // ── Global hard timeout ───────────────────────────────────────────────────────
 // Guards against Drift WebSocket hanging indefinitely
 const globalTimer = setTimeout(async () => {
-  const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
   console.error('[NAV Stamp] TIMEOUT — script ran >90s without completing');
-  await sendTelegram(
-    `🚨 *KV NAV Stamp TIMED OUT* — ${today}\n\n` +
-    `Script ran for 90s without finishing. Share price was NOT recorded.\n` +
-    `Likely cause: Drift/Helius RPC connection hung.\n\n` +
-    `Run manually: \`cd ~/clawd/Keyvault-Dashboards- && node scripts/daily-nav-stamp.js\``
-  );
+  await notify('timeout', {
+    ...ALERT,
+    seconds: SCRIPT_TIMEOUT_MS / 1000,
+    cause: 'Drift/Helius RPC connection hung.',
+    impact: 'Share price was NOT recorded.',
+    hint: RUN_HINT,
+  });
   process.exit(2);
 }, SCRIPT_TIMEOUT_MS);
 globalTimer.unref(); // Don't prevent normal exit
@@ -86,79 +54,32 @@ function getESTDate(date) {
   return date.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
 }
 
-function loadHistory() {
+// Commit + push via lib/publish.js (honours --dry-run / KV_PUBLISH_MODE)
+function pushToPages(files, message) {
   try {
-    if (fs.existsSync(NAV_FILE)) return JSON.parse(fs.readFileSync(NAV_FILE, 'utf-8'));
+    publish({ files, message });
   } catch (e) {
-    console.warn(`[NAV Stamp] History load error: ${e.message}`);
+    console.warn(`[NAV Stamp] ⚠️ Git push failed: ${e.message}`);
+    // Non-fatal — data is saved locally, push can be done manually
   }
-  return [];
-}
-
-// Atomic write — write to .tmp then rename to avoid corruption on crash/disk-full
-function saveHistory(history) {
-  const tmp = NAV_FILE + '.tmp';
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-  fs.writeFileSync(tmp, JSON.stringify(history, null, 2));
-  fs.renameSync(tmp, NAV_FILE);
 }
 
 // ── Data fetchers ─────────────────────────────────────────────────────────────
 async function fetchPublicVaultSharePrice() {
-  const connection = new Connection(RPC_URL, 'confirmed');
-  const wallet     = new Wallet(Keypair.generate());
-
-  const driftClient = new DriftClient({
-    connection,
-    wallet,
-    env: 'mainnet-beta',
-    accountSubscription: { type: 'websocket' },
-  });
-
-  await driftClient.subscribe();
-
-  const program      = getDriftVaultProgram(connection, wallet);
-  const vaultClient  = new VaultClient({ driftClient, program });
-  const vaultAddress = new PublicKey(PUBLIC_VAULT_ADDRESS);
-
-  const [equityBN, vaultAccount] = await Promise.all([
-    vaultClient.calculateVaultEquityInDepositAsset({ address: vaultAddress }),
-    program.account.vault.fetch(vaultAddress),
-  ]);
-
-  await driftClient.unsubscribe();
+  // The drift adapter already refuses zero shares and implausible prices
+  const nav = await readVault(getVault(PUBLIC_VAULT_ID));
 
-  const PRECISION    = 1_000_000;
-  const equityUSDC   = equityBN.toNumber() / PRECISION;
-  const totalShares  = vaultAccount.totalShares.toNumber() / PRECISION;
+  console.log(`[NAV Stamp] Vault equity: $${nav.equity.toFixed(2)}, shares: ${nav.shares.toFixed(4)}`);
+  console.log(`[NAV Stamp] Public vault share price: $${nav.sharePrice.toFixed(6)} (baseline: $${nav.details.basePriceRaw.toFixed(6)})`);
 
-  // ── Guard: zero/invalid shares ────────────────────────────────────────────
-  if (!totalShares || totalShares <= 0) {
-    throw new Error(`Invalid totalShares: ${totalShares} — vault data may be corrupted or unavailable`);
-  }
-
-  const sharePrice   = equityUSDC / totalShares;
-  const basePriceRaw = (vaultAccount.netDeposits.toNumber() / PRECISION) / totalShares;
-
-  // ── Guard: sanity check on share price ───────────────────────────────────
-  if (!isFinite(sharePrice) || isNaN(sharePrice) || sharePrice <= 0 || sharePrice > 100) {
-    throw new Error(`Implausible share price: ${sharePrice} (equity: ${equityUSDC}, shares: ${totalShares})`);
-  }
-
-  console.log(`[NAV Stamp] Vault equity: $${equityUSDC.toFixed(2)}, shares: ${totalShares.toFixed(4)}`);
-  console.log(`[NAV Stamp] Public vault share price: $${sharePrice.toFixed(6)} (baseline: $${basePriceRaw.toFixed(6)})`);
-
-  return { sharePrice, basePriceRaw };
+  return { sharePrice: nav.sharePrice, basePriceRaw: nav.details.basePriceRaw };
 }
 
 async function fetchPrivateVaultTVL() {
   try {
-    const res = await fetch(PRIVATE_VAULT_URL, { signal: AbortSignal.timeout(15_000) });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const data = await res.json();
-    if (!data.tvl || !data.SharePrice) throw new Error('Missing tvl or SharePrice in response');
-    console.log(`[NAV Stamp] Private vault TVL (KV1): $${Number(data.tvl).toLocaleString()}`);
-    return { tvl: data.tvl, rawSharePrice: data.SharePrice };
+    const nav = await readVault(getVault(PRIVATE_VAULT_ID));
+    console.log(`[NAV Stamp] Private vault TVL (KV1): $${Number(nav.tvl).toLocaleString()}`);
+    return { tvl: nav.tvl, rawSharePrice: nav.sharePrice };
   } catch (e) {
     console.warn(`[NAV Stamp] Private vault TVL fetch FAILED: ${e.message}`);
     return null;
@@ -180,7 +101,7 @@ async function main() {
   const todayDate  = getESTDate(now);
 
   // ── History ───────────────────────────────────────────────────────────────
-  const history = loadHistory();
+  const history = loadNavHistory();
 
   const record = {
     date:         todayDate,
@@ -192,6 +113,34 @@ async function main() {
     source:       'public-drift-vault-equity + private-kv1-tvl',
   };
 
+  // ── Anomaly checks ────────────────────────────────────────────────────────
+  // A failing stamp is quarantined, not published — see scripts/nav-quarantine.js
+  const withdrawals = readDataFile('investor-flows.json', {})?.withdrawals || [];
+  const verdict = runNavChecks(record, history, { withdrawals });
+  for (const c of verdict.checks) {
+    console.log(`[NAV Stamp] ${{ pass: '✅', fail: '❌', skip: '➖' }[c.status]} ${c.check}: ${c.message}`);
+  }
+
+  if (!verdict.ok) {
+    quarantineRecord(record, verdict);
+    console.warn(`[NAV Stamp] ⚠️ Quarantined ${todayDate} — official history NOT updated`);
+    pushToPages(['data/nav-quarantine.json'], `NAV stamp quarantined: ${todayDate} $${sharePrice.toFixed(6)}`);
+    await notify('deviation', {
+      ...ALERT,
+      date: todayDate,
+      lines: [
+        `Share price \`$${sharePrice.toFixed(6)}\` was quarantined and NOT published:`,
+        ...verdict.reasons.map(r => `• ${r}`),
+        '',
+        'Review: `node scripts/nav-quarantine.js`',
+      ],
+    });
+    clearTimeout(globalTimer);
+    process.exit(3);
+  }
+
+  supersedePending(todayDate);
+
   const existingIdx = history.findIndex(h => h.date === todayDate);
   if (existingIdx >= 0) {
     history[existingIdx] = record;
@@ -202,39 +151,17 @@ async function main() {
   }
 
   history.sort((a, b) => a.date.localeCompare(b.date));
-
-  // ── Price deviation check ─────────────────────────────────────────────────
   const todayIdx = history.findIndex(h => h.date === todayDate);
-  const lastFew  = history.slice(Math.max(0, todayIdx - 4), todayIdx).map(h => h.SharePrice).filter(Boolean);
-  let deviationAlert = null;
-  if (lastFew.length > 0) {
-    const avg = lastFew.reduce((a, b) => a + b, 0) / lastFew.length;
-    const dev = Math.abs(sharePrice - avg) / avg;
-    if (dev > 0.05) {
-      const msg = `Price deviates ${(dev * 100).toFixed(1)}% from 5-day avg ($${avg.toFixed(6)})`;
-      console.warn(`[NAV Stamp] ⚠️ WARNING: ${msg}`);
-      deviationAlert = msg;
-    }
-  }
 
   // ── Save (atomic) ─────────────────────────────────────────────────────────
-  saveHistory(history);
+  saveNavHistory(history);
   console.log(`[NAV Stamp] Saved ${history.length} records.`);
 
   // ── Auto-push to GitHub Pages ─────────────────────────────────────────────
-  try {
-    const { execSync } = require('child_process');
-    const repoDir = path.join(__dirname, '..');
-    execSync(`git -C "${repoDir}" add data/official-nav-history.json`, { stdio: 'pipe' });
-    execSync(`git -C "${repoDir}" commit -m "NAV stamp: ${todayDate} $${sharePrice.toFixed(6)} TVL ${tvl ? '$' + Number(tvl).toLocaleString('en-US', { maximumFractionDigits: 0 }) : 'unavailable'}"`, { stdio: 'pipe' });
-    // Pull remote changes first to avoid divergence with GitHub Pages CI commits
-    execSync(`git -C "${repoDir}" pull --rebase origin main`, { stdio: 'pipe' });
-    execSync(`git -C "${repoDir}" push`, { stdio: 'pipe' });
-    console.log(`[NAV Stamp] ✅ Pushed to GitHub Pages`);
-  } catch (e) {
-    console.warn(`[NAV Stamp] ⚠️ Git push failed: ${e.message}`);
-    // Non-fatal — data is saved locally, push can be done manually
-  }
+  pushToPages(
+    ['data/official-nav-history.json', 'data/nav-quarantine.json'],
+    `NAV stamp: ${todayDate} $${sharePrice.toFixed(6)} TVL ${tvl ? '$' + Number(tvl).toLocaleString('en-US', { maximumFractionDigits: 0 }) : 'unavailable'}`
+  );
 
   // ── Day change ────────────────────────────────────────────────────────────
   let dayChange = null;
@@ -248,24 +175,20 @@ async function main() {
   if (tvl) console.log(`TVL (KV1):   $${Number(tvl).toLocaleString()}`);
   if (dayChange !== null) console.log(`Day Change:  ${dayChange >= 0 ? '+' : ''}${dayChange.toFixed(4)}%`);
 
-  // ── Telegram success alert ────────────────────────────────────────────────
+  // ── Alerts ────────────────────────────────────────────────────────────────
   const changeStr = dayChange !== null ? `${dayChange >= 0 ? '+' : ''}${dayChange.toFixed(4)}%` : 'N/A';
   const tvlStr    = tvl ? `$${Number(tvl).toLocaleString('en-US', { maximumFractionDigits: 0 })}` : '⚠️ unavailable';
 
-  let telegramMsg =
-    `✅ *KV NAV Stamp — ${todayDate}*\n\n` +
-    `Share Price: \`$${sharePrice.toFixed(6)}\`\n` +
-    `KV1 TVL: \`${tvlStr}\`\n` +
-    `Day Change: \`${changeStr}\``;
-
+  const lines = [
+    `Share Price: \`$${sharePrice.toFixed(6)}\``,
+    `KV1 TVL: \`${tvlStr}\``,
+    `Day Change: \`${changeStr}\``,
+  ];
   if (!tvl) {
-    telegramMsg += `\n\n⚠️ _Private vault TVL unavailable — Prime Number API may be down._`;
-  }
-  if (deviationAlert) {
-    telegramMsg += `\n\n⚠️ *PRICE ALERT:* ${deviationAlert}`;
+    lines.push('', `⚠️ _Private vault TVL unavailable — Prime Number API may be down._`);
   }
 
-  await sendTelegram(telegramMsg);
+  await notify('success', { ...ALERT, date: todayDate, lines });
 
   // Force exit — Drift WebSocket keeps event loop alive after unsubscribe
   clearTimeout(globalTimer);
@@ -274,14 +197,13 @@ async function main() {
 
 // ── Entry point ───────────────────────────────────────────────────────────────
 main().catch(async err => {
-  const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
   console.error(`[NAV Stamp] FATAL: ${err.message}`);
   console.error(err.stack);
-  await sendTelegram(
-    `🚨 *KV NAV Stamp FAILED* — ${today}\n\n` +
-    `Error: ${err.message}\n\n` +
-    `Share price was NOT recorded. Run manually:\n` +
-    `\`cd ~/clawd/Keyvault-Dashboards- && node scripts/daily-nav-stamp.js\``
-  );
+  await notify('failure', {
+    ...ALERT,
+    error: err.message,
+    impact: 'Share price was NOT recorded.',
+    hint: RUN_HINT,
+  });
   process.exit(1);
 });
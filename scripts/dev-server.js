@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * Local dev server: serves the static site and a CORS proxy at /proxy, so
+ * the dashboards can be previewed without the workers.dev proxy (audit H4).
+ *
+ *   GET /proxy?url=<encoded upstream URL>   — same contract as the worker
+ *   GET /proxy/health                       — how pages detect this server (js/proxy.js)
+ *
+ * Only upstreams in ALLOWED_UPSTREAMS are proxied; each response is cached
+ * in memory for its entry's TTL. Upstream requests go through
+ * lib/source-adapter.js, so its record/replay modes apply: --record saves
+ * every proxied response under fixtures/sources/, --fixtures (= --replay)
+ * serves only those recordings and never touches the network.
+ *
+ * Usage:
+ *   node scripts/dev-server.js                    # http://127.0.0.1:8080
+ *   node scripts/dev-server.js --port 3000 --host 0.0.0.0   # open pages with ?devProxy=1
+ *   node scripts/dev-server.js --record           # proxy live, save fixtures
+ *   node scripts/dev-server.js --fixtures         # offline, recorded responses only
+ */
+
+if (process.argv.includes('--fixtures')) process.env.KV_SOURCE_MODE = 'replay';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { getMode, request } = require('./lib/source-adapter');
+
+const REPO_DIR = path.join(__dirname, '..');
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_CACHE_ENTRIES = 200;
+
+// Upstreams the pages fetch through a proxy: URL prefix and cache TTL
+const ALLOWED_UPSTREAMS = [
+  { prefix: 'https://app.primenumber.trade/data/', ttlMs: 5 * 60_000 },
+  { prefix: 'https://api.llama.fi/', ttlMs: 10 * 60_000 },
+  { prefix: 'https://api.coingecko.com/api/v3/', ttlMs: 10 * 60_000 },
+  { prefix: 'https://perps-api.jup.ag/', ttlMs: 60_000 },
+];
+
+// Never served, whatever the request path
+const PRIVATE_PATHS = ['.git', '.env', 'node_modules', 'private', 'statements', 'fixtures', 'outbox'];
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.pdf': 'application/pdf',
+  '.md': 'text/markdown; charset=utf-8',
+};
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : undefined;
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+  res.end(body);
+}
+
+function sendJson(res, status, value) {
+  send(res, status, `${JSON.stringify(value)}\n`, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store' });
+}
+
+// ── Proxy ─────────────────────────────────────────────────────────────────────
+const cache = new Map();
+
+function allowedUpstream(url) {
+  return ALLOWED_UPSTREAMS.find(entry => url.startsWith(entry.prefix)) || null;
+}
+
+async function proxy(target, res) {
+  let url;
+  try {
+    url = new URL(target).href;
+  } catch {
+    return send(res, 400, `Invalid url parameter: ${target}`);
+  }
+  const upstream = allowedUpstream(url);
+  if (!upstream) return send(res, 403, `Not in the dev proxy allowlist: ${url}`);
+
+  const cors = { 'Access-Control-Allow-Origin': '*', 'Cache-Control': 'no-store' };
+  const cached = cache.get(url);
+  if (cached && cached.expiresAt > Date.now()) {
+    return send(res, cached.status, cached.body, { ...cors, 'Content-Type': cached.contentType, 'X-KV-Proxy': 'hit' });
+  }
+
+  let response;
+  try {
+    response = await request(url, { label: 'dev-proxy', retries: 1, timeoutMs: 15_000 });
+  } catch (error) {
+    console.warn(`[dev-server] proxy ${url} failed: ${error.message}`);
+    return send(res, 502, `Upstream request failed: ${error.message}`, cors);
+  }
+
+  const contentType = response.contentType || 'text/plain; charset=utf-8';
+  if (response.ok && !response.fromFixture) {
+    if (cache.size >= MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+    cache.set(url, { status: response.status, contentType, body: response.body, expiresAt: Date.now() + upstream.ttlMs });
+  }
+  const source = response.fromFixture ? 'fixture' : 'miss';
+  console.log(`[dev-server] proxy ${response.status} ${source} ${url}`);
+  send(res, response.status, response.body, { ...cors, 'Content-Type': contentType, 'X-KV-Proxy': source });
+}
+
+// ── Static files ──────────────────────────────────────────────────────────────
+function resolveStatic(pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    return null;
+  }
+  const filePath = path.normalize(path.join(REPO_DIR, decoded));
+  const relative = path.relative(REPO_DIR, filePath);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+  const [top] = relative.split(path.sep);
+  if (PRIVATE_PATHS.includes(top) || relative.split(path.sep).some(part => part.startsWith('.'))) return null;
+  return filePath;
+}
+
+function serveStatic(pathname, res) {
+  let filePath = resolveStatic(pathname);
+  if (!filePath) return send(res, 404, 'Not found');
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) filePath = path.join(filePath, 'index.html');
+  if (!fs.existsSync(filePath)) return send(res, 404, 'Not found');
+
+  const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+  res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+  fs.createReadStream(filePath).pipe(res);
+}
+
+function handle(req, res) {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  if (req.method !== 'GET' && req.method !== 'HEAD') return send(res, 405, 'Method not allowed');
+
+  if (pathname === '/proxy/health') {
+    return sendJson(res, 200, { server: 'kv-dev-server', mode: getMode(), upstreams: ALLOWED_UPSTREAMS.map(u => u.prefix) });
+  }
+  if (pathname === '/proxy') {
+    const target = searchParams.get('url');
+    if (!target) return send(res, 400, 'Missing url parameter');
+    return proxy(target, res).catch(error => send(res, 500, error.message));
+  }
+  return serveStatic(pathname, res);
+}
+
+function main() {
+  const port = Number(argValue('--port') || process.env.PORT || DEFAULT_PORT);
+  const host = argValue('--host') || DEFAULT_HOST;
+  const mode = getMode();
+
+  http.createServer(handle).listen(port, host, () => {
+    console.log(`[dev-server] http://${host}:${port}/ (proxy mode: ${mode === 'replay' ? 'fixtures' : mode})`);
+  });
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(`[dev-server] ERROR: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { ALLOWED_UPSTREAMS, allowedUpstream, resolveStatic };
@@ -1,59 +1,92 @@
 #!/usr/bin/env node
 /**
- * Fetch Jupiter Perps on-chain data from Allium.
+ * Fetch Jupiter Perps on-chain data from Allium — the named queries in
+ * lib/allium-queries.js.
  * Outputs:
- *   data/allium-fees.json      — Daily fee revenue (last 90 days)
- *   data/allium-trader-pnl.json — Daily trader P&L (last 90 days)
- *   data/trader-pnl-onchain.json — Full historical (appends new days)
+ *   data/allium-fees.json              — Daily fee revenue (fees)
+ *   data/allium-trader-pnl.json        — Daily trader P&L (traderPnl)
+ *   data/allium-market-breakdown.json  — Per market and side (marketFees, marketTraderPnl)
+ *   data/trader-pnl-onchain.json       — Full history of trader P&L + fees (appends new days)
  *
- * Allium SQL via Explorer async endpoint. Values in micro-USD (÷1e6 for USD).
- * Rate limit: 1 req/sec.
+ * Each query runs incrementally by default: from the last day its output
+ * holds for it (fetched again, it may have been partial; DefiLlama's fee
+ * rows don't count) through today (UTC), or the last DEFAULT_BACKFILL_DAYS
+ * when nothing is stored yet.
+ *
+ * Results are cached in .cache/allium/ (KV_ALLIUM_CACHE_DIR) keyed by query,
+ * date range and SQL: a range ending before today is reused as is, one that
+ * includes today for CACHE_TTL_MS.
+ *
+ * Allium SQL via Explorer async endpoint. Rate limit: 1 req/sec.
+ *
+ * Usage:
+ *   node scripts/fetch-allium-data.js                     # every query, incremental
+ *   node scripts/fetch-allium-data.js --query marketFees,marketTraderPnl --from 2025-01-01
+ *   node scripts/fetch-allium-data.js --days 90 [--to 2026-03-31]
+ *   node scripts/fetch-allium-data.js --refresh           # bypass the cache
+ *   node scripts/fetch-allium-data.js --list
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { request, fetchJson, isReplay, sleep } = require('./lib/source-adapter');
+const { readDataFile, writeDataFile } = require('./lib/data-store');
+const { notify } = require('./lib/notifier');
+const { QUERIES, getQuery, renderQuery } = require('./lib/allium-queries');
+const { shiftDate } = require('../js/metrics');
 
 const CONFIG_PATH = path.join(
     process.env.HOME, '.openclaw', 'skills', 'allium', 'config.json'
 );
-const DATA_DIR = path.join(__dirname, '..', 'data');
+const CACHE_DIR = process.env.KV_ALLIUM_CACHE_DIR || path.join(__dirname, '..', '.cache', 'allium');
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_BACKFILL_DAYS = 90;
 
-const JUPITER_PERPS_PROGRAM = 'PERPHjGBqRHArX4DySjwM6UJHiR3sWAatqfdBS2qQJu';
+function argValue(name) {
+    const i = process.argv.indexOf(name);
+    return i >= 0 ? process.argv[i + 1] : undefined;
+}
 
 // --- Allium helpers ---
 
 let config;
 function loadConfig() {
+    if (isReplay() && !fs.existsSync(CONFIG_PATH)) {
+        // Replays only need the query id the fixtures were recorded with.
+        config = { query_id: process.env.ALLIUM_QUERY_ID, api_key: '' };
+        return;
+    }
     config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
 }
 
 async function submitQuery(sql) {
-    const resp = await fetch(
+    const data = await fetchJson(
         `https://api.allium.so/api/v1/explorer/queries/${config.query_id}/run-async`,
         {
+            label: 'allium',
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'X-API-KEY': config.api_key,
             },
             body: JSON.stringify({ parameters: { sql_query: sql } }),
+            retries: 0, // never submit the same query run twice
         }
     );
-    if (!resp.ok) throw new Error(`Allium submit failed: ${resp.status} ${await resp.text()}`);
-    const data = await resp.json();
     return data.run_id;
 }
 
 async function pollResults(runId, maxWaitMs = 120000) {
     const start = Date.now();
     while (Date.now() - start < maxWaitMs) {
-        await new Promise(r => setTimeout(r, 5000));
-        const resp = await fetch(
+        if (!isReplay()) await sleep(5000);
+        const resp = await request(
             `https://api.allium.so/api/v1/explorer/query-runs/${runId}/results?f=json`,
-            { headers: { 'X-API-KEY': config.api_key } }
+            { label: 'allium', headers: { 'X-API-KEY': config.api_key } }
         );
         if (resp.status === 200) {
-            const text = await resp.text();
+            const text = resp.body;
             if (!text || text === 'null') continue; // still running
             const json = JSON.parse(text);
             if (json && json.data) return json.data;
@@ -69,123 +102,49 @@ async function runQuery(sql) {
     return pollResults(runId);
 }
 
-// --- Queries ---
-
-// Daily fees from ALL fee-generating events (position opens, closes, liquidations, swaps)
-const FEES_QUERY = (days) => `
-SELECT
-    DATE(BLOCK_TIMESTAMP) as day,
-    SUM(
-        COALESCE(PARSED_EVENT_DATA:data:position_fee_usd::NUMBER, 0) +
-        COALESCE(PARSED_EVENT_DATA:data:price_impact_fee_usd::NUMBER, 0)
-    ) / 1e6 as position_fees_usd,
-    SUM(
-        CASE WHEN EVENT_NAME = 'PoolSwapEvent'
-        THEN COALESCE(PARSED_EVENT_DATA:data:swap_usd_amount::NUMBER, 0) *
-             COALESCE(PARSED_EVENT_DATA:data:fee_bps::NUMBER, 0) / 10000 / 1e6
-        ELSE 0 END
-    ) as swap_fees_usd,
-    COUNT(DISTINCT CASE WHEN EVENT_NAME IN ('DecreasePositionEvent','LiquidateFullPositionEvent','InstantDecreasePositionEvent')
-        THEN TXN_ID END) as close_count,
-    COUNT(DISTINCT TXN_ID) as total_txns
-FROM solana.decoded.events
-WHERE PROGRAM_ID = '${JUPITER_PERPS_PROGRAM}'
-    AND BLOCK_TIMESTAMP >= DATEADD(day, -${days}, CURRENT_TIMESTAMP())
-    AND EVENT_NAME IN (
-        'IncreasePositionEvent','InstantIncreasePositionEvent',
-        'DecreasePositionEvent','InstantDecreasePositionEvent',
-        'LiquidateFullPositionEvent','PoolSwapEvent'
-    )
-GROUP BY DATE(BLOCK_TIMESTAMP)
-ORDER BY day
-`;
-
-// Daily trader P&L using has_profit + pnl_delta from decoded events
-const TRADER_PNL_QUERY = (days) => `
-SELECT
-    DATE(BLOCK_TIMESTAMP) as day,
-    SUM(
-        CASE WHEN PARSED_EVENT_DATA:data:has_profit::BOOLEAN = TRUE
-             THEN PARSED_EVENT_DATA:data:pnl_delta::NUMBER
-             ELSE -PARSED_EVENT_DATA:data:pnl_delta::NUMBER
-        END
-    ) / 1e6 as trader_pnl,
-    SUM(
-        COALESCE(PARSED_EVENT_DATA:data:position_fee_usd::NUMBER, 0) +
-        COALESCE(PARSED_EVENT_DATA:data:price_impact_fee_usd::NUMBER, 0)
-    ) / 1e6 as fees,
-    SUM(COALESCE(PARSED_EVENT_DATA:data:size_usd_delta::NUMBER, 0)) / 1e6 as volume,
-    COUNT(*) as closes
-FROM solana.decoded.events
-WHERE PROGRAM_ID = '${JUPITER_PERPS_PROGRAM}'
-    AND BLOCK_TIMESTAMP >= DATEADD(day, -${days}, CURRENT_TIMESTAMP())
-    AND EVENT_NAME IN (
-        'DecreasePositionEvent','InstantDecreasePositionEvent',
-        'LiquidateFullPositionEvent'
-    )
-GROUP BY DATE(BLOCK_TIMESTAMP)
-ORDER BY day
-`;
+// --- Result cache ---
 
-// --- Main ---
+function cacheFile(name, { from, to }, sql) {
+    const hash = crypto.createHash('sha1').update(sql).digest('hex').slice(0, 8);
+    return path.join(CACHE_DIR, `${name}-${from}-${to}-${hash}.json`);
+}
 
-async function main() {
-    loadConfig();
-    console.log('Fetching Allium on-chain data for Jupiter Perps...');
+function readCache(file, { to }, today) {
+    if (!fs.existsSync(file)) return null;
+    const cached = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const fresh = to < today || Date.now() - Date.parse(cached.fetchedAt) < CACHE_TTL_MS;
+    return fresh ? cached.rows : null;
+}
 
-    // 1. Fetch daily fees (90 days)
-    console.log('\n[1/2] Fetching daily fees (90d)...');
-    const feesRaw = await runQuery(FEES_QUERY(90));
-
-    const feesData = feesRaw.map(r => ({
-        date: r.day,
-        total_fees: parseFloat(r.position_fees_usd || 0) + parseFloat(r.swap_fees_usd || 0),
-        position_fees: parseFloat(r.position_fees_usd || 0),
-        swap_fees: parseFloat(r.swap_fees_usd || 0),
-        close_count: parseInt(r.close_count || 0),
-        total_txns: parseInt(r.total_txns || 0),
-    }));
-
-    fs.writeFileSync(
-        path.join(DATA_DIR, 'allium-fees.json'),
-        JSON.stringify(feesData, null, 2)
-    );
-    console.log(`  Saved ${feesData.length} days of fee data`);
-
-    // Rate limit pause
-    await new Promise(r => setTimeout(r, 1500));
-
-    // 2. Fetch trader P&L (90 days) using has_profit + pnl_delta
-    console.log('\n[2/2] Fetching trader P&L (90d)...');
-    const pnlRaw = await runQuery(TRADER_PNL_QUERY(90));
-
-    const pnlData = pnlRaw.map(r => ({
-        date: r.day,
-        trader_pnl: parseFloat(r.trader_pnl || 0),
-        fees: parseFloat(r.fees || 0),
-        volume: parseFloat(r.volume || 0),
-        closes: parseInt(r.closes || 0),
-    }));
-
-    fs.writeFileSync(
-        path.join(DATA_DIR, 'allium-trader-pnl.json'),
-        JSON.stringify(pnlData, null, 2)
-    );
-    console.log(`  Saved ${pnlData.length} days of trader P&L data`);
+function writeCache(file, name, range, rows) {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify({ query: name, ...range, fetchedAt: new Date().toISOString(), rows })}\n`);
+}
+
+// --- Date ranges ---
+
+// --from/--to/--days when given, otherwise from the last stored day through today
+function resolveRange(query, today) {
+    const to = argValue('--to') || today;
+    const days = argValue('--days');
+    let from = argValue('--from');
+    if (!from && days) from = shiftDate(to, -(parseInt(days, 10) - 1));
+    if (!from) from = query.lastDate(readDataFile(query.output, null)) || shiftDate(to, -(DEFAULT_BACKFILL_DAYS - 1));
+    return { from, to };
+}
+
+// --- Full history ---
 
-    // 3. Update the full historical file (merge with existing)
-    const fullPath = path.join(DATA_DIR, 'trader-pnl-onchain.json');
-    let existing = [];
-    try {
-        existing = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
-    } catch (e) { /* fresh start */ }
+// Merge trader P&L days, then fee days, into trader-pnl-onchain.json
+function updateOnchainHistory(pnlData, feesData) {
+    const existing = readDataFile('trader-pnl-onchain.json', []); // [] = fresh start
 
     const existingMap = {};
     existing.forEach(d => { existingMap[d.date] = d; });
 
-    // Merge: update last 90 days with fresh data, keep older data
     pnlData.forEach(d => {
         existingMap[d.date] = {
+            ...existingMap[d.date],
             date: d.date,
             trader_pnl: d.trader_pnl,
             fees: d.fees,
@@ -194,7 +153,6 @@ async function main() {
         };
     });
 
-    // Also merge fee data into the records
     feesData.forEach(d => {
         if (existingMap[d.date]) {
             existingMap[d.date].total_fees = d.total_fees;
@@ -215,21 +173,67 @@ async function main() {
     });
 
     const merged = Object.values(existingMap).sort((a, b) => a.date.localeCompare(b.date));
-    fs.writeFileSync(fullPath, JSON.stringify(merged, null, 2));
+    writeDataFile('trader-pnl-onchain.json', merged);
     console.log(`  Updated full history: ${merged.length} days (${existing.length} existing + new)`);
+}
+
+// --- Main ---
+
+async function main() {
+    if (process.argv.includes('--list')) {
+        for (const [name, q] of Object.entries(QUERIES)) console.log(`${name.padEnd(16)} → data/${q.output}  ${q.description}`);
+        return;
+    }
+
+    const names = (argValue('--query') || Object.keys(QUERIES).join(',')).split(',').map(n => n.trim());
+    names.forEach(getQuery);
+    const refresh = process.argv.includes('--refresh');
+    const today = new Date().toISOString().slice(0, 10);
+    loadConfig();
+    console.log('Fetching Allium on-chain data for Jupiter Perps...');
 
-    console.log('\nDone! Files written:');
-    console.log('  data/allium-fees.json');
-    console.log('  data/allium-trader-pnl.json');
-    console.log('  data/trader-pnl-onchain.json (updated)');
+    const fetched = {};
+    let submitted = false;
+    for (const [i, name] of names.entries()) {
+        const query = getQuery(name);
+        const range = resolveRange(query, today);
+        console.log(`\n[${i + 1}/${names.length}] ${name} ${range.from}..${range.to}`);
+        if (range.from > range.to) {
+            console.log('  Up to date');
+            continue;
+        }
+
+        const sql = renderQuery(name, range);
+        const file = cacheFile(name, range, sql);
+        let raw = refresh ? null : readCache(file, range, today);
+        if (raw) {
+            console.log(`  Cached result (${path.relative(process.cwd(), file)})`);
+        } else {
+            // Rate limit pause between submissions
+            if (submitted && !isReplay()) await sleep(1500);
+            raw = await runQuery(sql);
+            submitted = true;
+            writeCache(file, name, range, raw);
+        }
+
+        const rows = raw.map(query.parse);
+        fetched[name] = rows;
+        writeDataFile(query.output, query.merge(readDataFile(query.output, null), rows));
+        console.log(`  Saved ${rows.length} row(s) to data/${query.output}`);
+    }
+
+    if (fetched.traderPnl || fetched.fees) {
+        updateOnchainHistory(fetched.traderPnl || [], fetched.fees || []);
+    }
 }
 
-main().catch(e => {
+main().catch(async e => {
     console.error('Allium error:', e.message || e);
     if (String(e).includes('401') || String(e).includes('subscription')) {
         console.error('⚠️  Allium API subscription expired or invalid. Existing data files preserved.');
         console.error('   Dashboard will show stale data with a warning.');
         process.exit(0); // Don't fail the pipeline
     }
+    await notify('failure', { source: 'allium', label: 'Allium on-chain fees + trader P&L', error: e.message || String(e) });
     process.exit(1);
 });
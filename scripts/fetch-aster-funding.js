@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * Fetch Aster perp funding rates for the markets in config/funding-markets.json
+ * ("aster": [{ name, symbol, intervalHours }]) — the funding leg of the Prime
+ * report's "3x JLP (borrow SOL) + Aster Funding" benchmark.
+ *
+ * Market names match the Drift ones so the venues line up. Raw funding
+ * records go to data/aster-funding/<market>.json and daily aggregates to
+ * data/aster-funding-rates.json, in the same units as
+ * drift-funding-rates.json (see lib/funding.js). A market with no stored
+ * records is backfilled from its first funding; after that only newer ones
+ * are fetched.
+ *
+ * Usage:
+ *   node scripts/fetch-aster-funding.js                       # incremental
+ *   node scripts/fetch-aster-funding.js --backfill            # re-fetch full history
+ *   node scripts/fetch-aster-funding.js --market SOL-PERP     # one market
+ */
+
+const path = require('path');
+const { fetchJson, sleep } = require('./lib/source-adapter');
+const { readDataFile, writeDataFile } = require('./lib/data-store');
+const { notify } = require('./lib/notifier');
+const { loadFundingMarkets, recordsFile, mergeRecords, dailyAggregates, mergeDaily } = require('./lib/funding');
+
+const API_BASE = 'https://fapi.asterdex.com';
+const OUTPUT = path.join(__dirname, '..', 'data', 'aster-funding-rates.json');
+const PAGE_LIMIT = 1000;
+const MAX_PAGES = 100;
+const PAGE_DELAY_MS = 250;
+const DEFAULT_INTERVAL_HOURS = 8;
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : undefined;
+}
+
+// fundingRate is the decimal rate settled at fundingTime (ms) for one interval
+function toRecord(r, hours) {
+  const rate = parseFloat(r.fundingRate);
+  if (!Number.isFinite(rate)) return null;
+  return {
+    ts: Math.floor(Number(r.fundingTime) / 1000),
+    rate,
+    hours,
+    fundingRate: String(r.fundingRate),
+    ...(r.markPrice !== undefined ? { markPrice: String(r.markPrice) } : {}),
+  };
+}
+
+/**
+ * Funding records after `sinceTs` (from the first one when null). The
+ * endpoint returns up to `limit` records from startTime, oldest first, so
+ * pages move forward from the last record seen.
+ */
+async function fetchSince(market, sinceTs) {
+  const hours = market.intervalHours || DEFAULT_INTERVAL_HOURS;
+  const fresh = [];
+  let startTime = sinceTs === null ? 0 : (sinceTs + 1) * 1000;
+  for (let n = 1; n <= MAX_PAGES; n += 1) {
+    const params = new URLSearchParams({ symbol: market.symbol, startTime, limit: PAGE_LIMIT });
+    const page = await fetchJson(`${API_BASE}/fapi/v1/fundingRate?${params}`, { label: 'aster-funding' });
+    if (!Array.isArray(page)) throw new Error(`Unexpected Aster response for ${market.symbol}: ${JSON.stringify(page).slice(0, 200)}`);
+
+    fresh.push(...page.map(r => toRecord(r, hours)).filter(Boolean));
+    console.log(`  ${market.name} page ${n}: ${page.length} records`);
+    if (page.length < PAGE_LIMIT) break;
+    if (n === MAX_PAGES) console.warn(`  ${market.name}: stopped after ${MAX_PAGES} pages — run again to continue`);
+    startTime = Number(page[page.length - 1].fundingTime) + 1;
+    await sleep(PAGE_DELAY_MS);
+  }
+  return fresh;
+}
+
+async function main() {
+  const backfill = process.argv.includes('--backfill');
+  const only = argValue('--market');
+  const markets = loadFundingMarkets('aster').filter(m => !only || m.name === only);
+  if (markets.length === 0) throw new Error(`Unknown market "${only}" — see config/funding-markets.json`);
+
+  const existing = readDataFile('aster-funding-rates.json', null);
+  const result = { lastUpdated: new Date().toISOString(), markets: { ...(existing?.markets || {}) } };
+
+  for (const market of markets) {
+    const file = recordsFile('aster', market.name);
+    const stored = readDataFile(file, null);
+    const records = stored?.records || [];
+    const sinceTs = backfill || records.length === 0 ? null : records[records.length - 1].ts;
+    console.log(`Fetching ${market.name} (${market.symbol}) ${sinceTs === null ? 'full history' : `since ${new Date(sinceTs * 1000).toISOString()}`}...`);
+
+    const fresh = await fetchSince(market, sinceTs);
+    const merged = mergeRecords(records, fresh);
+    if (merged.length === 0) {
+      console.log(`  No data for ${market.name}`);
+      result.markets[market.name] = result.markets[market.name] || [];
+      continue;
+    }
+
+    writeDataFile(file, { venue: 'aster', market: market.name, lastUpdated: result.lastUpdated, records: merged });
+    result.markets[market.name] = mergeDaily(result.markets[market.name], dailyAggregates(merged));
+    const days = result.markets[market.name];
+    console.log(`  ${market.name}: ${merged.length} funding records (+${fresh.length}), ${days.length} days (${days[0].date} to ${days[days.length - 1].date})`);
+  }
+
+  writeDataFile('aster-funding-rates.json', result);
+  console.log(`\nWritten to ${OUTPUT}`);
+}
+
+main().catch(async e => {
+  console.error(e);
+  await notify('failure', { source: 'asterFunding', label: 'Aster funding rates', error: e.message });
+  process.exit(1);
+});
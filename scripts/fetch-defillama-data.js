@@ -2,7 +2,8 @@
 /**
  * Fetch Jupiter Perps fee data from DefiLlama (Allium fallback).
  * Outputs:
- *   data/allium-fees.json       — Daily fee revenue (last 90 days)
+ *   data/allium-fees.json       — Daily fee revenue (last 90 days); days
+ *                                 Allium has already written are kept as is
  *
  * NOTE: DefiLlama does NOT provide trader P&L.
  * allium-trader-pnl.json is left untouched (stale data preserved).
@@ -11,17 +12,16 @@
  * DefiLlama fees endpoint: https://api.llama.fi/summary/fees/jupiter-perpetuals?dataType=dailyFees
  */
 
-const fs = require('fs');
-const path = require('path');
-const DATA_DIR = path.join(__dirname, '..', 'data');
+const { fetchJson } = require('./lib/source-adapter');
+const { readDataFile, writeDataFile } = require('./lib/data-store');
+const { notify } = require('./lib/notifier');
 
 async function fetchJupiterFees() {
     console.log('Fetching Jupiter Perps fees from DefiLlama...');
-    const resp = await fetch(
-        'https://api.llama.fi/summary/fees/jupiter-perpetual-exchange?dataType=dailyFees'
+    const json = await fetchJson(
+        'https://api.llama.fi/summary/fees/jupiter-perpetual-exchange?dataType=dailyFees',
+        { label: 'defillama' }
     );
-    if (!resp.ok) throw new Error(`DefiLlama error: ${resp.status} ${await resp.text()}`);
-    const json = await resp.json();
 
     // DefiLlama returns { totalDataChart: [[timestamp, value], ...], ... }
     const rawData = json.totalDataChart || [];
@@ -51,26 +51,30 @@ async function main() {
     try {
         const feesData = await fetchJupiterFees();
 
-        fs.writeFileSync(
-            path.join(DATA_DIR, 'allium-fees.json'),
-            JSON.stringify(feesData, null, 2)
-        );
-        console.log(`✅ Saved ${feesData.length} days of fee data (DefiLlama)`);
+        // Allium's rows are the better source (fees split by type) and mark
+        // where its incremental query resumes, so never replace them.
+        const alliumRows = readDataFile('allium-fees.json', []).filter(r => r.source === 'allium');
+        const alliumDates = new Set(alliumRows.map(r => r.date));
+        const merged = [...alliumRows, ...feesData.filter(r => !alliumDates.has(r.date))]
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        writeDataFile('allium-fees.json', merged);
+        console.log(`✅ Saved ${feesData.length} days of fee data (DefiLlama)${alliumRows.length ? `, ${alliumRows.length} Allium day(s) kept` : ''}`);
         console.log('⚠️  Trader P&L not available from DefiLlama — allium-trader-pnl.json unchanged (stale)');
         console.log('   Renew Allium subscription to restore trader P&L data.');
 
         // Update last-fetch metadata
-        const metaPath = path.join(DATA_DIR, 'allium-meta.json');
-        fs.writeFileSync(metaPath, JSON.stringify({
+        writeDataFile('allium-meta.json', {
             lastFetch: new Date().toISOString(),
             source: 'defillama',
             feeDays: feesData.length,
             traderPnlAvailable: false,
             warning: 'Allium subscription expired. Trader P&L data is stale.'
-        }, null, 2));
+        });
 
     } catch (e) {
         console.error('DefiLlama fetch failed:', e.message);
+        await notify('failure', { source: 'defillamaFees', label: 'Fee data (DefiLlama)', error: e.message });
         process.exit(1);
     }
 }
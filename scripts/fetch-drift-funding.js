@@ -1,126 +1,123 @@
 #!/usr/bin/env node
-// Fetch Drift funding rate data from the live API
-// Uses: https://mainnet-beta.api.drift.trade/fundingRates?marketIndex=N
-// Outputs: ../data/drift-funding-rates.json
+/**
+ * Fetch Drift perp funding rates for the markets in config/funding-markets.json
+ * ("drift": [{ name, marketIndex }]).
+ *
+ * Raw hourly records go to data/drift-funding/<market>.json (see
+ * lib/funding.js). A market with no stored history is backfilled page by page
+ * to its inception; after that only records newer than the last stored one
+ * are fetched. data/drift-funding-rates.json carries the daily aggregates
+ * (average, exact sum, 7d / 30d averages) computed from the hourly records;
+ * stored days the hourly history does not reach are kept as they are.
+ *
+ * Usage:
+ *   node scripts/fetch-drift-funding.js                       # incremental
+ *   node scripts/fetch-drift-funding.js --backfill            # re-page full history
+ *   node scripts/fetch-drift-funding.js --market SOL-PERP     # one market
+ */
 
-const fs = require('fs');
 const path = require('path');
-
-// marketIndex mapping on Drift
-const MARKETS = [
-  { name: 'SOL-PERP', index: 0 },
-  { name: 'BTC-PERP', index: 1 },
-  { name: 'ETH-PERP', index: 2 },
-];
+const { fetchText, sleep } = require('./lib/source-adapter');
+const { readDataFile, writeDataFile } = require('./lib/data-store');
+const { notify } = require('./lib/notifier');
+const { loadFundingMarkets, recordsFile, mergeRecords, dailyAggregates, mergeDaily } = require('./lib/funding');
 
 const API_BASE = 'https://data.api.drift.trade';
 const OUTPUT = path.join(__dirname, '..', 'data', 'drift-funding-rates.json');
+const PAGE_LIMIT = 1000;
+const MAX_PAGES = 500;
+const PAGE_DELAY_MS = 250;
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : undefined;
+}
 
 // Drift funding rate formula: fundingRate / oraclePriceTwap = hourly rate (decimal)
-// Annualized % = hourlyRate * 24 * 365 * 100
+// fundingRate is FUNDING_RATE_PRECISION (1e9), oraclePriceTwap is PRICE_PRECISION (1e6)
+function toHourly(r) {
+  const oracle = parseInt(r.oraclePriceTwap);
+  if (!oracle) return null; // skip bad records
+  return {
+    ts: parseInt(r.ts),
+    rate: parseFloat(((parseInt(r.fundingRate) / 1e9) / (oracle / 1e6)).toPrecision(10)),
+    fundingRate: String(r.fundingRate),
+    oraclePriceTwap: String(r.oraclePriceTwap),
+    ...(r.slot !== undefined ? { slot: parseInt(r.slot) } : {}),
+  };
+}
 
-async function fetchFundingRates(marketIndex) {
-  const url = `${API_BASE}/fundingRates?marketIndex=${marketIndex}`;
-  console.log(`Fetching marketIndex=${marketIndex}...`);
-  const res = await fetch(url);
-  const text = await res.text();
-  
-  // Response is a raw JSON array (sometimes without wrapping brackets)
-  // Parse the records
-  let records;
-  try {
-    const parsed = JSON.parse(text);
-    if (Array.isArray(parsed)) {
-      records = parsed;
-    } else if (parsed.fundingRates) {
-      records = parsed.fundingRates;
-    } else {
-      records = [parsed];
-    }
-  } catch (e) {
-    console.error(`Failed to parse response for marketIndex=${marketIndex}:`, e.message);
-    return [];
-  }
-  
-  console.log(`  Got ${records.length} records`);
-  return records;
+/**
+ * One page of funding records, newest first. The response is a bare array
+ * (older API) or { records | fundingRates, meta: { nextPage } } where
+ * nextPage is the cursor for the next, older page.
+ */
+async function fetchPage(market, page) {
+  const params = new URLSearchParams({ marketIndex: market.marketIndex, limit: PAGE_LIMIT });
+  if (page) params.set('page', page);
+  const text = await fetchText(`${API_BASE}/fundingRates?${params}`, { label: 'drift-funding' });
+
+  const parsed = JSON.parse(text);
+  const records = Array.isArray(parsed) ? parsed : parsed.records || parsed.fundingRates || [];
+  return { records, nextPage: parsed.meta?.nextPage || parsed.nextPage || null };
 }
 
-function processRecords(records) {
-  // Group by date, compute daily average funding rate
-  const dailyMap = {};
-  
-  for (const r of records) {
-    const ts = parseInt(r.ts) * 1000; // Unix seconds to ms
-    const date = new Date(ts).toISOString().slice(0, 10);
-    const oracle = parseInt(r.oraclePriceTwap);
-    if (!oracle) continue; // skip bad records
-    // fundingRate is FUNDING_RATE_PRECISION (1e9), oraclePriceTwap is PRICE_PRECISION (1e6)
-    const hourlyRate = (parseInt(r.fundingRate) / 1e9) / (oracle / 1e6); // decimal hourly rate
-    
-    if (!dailyMap[date]) {
-      dailyMap[date] = { sum: 0, count: 0 };
-    }
-    dailyMap[date].sum += hourlyRate;
-    dailyMap[date].count++;
+/** Records newer than `sinceTs` (all of them when null), paging back as far as needed. */
+async function fetchSince(market, sinceTs) {
+  const fresh = [];
+  let page = null;
+  for (let n = 1; n <= MAX_PAGES; n += 1) {
+    const { records, nextPage } = await fetchPage(market, page);
+    const hourly = records.map(toHourly).filter(Boolean);
+    const newer = sinceTs === null ? hourly : hourly.filter(r => r.ts > sinceTs);
+    fresh.push(...newer);
+    console.log(`  ${market.name} page ${n}: ${records.length} records, ${newer.length} new`);
+
+    // Reached stored history, the start of the market, or a page with nothing usable
+    if (!nextPage || records.length === 0 || newer.length < hourly.length) break;
+    if (n === MAX_PAGES) console.warn(`  ${market.name}: stopped after ${MAX_PAGES} pages — run again to continue`);
+    page = nextPage;
+    await sleep(PAGE_DELAY_MS);
   }
-  
-  // Convert to array sorted by date
-  return Object.entries(dailyMap)
-    .sort(([a], [b]) => a.localeCompare(b))
-    .map(([date, { sum, count }]) => {
-      const avgRate = sum / count;
-      // Each record is ~1 hour, so annualized = avgRate * 24 * 365 * 100
-      const annualizedPct = avgRate * 24 * 365 * 100;
-      return {
-        date,
-        avgRate: parseFloat(avgRate.toFixed(8)),
-        annualizedPct: parseFloat(annualizedPct.toFixed(4)),
-      };
-    });
+  return fresh;
 }
 
 async function main() {
-  const result = { lastUpdated: new Date().toISOString(), markets: {} };
-  
-  for (const { name, index } of MARKETS) {
-    const records = await fetchFundingRates(index);
-    if (records.length === 0) {
-      console.log(`  No data for ${name}`);
-      result.markets[name] = [];
+  const backfill = process.argv.includes('--backfill');
+  const only = argValue('--market');
+  const markets = loadFundingMarkets('drift').filter(m => !only || m.name === only);
+  if (markets.length === 0) throw new Error(`Unknown market "${only}" — see config/funding-markets.json`);
+
+  const existing = readDataFile('drift-funding-rates.json', null);
+  const result = { lastUpdated: new Date().toISOString(), markets: { ...(existing?.markets || {}) } };
+
+  for (const market of markets) {
+    const file = recordsFile('drift', market.name);
+    const stored = readDataFile(file, null);
+    const records = stored?.records || [];
+    const sinceTs = backfill || records.length === 0 ? null : records[records.length - 1].ts;
+    console.log(`Fetching ${market.name} (marketIndex=${market.marketIndex}) ${sinceTs === null ? 'full history' : `since ${new Date(sinceTs * 1000).toISOString()}`}...`);
+
+    const fresh = await fetchSince(market, sinceTs);
+    const merged = mergeRecords(records, fresh);
+    if (merged.length === 0) {
+      console.log(`  No data for ${market.name}`);
+      result.markets[market.name] = result.markets[market.name] || [];
       continue;
     }
-    
-    const daily = processRecords(records);
-    // Keep last 90 days
-    result.markets[name] = daily.slice(-90);
-    
-    const first = daily[daily.length - 1]?.date || 'N/A';
-    const last = daily[0]?.date || 'N/A';
-    console.log(`  ${name}: ${daily.length} days total, keeping last ${result.markets[name].length} (${result.markets[name][0]?.date} to ${first})`);
-  }
-  
-  // Merge with existing historical data if available
-  if (fs.existsSync(OUTPUT)) {
-    try {
-      const existing = JSON.parse(fs.readFileSync(OUTPUT, 'utf8'));
-      for (const { name } of MARKETS) {
-        if (existing.markets?.[name]?.length) {
-          const oldByDate = {};
-          for (const d of existing.markets[name]) oldByDate[d.date] = d;
-          for (const d of result.markets[name]) oldByDate[d.date] = d; // new overwrites old
-          result.markets[name] = Object.values(oldByDate).sort((a, b) => a.date.localeCompare(b.date));
-          console.log(`  ${name}: merged to ${result.markets[name].length} days (${result.markets[name][0]?.date} to ${result.markets[name].at(-1)?.date})`);
-        }
-      }
-    } catch (e) {
-      console.log('Could not merge with existing data:', e.message);
-    }
+
+    writeDataFile(file, { venue: 'drift', market: market.name, lastUpdated: result.lastUpdated, records: merged });
+    result.markets[market.name] = mergeDaily(result.markets[market.name], dailyAggregates(merged));
+    const days = result.markets[market.name];
+    console.log(`  ${market.name}: ${merged.length} hourly records (+${fresh.length}), ${days.length} days (${days[0].date} to ${days[days.length - 1].date})`);
   }
 
-  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
-  fs.writeFileSync(OUTPUT, JSON.stringify(result, null, 2));
+  writeDataFile('drift-funding-rates.json', result);
   console.log(`\nWritten to ${OUTPUT}`);
 }
 
-main().catch(e => { console.error(e); process.exit(1); });
+main().catch(async e => {
+  console.error(e);
+  await notify('failure', { source: 'driftFunding', label: 'Drift funding rates', error: e.message });
+  process.exit(1);
+});
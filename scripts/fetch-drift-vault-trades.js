@@ -1,152 +1,304 @@
 #!/usr/bin/env node
-
 /**
- * Fetch Drift vault (PN_KV1) trade/position history and compute P&L by timeframe.
- * Vault address: G3RT2wdEYCphzcvXEHb8u4Yc4ZRscsQ1KRYywdBjgUZp
+ * KV1 Drift trade ledger — every fill, P&L settlement and funding payment of
+ * the vault's Drift user account, decoded from Drift program events.
+ *
+ * Each run:
+ *   1. scans transactions newer than the ledger's head (all of them, oldest
+ *      first);
+ *   2. continues the backfill from the oldest transaction scanned so far,
+ *      paging back with `before` until the account's first transaction;
+ * decodes OrderActionRecord fills, SettlePnlRecord and FundingPaymentRecord
+ * events for the account and appends them to data/kv1-trade-ledger.json (see
+ * lib/trade-ledger.js), then regenerates kv1-drift-trades.json and
+ * kv1-trade-summary.json from the whole ledger once it is verified (backfill
+ * complete, nothing unreadable).
+ *
+ * Progress is checkpointed every CHECKPOINT_EVERY transactions, so an
+ * interrupted run resumes where it stopped. --max-tx caps the transactions
+ * read per run (the backfill picks up again next run).
+ *
+ * Usage:
+ *   node scripts/fetch-drift-vault-trades.js [--max-tx 2000]
  */
 
-const { Connection, PublicKey } = require('@solana/web3.js');
-const { DriftClient, Wallet, BN, getUserAccountPublicKeySync, initialize } = require('@drift-labs/sdk');
-const fs = require('fs');
-const path = require('path');
+const { loadVaults } = require('./lib/vault-registry');
+const { resolveRpcUrl } = require('./lib/rpc');
+const { notify } = require('./lib/notifier');
+const {
+  loadTradeLedger,
+  appendEntries,
+  saveTradeLedger,
+  writeTradeFiles,
+  TRADE_LEDGER_FILE,
+} = require('./lib/trade-ledger');
+
+const VAULT_ID = 'kv1';
+const SUB_ACCOUNT_ID = 0;
+const PAGE_LIMIT = 1000;
+const DEFAULT_MAX_TX = 2000;
+const CHECKPOINT_EVERY = 100;
+const RETRIES = 3;
+const QUOTE_PRECISION = 1e6;
+const BASE_PRECISION = 1e9;
+const PRICE_PRECISION = 1e6;
+const ALERT = { source: 'kv1Trades', label: 'KV1 Drift trade ledger' };
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : undefined;
+}
+
+function localDate(unixSeconds, timeZone) {
+  return new Date(unixSeconds * 1000).toLocaleDateString('en-CA', { timeZone });
+}
+
+// BN → number without toNumber()'s 53-bit throw
+function num(bn) {
+  return Number(bn.toString());
+}
+
+function enumKey(value) {
+  return value ? Object.keys(value)[0] : null;
+}
 
-const VAULT_ADDRESS = 'G3RT2wdEYCphzcvXEHb8u4Yc4ZRscsQ1KRYywdBjgUZp';
-const _heliusCfg = JSON.parse(fs.readFileSync(path.join(process.env.HOME, '.openclaw/helius/config.json'), 'utf8'));
-const RPC_URL = process.env.HELIUS_RPC_URL || _heliusCfg.mainnetRpc;
+async function withRetry(label, fn) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= RETRIES) throw new Error(`${label}: ${error.message}`);
+      await new Promise(resolve => setTimeout(resolve, 500 * 2 ** attempt));
+    }
+  }
+}
 
-// Drift program
-const DRIFT_PROGRAM = new PublicKey('dRiftyHA39MWEi3m9aunc5MzRF1JYuBsbn6VPcn33UH');
+// ── Decoding ──────────────────────────────────────────────────────────────────
+function marketName(markets, type, index) {
+  const list = type === 'spot' ? markets.spot : markets.perp;
+  return list.find(m => m.marketIndex === index)?.symbol || `${type.toUpperCase()}-${index}`;
+}
 
-// Market index mapping
-const PERP_MARKETS = {
-  0: 'SOL',
-  1: 'BTC', 
-  2: 'ETH',
+function basePrecision(markets, type, index) {
+  if (type !== 'spot') return BASE_PRECISION;
+  const spot = markets.spot.find(m => m.marketIndex === index);
+  return spot ? 10 ** num(spot.precisionExp) : BASE_PRECISION;
+}
+
+function decodeFill(data, user, markets) {
+  if (enumKey(data.action) !== 'fill') return null;
+  const role = data.taker?.toBase58() === user ? 'taker' : data.maker?.toBase58() === user ? 'maker' : null;
+  if (!role) return null;
+
+  const marketType = enumKey(data.marketType);
+  const baseAmount = num(data.baseAssetAmountFilled) / basePrecision(markets, marketType, data.marketIndex);
+  const quoteAmount = num(data.quoteAssetAmountFilled) / QUOTE_PRECISION;
+  return {
+    type: 'fill',
+    marketIndex: data.marketIndex,
+    market: marketName(markets, marketType, data.marketIndex),
+    marketType,
+    role,
+    direction: enumKey(role === 'taker' ? data.takerOrderDirection : data.makerOrderDirection),
+    baseAmount,
+    quoteAmount,
+    price: baseAmount > 0 ? quoteAmount / baseAmount : null,
+    fee: role === 'taker' ? num(data.takerFee) / QUOTE_PRECISION : num(data.makerFee) / QUOTE_PRECISION,
+    fillRecordId: data.fillRecordId.toString(),
+    oraclePrice: num(data.oraclePrice) / PRICE_PRECISION,
+  };
+}
+
+function decodeSettlePnl(data, user, markets) {
+  if (data.user.toBase58() !== user) return null;
+  return {
+    type: 'settlePnl',
+    marketIndex: data.marketIndex,
+    market: marketName(markets, 'perp', data.marketIndex),
+    pnl: num(data.pnl) / QUOTE_PRECISION,
+    settlePrice: num(data.settlePrice) / PRICE_PRECISION,
+    baseAmount: num(data.baseAssetAmount) / BASE_PRECISION,
+    explanation: enumKey(data.explanation),
+  };
+}
+
+function decodeFunding(data, user, markets) {
+  if (data.user.toBase58() !== user) return null;
+  return {
+    type: 'funding',
+    marketIndex: data.marketIndex,
+    market: marketName(markets, 'perp', data.marketIndex),
+    payment: num(data.fundingPayment) / QUOTE_PRECISION,
+    baseAmount: num(data.baseAssetAmount) / BASE_PRECISION,
+  };
+}
+
+const DECODERS = {
+  OrderActionRecord: decodeFill,
+  SettlePnlRecord: decodeSettlePnl,
+  FundingPaymentRecord: decodeFunding,
 };
 
-async function main() {
-  console.log('Fetching Drift vault data...');
-  
-  const connection = new Connection(RPC_URL, 'confirmed');
-  const vaultPubkey = new PublicKey(VAULT_ADDRESS);
-  
-  // Derive user account PDA (subaccount 0)
-  const [userAccountPda] = PublicKey.findProgramAddressSync(
-    [Buffer.from('user'), vaultPubkey.toBuffer(), Buffer.from([0, 0])], // u16 LE = 0
-    DRIFT_PROGRAM
-  );
-  console.log('User PDA:', userAccountPda.toString());
-  
-  // Fetch the user account data directly
-  const accountInfo = await connection.getAccountInfo(userAccountPda);
-  if (!accountInfo) {
-    console.log('User account not found');
-    return;
+/** Ledger entries for the account's events in one transaction's logs. */
+function decodeTransaction(ctx, sig, logs) {
+  const entries = [];
+  let n = 0;
+  for (const event of ctx.parser.parseLogs(logs)) {
+    const index = n++;
+    const decoded = DECODERS[event.name]?.(event.data, ctx.user, ctx.markets);
+    if (!decoded) continue;
+    const ts = num(event.data.ts);
+    entries.push({
+      id: `${sig.signature}:${index}`,
+      signature: sig.signature,
+      slot: sig.slot,
+      timestamp: new Date(ts * 1000).toISOString(),
+      date: localDate(ts, ctx.vault.timezone),
+      ...decoded,
+    });
   }
-  console.log('Account data size:', accountInfo.data.length, 'bytes');
-  
-  // Use Drift's historical trade data API (S3)
-  // Since S3 doesn't have this user, let's try fetching recent transaction signatures
-  // and parsing the trade events from them
-  
-  const signatures = await connection.getSignaturesForAddress(userAccountPda, {
-    limit: 100,
-  });
-  console.log(`Found ${signatures.length} recent transactions`);
-  
-  // Get transaction details to extract P&L
-  const trades = [];
-  let processed = 0;
-  
-  for (const sig of signatures.slice(0, 50)) {
-    try {
-      const tx = await connection.getParsedTransaction(sig.signature, {
-        maxSupportedTransactionVersion: 0,
-      });
-      
-      if (!tx || !tx.meta || tx.meta.err) continue;
-      
-      // Look at token balance changes (USDC flows indicate P&L settlements)
-      const preBalances = tx.meta.preTokenBalances || [];
-      const postBalances = tx.meta.postTokenBalances || [];
-      
-      // Find USDC balance changes for the vault
-      for (const post of postBalances) {
-        if (post.owner === VAULT_ADDRESS) {
-          const pre = preBalances.find(p => 
-            p.owner === VAULT_ADDRESS && 
-            p.mint === post.mint &&
-            p.accountIndex === post.accountIndex
-          );
-          if (pre) {
-            const preAmount = parseFloat(pre.uiTokenAmount.uiAmountString || '0');
-            const postAmount = parseFloat(post.uiTokenAmount.uiAmountString || '0');
-            const delta = postAmount - preAmount;
-            if (Math.abs(delta) > 0.01) {
-              trades.push({
-                timestamp: new Date(sig.blockTime * 1000).toISOString(),
-                signature: sig.signature,
-                mint: post.mint,
-                delta: delta,
-                preBalance: preAmount,
-                postBalance: postAmount,
-              });
-            }
-          }
-        }
-      }
-      
-      processed++;
-      if (processed % 10 === 0) {
-        console.log(`Processed ${processed}/50 transactions...`);
-        // Rate limit
-        await new Promise(r => setTimeout(r, 200));
+  return entries;
+}
+
+// ── Scanning ──────────────────────────────────────────────────────────────────
+function signaturePage(ctx, options) {
+  return withRetry('getSignaturesForAddress', () =>
+    ctx.connection.getSignaturesForAddress(ctx.userPubkey, { limit: PAGE_LIMIT, ...options }, 'confirmed'));
+}
+
+/** Read and decode `signatures` in order; `checkpoint(sig)` runs after each one is stored. */
+async function processSignatures(ctx, ledger, signatures, checkpoint) {
+  let added = 0;
+  for (const sig of signatures) {
+    if (ctx.budget <= 0) return { added, stopped: true };
+    ctx.budget -= 1;
+    if (!sig.err) {
+      try {
+        const tx = await withRetry(sig.signature, () =>
+          ctx.connection.getTransaction(sig.signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 }));
+        if (!tx?.meta?.logMessages) throw new Error('transaction not returned by RPC');
+        added += appendEntries(ledger, decodeTransaction(ctx, sig, tx.meta.logMessages)).length;
+      } catch (error) {
+        ledger.unreadable.push({ signature: sig.signature, slot: sig.slot, error: error.message });
+        console.warn(`[KV1 Trades] ⚠️ ${sig.signature}: ${error.message}`);
       }
-    } catch (e) {
-      // Skip errors (rate limits etc)
-      await new Promise(r => setTimeout(r, 500));
+    }
+    checkpoint(sig);
+    ctx.sinceCheckpoint += 1;
+    if (ctx.sinceCheckpoint >= CHECKPOINT_EVERY) {
+      saveTradeLedger(ledger);
+      ctx.sinceCheckpoint = 0;
     }
   }
-  
-  console.log(`\nFound ${trades.length} balance changes`);
-  
-  // Compute P&L by timeframe
-  const now = Date.now();
-  const timeframes = {
-    '24h': 24 * 60 * 60 * 1000,
-    '7d': 7 * 24 * 60 * 60 * 1000,
-    '30d': 30 * 24 * 60 * 60 * 1000,
-    '90d': 90 * 24 * 60 * 60 * 1000,
-    '180d': 180 * 24 * 60 * 60 * 1000,
-  };
-  
-  const results = {};
-  for (const [label, ms] of Object.entries(timeframes)) {
-    const cutoff = new Date(now - ms);
-    const relevant = trades.filter(t => new Date(t.timestamp) >= cutoff);
-    const totalDelta = relevant.reduce((sum, t) => sum + t.delta, 0);
-    results[label] = {
-      trades: relevant.length,
-      netDelta: totalDelta.toFixed(2),
-    };
+  return { added, stopped: false };
+}
+
+// Transactions after the head, oldest first
+async function scanNew(ctx, ledger) {
+  if (!ledger.head) return 0;
+  const signatures = [];
+  let before;
+  for (;;) {
+    const page = await signaturePage(ctx, { before, until: ledger.head.signature });
+    signatures.push(...page);
+    if (page.length < PAGE_LIMIT) break;
+    before = page[page.length - 1].signature;
+  }
+  signatures.reverse();
+  const { added } = await processSignatures(ctx, ledger, signatures, sig => {
+    ledger.head = { signature: sig.signature, slot: sig.slot };
+  });
+  console.log(`[KV1 Trades] ${signatures.length} new transaction(s), ${added} new event(s)`);
+  return added;
+}
+
+// Older transactions, newest first, from where the backfill stopped
+async function scanBackfill(ctx, ledger) {
+  let added = 0;
+  let scanned = 0;
+  while (!ledger.backfill.complete && ctx.budget > 0) {
+    const page = await signaturePage(ctx, { before: ledger.backfill.before || undefined });
+    if (!ledger.head && page[0]) ledger.head = { signature: page[0].signature, slot: page[0].slot };
+    const result = await processSignatures(ctx, ledger, page, sig => {
+      ledger.backfill.before = sig.signature;
+      ledger.backfill.slot = sig.slot;
+      scanned += 1;
+    });
+    added += result.added;
+    if (!result.stopped && page.length < PAGE_LIMIT) ledger.backfill.complete = true;
+  }
+  if (scanned > 0) {
+    console.log(`[KV1 Trades] Backfill: ${scanned} older transaction(s), ${added} event(s)${ledger.backfill.complete ? ' — reached the first transaction' : ' — continues next run'}`);
+  }
+  return added;
+}
+
+async function main() {
+  const { Connection, PublicKey, Keypair } = require('@solana/web3.js');
+  const { EventParser } = require('@coral-xyz/anchor');
+  const { DriftClient, Wallet, PerpMarkets, SpotMarkets, getUserAccountPublicKeySync } = require('@drift-labs/sdk');
+
+  const vault = loadVaults().find(v => v.id === VAULT_ID);
+  if (!vault) throw new Error(`Vault "${VAULT_ID}" is not in config/vaults.json`);
+
+  const connection = new Connection(resolveRpcUrl(), 'confirmed');
+  const driftClient = new DriftClient({ connection, wallet: new Wallet(Keypair.generate()), env: 'mainnet-beta' });
+  const { program } = driftClient;
+  const userPubkey = getUserAccountPublicKeySync(program.programId, new PublicKey(vault.address), SUB_ACCOUNT_ID);
+
+  const ledger = loadTradeLedger();
+  if (ledger.user && ledger.user !== userPubkey.toBase58()) {
+    throw new Error(`data/${TRADE_LEDGER_FILE} belongs to user account ${ledger.user}, not ${userPubkey.toBase58()}`);
   }
-  
-  console.log('\n=== P&L by Timeframe ===');
-  for (const [label, data] of Object.entries(results)) {
-    console.log(`${label}: ${data.trades} trades, net delta: $${data.netDelta}`);
+  ledger.vault = vault.address;
+  ledger.user = userPubkey.toBase58();
+
+  const ctx = {
+    connection,
+    vault,
+    userPubkey,
+    user: ledger.user,
+    parser: new EventParser(program.programId, program.coder),
+    markets: { perp: PerpMarkets['mainnet-beta'], spot: SpotMarkets['mainnet-beta'] },
+    budget: parseInt(argValue('--max-tx') || DEFAULT_MAX_TX, 10),
+    sinceCheckpoint: 0,
+  };
+  console.log(`[KV1 Trades] User account ${ledger.user} (${vault.name})`);
+
+  const unreadableBefore = ledger.unreadable.length;
+  await scanNew(ctx, ledger);
+  await scanBackfill(ctx, ledger);
+  saveTradeLedger(ledger);
+  if (!writeTradeFiles(ledger, { vaultName: vault.name })) {
+    console.log('[KV1 Trades] Ledger not verified yet — kv1-drift-trades.json and kv1-trade-summary.json left as they are');
   }
-  
-  // Save raw data
-  const outputPath = path.join(__dirname, '..', 'data', 'drift-vault-trades.json');
-  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
-  fs.writeFileSync(outputPath, JSON.stringify({
-    vault: VAULT_ADDRESS,
-    userPda: userAccountPda.toString(),
-    fetchedAt: new Date().toISOString(),
-    trades,
-    timeframeSummary: results,
-  }, null, 2));
-  console.log(`\nSaved to ${outputPath}`);
-}
-
-main().catch(console.error);
+
+  const fills = ledger.entries.filter(e => e.type === 'fill').length;
+  console.log(`[KV1 Trades] Ledger: ${ledger.entries.length} event(s), ${fills} fill(s)${ledger.backfill.complete ? '' : ' (backfill in progress)'}`);
+  return ledger.unreadable.slice(unreadableBefore);
+}
+
+if (require.main === module) {
+  main()
+    .then(async unreadable => {
+      if (unreadable.length > 0) {
+        await notify('deviation', {
+          ...ALERT,
+          lines: [`${unreadable.length} transaction(s) could not be read and are missing from the ledger:`, ...unreadable.slice(0, 10).map(u => `${u.signature}: ${u.error}`)],
+          impact: `Trade totals may be incomplete; the signatures are listed under "unreadable" in data/${TRADE_LEDGER_FILE}.`,
+        });
+      }
+      process.exit(0);
+    })
+    .catch(async e => {
+      console.error(`[KV1 Trades] FATAL: ${e.message}`);
+      await notify('failure', { ...ALERT, error: e.message, hint: 'node scripts/fetch-drift-vault-trades.js --max-tx 100' });
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  decodeTransaction,
+  scanNew,
+  scanBackfill,
+};
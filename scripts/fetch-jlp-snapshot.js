@@ -4,6 +4,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const { fetchJson } = require('./lib/source-adapter');
+const { writeDataFile } = require('./lib/data-store');
+const { notify } = require('./lib/notifier');
 
 const OUTPUT = path.join(__dirname, '..', 'data', 'jlp-snapshots.json');
 const JLP_API = 'https://perps-api.jup.ag/v2/jlp-info';
@@ -12,14 +15,11 @@ const DEFILLAMA_API = 'https://api.llama.fi/summary/fees/jupiter-perpetual-excha
 async function main() {
   console.log('Fetching JLP snapshot...');
   
-  const [jlpRes, feeRes] = await Promise.all([
-    fetch(JLP_API),
-    fetch(DEFILLAMA_API)
+  const [jlpInfo, feeData] = await Promise.all([
+    fetchJson(JLP_API, { label: 'jlp-snapshot' }),
+    fetchJson(DEFILLAMA_API, { label: 'jlp-snapshot' })
   ]);
   
-  const jlpInfo = await jlpRes.json();
-  const feeData = await feeRes.json();
-  
   const aum = parseInt(jlpInfo.aumUsd) / 1e6; // to USD
   const navPrice = parseInt(jlpInfo.jlpPriceUsd) / 1e6;
   const apyPct = parseFloat(jlpInfo.jlpApyPct || 0);
@@ -89,9 +89,12 @@ async function main() {
   history.snapshots = Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
   history.lastUpdated = snapshot.timestamp;
   
-  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
-  fs.writeFileSync(OUTPUT, JSON.stringify(history, null, 2));
+  writeDataFile('jlp-snapshots.json', history);
   console.log(`\nWritten to ${OUTPUT} (${history.snapshots.length} snapshots)`);
 }
 
-main().catch(e => { console.error(e); process.exit(1); });
+main().catch(async e => {
+  console.error(e);
+  await notify('failure', { source: 'jlpSnapshot', label: 'JLP pool snapshot', error: e.message });
+  process.exit(1);
+});
@@ -1,91 +1,37 @@
 #!/usr/bin/env node
 /**
  * fetch-jlp-strategy.js
- * Fetches the Prime Number JLP report and extracts the current
+ * Fetches the Prime Number JLP report, archives the full parse (every
+ * strategy and chart, see lib/prime-report.js) and extracts the current
  * "3x JLP (borrow SOL) + Aster Funding" summary and chart series.
- * Saves to data/jlp-strategy-latest.json
+ * Saves to data/jlp-strategy-latest.json and data/prime-report-archive/
+ * through storeReport(), which logs restatements first.
  */
 
-const fs   = require('fs');
 const path = require('path');
+const { notify } = require('./lib/notifier');
+const { REPORT_URL, fetchReport, parseReport, storeReport } = require('./lib/prime-report');
 
-const REPORT_URL   = 'https://app.primenumber.trade/data/jlp_report.html';
-const OUT_PATH     = path.join(__dirname, '..', 'data', 'jlp-strategy-latest.json');
-const STRATEGY_KEY = '3x JLP (borrow SOL) + Aster Funding';
-
-async function fetchReport() {
-    const res = await fetch(REPORT_URL, { signal: AbortSignal.timeout(20_000) });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    return res.text();
-}
-
-function parseStrategy(html, strategyName) {
-    // Strip HTML tags to get plain text, then find the row
-    const text = html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ');
-
-    const idx = text.indexOf(strategyName);
-    if (idx === -1) throw new Error(`Strategy "${strategyName}" not found in report`);
-
-    // After the strategy name, the next tokens are: startDate endDate +X.XX% +Y.YY%
-    const after = text.slice(idx + strategyName.length).trim();
-    const tokens = after.split(/\s+/).filter(Boolean);
-
-    // tokens[0] = startDate (YYYY-MM-DD)
-    // tokens[1] = endDate   (YYYY-MM-DD)
-    // tokens[2] = cumulative return e.g. +11.34%
-    // tokens[3] = annualized return  e.g. +33.37%
-
-    const startDate    = tokens[0];
-    const endDate      = tokens[1];
-    const cumulRaw     = tokens[2]; // "+11.34%"
-    const annualRaw    = tokens[3]; // "+33.37%"
-
-    const cumulative   = parseFloat(cumulRaw.replace('%', ''));
-    const annualized   = parseFloat(annualRaw.replace('%', ''));
-
-    if (isNaN(cumulative) || isNaN(annualized)) {
-        throw new Error(`Failed to parse returns from tokens: ${tokens.slice(0, 6).join(', ')}`);
-    }
-
-    return { strategy: strategyName, startDate, endDate, cumulative, annualized };
-}
-
-function parseStrategyPoints(html, strategyName) {
-    const match = html.match(/chart2\.setOption\((\{.*?\})\);\s*window\.addEventListener/s);
-    if (!match) return [];
-
-    const chart = JSON.parse(match[1]);
-    const dates = chart?.xAxis?.data;
-    const series = chart?.series?.find(s => s.name === strategyName);
-    if (!Array.isArray(dates) || !Array.isArray(series?.data)) return [];
-
-    return dates.map((date, i) => ({
-        date,
-        roi: Number(series.data[i])
-    })).filter(point => point.date && Number.isFinite(point.roi));
-}
+const OUT_PATH = path.join(__dirname, '..', 'data', 'jlp-strategy-latest.json');
 
 async function main() {
     console.log(`[jlp-strategy] Fetching ${REPORT_URL} …`);
-    const html = await fetchReport();
-    const result = parseStrategy(html, STRATEGY_KEY);
-    const points = parseStrategyPoints(html, STRATEGY_KEY);
+    const report = parseReport(await fetchReport({ label: 'jlp-strategy' }));
+    const { summary, points, archived } = await storeReport(report, { fetchedAt: new Date() });
 
-    const out = {
-        ...result,
-        points,
-        fetchedAt: new Date().toISOString(),
-    };
-
-    fs.writeFileSync(OUT_PATH, JSON.stringify(out, null, 2));
     console.log(`[jlp-strategy] ✅ Saved → ${OUT_PATH}`);
-    console.log(`[jlp-strategy]    ${result.strategy}`);
-    console.log(`[jlp-strategy]    ${result.startDate} → ${result.endDate}`);
-    console.log(`[jlp-strategy]    Cumulative: +${result.cumulative}%  |  Annualized: +${result.annualized}%`);
+    console.log(`[jlp-strategy]    ${summary.strategy}`);
+    console.log(`[jlp-strategy]    ${summary.startDate} → ${summary.endDate}`);
+    console.log(`[jlp-strategy]    Cumulative: +${summary.cumulative}%  |  Annualized: +${summary.annualized}%`);
     console.log(`[jlp-strategy]    Points: ${points.length}`);
+    console.log(`[jlp-strategy]    Archived ${report.strategies.length} strategies, ${report.charts.length} charts → prime-report-archive/${archived}.json`);
+    if (report.skippedCharts.length > 0) {
+        console.warn(`[jlp-strategy]    Skipped charts: ${report.skippedCharts.map(c => `${c.id} (${c.error})`).join(', ')}`);
+    }
 }
 
-main().catch(e => {
+main().catch(async e => {
     console.error(`[jlp-strategy] ❌ ${e.message}`);
+    await notify('failure', { source: 'jlpStrategy', label: 'JLP strategy report (3x Aster Funding)', error: e.message });
     process.exit(1);
 });
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Daily JLP utilization snapshot — pool AUM against its cap and each
+ * custody's utilization and weight vs target weight, from Jupiter's
+ * jlp-info endpoint.
+ *
+ * Appends one row per ET date to data/jlp-utilization-history.json (a later
+ * run the same day replaces it):
+ *
+ *   [{ date, timestamp (ms), aumUsd, aumLimitUsd, apyPct,
+ *      utilizationCapPct,                  // AUM as % of aumLimitUsd
+ *      custodies: [{ symbol, utilizationPct, weightPct, targetWeightPct }] }]
+ *
+ * Usage:
+ *   node scripts/fetch-jlp-utilization.js
+ */
+
+const { fetchJson } = require('./lib/source-adapter');
+const { readDataFile, writeDataFile } = require('./lib/data-store');
+const { notify } = require('./lib/notifier');
+const { custodyWeightPct } = require('./lib/hedge');
+
+const JLP_INFO_URL = 'https://perps-api.jup.ag/v2/jlp-info';
+const OUTPUT_FILE = 'jlp-utilization-history.json';
+const USD_PRECISION = 1e6;
+// jlp-info field names have changed before; take the first one present
+const AUM_LIMIT_FIELDS = ['aumLimitUsd', 'maxAumUsd'];
+const TARGET_WEIGHT_FIELDS = ['targetWeightagePct', 'targetWeightPct'];
+const UTILIZATION_FIELDS = ['utilizationPct', 'utilizationRatePct'];
+
+function round(value, decimals = 2) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+/** The first of `fields` set on `obj`; throws naming the fields it has. */
+function pick(obj, fields, what) {
+  const field = fields.find(f => obj[f] !== undefined && obj[f] !== null);
+  if (!field) {
+    throw new Error(`jlp-info ${what} not found (${fields.join(' / ')}); fields: ${Object.keys(obj).join(', ')}`);
+  }
+  return obj[field];
+}
+
+/** One utilization-history row from a jlp-info response. */
+function utilizationSnapshot(jlpInfo, now = new Date()) {
+  const aumUsd = parseInt(jlpInfo.aumUsd) / USD_PRECISION;
+  const aumLimitUsd = parseInt(pick(jlpInfo, AUM_LIMIT_FIELDS, 'AUM limit')) / USD_PRECISION;
+  if (!(aumLimitUsd > 0)) throw new Error(`jlp-info AUM limit is ${aumLimitUsd}`);
+
+  return {
+    date: now.toLocaleDateString('en-CA', { timeZone: 'America/New_York' }),
+    timestamp: now.getTime(),
+    aumUsd: round(aumUsd),
+    aumLimitUsd: round(aumLimitUsd),
+    apyPct: round(parseFloat(jlpInfo.jlpApyPct || 0)),
+    utilizationCapPct: round((aumUsd / aumLimitUsd) * 100, 4),
+    custodies: (jlpInfo.custodies || []).map(c => ({
+      symbol: c.symbol,
+      utilizationPct: round(parseFloat(pick(c, UTILIZATION_FIELDS, `custody ${c.symbol} utilization`))),
+      weightPct: round(custodyWeightPct(c)),
+      targetWeightPct: round(parseFloat(pick(c, TARGET_WEIGHT_FIELDS, `custody ${c.symbol} target weight`))),
+    })),
+  };
+}
+
+async function main() {
+  const jlpInfo = await fetchJson(JLP_INFO_URL, { label: 'jlp-utilization' });
+  const snapshot = utilizationSnapshot(jlpInfo);
+
+  console.log(`[Utilization] AUM $${(snapshot.aumUsd / 1e9).toFixed(3)}B of $${(snapshot.aumLimitUsd / 1e9).toFixed(2)}B cap (${snapshot.utilizationCapPct.toFixed(1)}%)`);
+  for (const c of snapshot.custodies) {
+    console.log(`[Utilization]   ${c.symbol}: ${c.utilizationPct}% utilized, weight ${c.weightPct}% (target ${c.targetWeightPct}%)`);
+  }
+
+  // One row per ET date, the latest run winning
+  const history = readDataFile(OUTPUT_FILE, []).filter(s => s.date !== snapshot.date);
+  history.push(snapshot);
+  history.sort((a, b) => a.date.localeCompare(b.date));
+  writeDataFile(OUTPUT_FILE, history);
+  console.log(`[Utilization] ${OUTPUT_FILE}: ${history.length} day(s)`);
+}
+
+if (require.main === module) {
+  main().catch(async e => {
+    console.error(`[Utilization] FATAL: ${e.message}`);
+    await notify('failure', { source: 'jlpUtilization', label: 'JLP utilization snapshot', error: e.message });
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  utilizationSnapshot,
+};
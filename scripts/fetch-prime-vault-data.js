@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Mirror the Prime Number KV1 vault feeds into data/ so the dashboards can
+ * load them without CORS proxies.
+ * Outputs:
+ *   data/pn-kv1-current.json — latest tvl / SharePrice
+ *   data/pn-kv1-history.json — full daily history as published
+ *
+ * Past history points the feed has revised since the last fetch are logged
+ * to data/restatements.json before the file is overwritten.
+ */
+
+const { fetchJson } = require('./lib/source-adapter');
+const { readDataFile, validateData, writeDataFile } = require('./lib/data-store');
+const { notify } = require('./lib/notifier');
+const { diffSeries, recordRestatements } = require('./lib/restatements');
+
+const FEEDS = [
+  { url: 'https://app.primenumber.trade/data/PN_KV1.json', file: 'pn-kv1-current.json' },
+  {
+    url: 'https://app.primenumber.trade/data/PN_KV1_history.json',
+    file: 'pn-kv1-history.json',
+    restatements: {
+      series: 'PN_KV1 history',
+      dateOf: point => point.update_time_utc.slice(0, 10),
+      tolerances: { SharePrice: 1e-6, tvl: 1 },
+    },
+  },
+];
+
+async function main() {
+  // Fetch everything before writing anything so a half-failed run never
+  // leaves current and history out of sync.
+  const payloads = await Promise.all(FEEDS.map(feed => fetchJson(feed.url, { label: 'prime-vault' })));
+  FEEDS.forEach((feed, i) => {
+    const violations = validateData(feed.file, payloads[i]);
+    if (violations.length > 0) {
+      throw new Error(`${feed.url} failed validation (${violations[0].path}: ${violations[0].message}) — nothing written`);
+    }
+  });
+
+  for (const [i, feed] of FEEDS.entries()) {
+    if (feed.restatements) {
+      const { series, dateOf, tolerances } = feed.restatements;
+      const changes = diffSeries(readDataFile(feed.file, []), payloads[i], { dateOf, tolerances });
+      await recordRestatements({ source: 'primeVault', series, label: 'Prime Number vault data', changes });
+    }
+    writeDataFile(feed.file, payloads[i]);
+    console.log(`[prime-vault] ✅ Saved → data/${feed.file}`);
+  }
+}
+
+main().catch(async e => {
+  console.error(`[prime-vault] ❌ ${e.message}`);
+  await notify('failure', { source: 'primeVault', label: 'Prime Number vault data', error: e.message });
+  process.exit(1);
+});
@@ -1,62 +1,154 @@
 #!/usr/bin/env node
 /**
- * Snapshot trader P&L and pool metrics from Jupiter's JLP API.
- * Run daily via cron. Accumulates into data/trader-pnl-snapshots.json
+ * Daily trader exposure and P&L snapshot of the JLP pool, per custody, from
+ * Jupiter's jlp-info custodies array. Accumulates into
+ * data/trader-pnl-snapshots.json, one row per ET date (a later run the same
+ * day replaces it):
+ *
+ *   [{ timestamp, date, aumUsd, jlpPriceUsd, jlpApyPct, jlpAprPct,
+ *      custodies: { <symbol>: exposure } | null,
+ *      totals: exposure | null }]
+ *
+ *   exposure = { longOiUsd, shortOiUsd, guaranteedUsd,
+ *                longPnlUsd, shortPnlUsd, unrealizedPnlUsd }
+ *
+ * P&L is the traders' side — positive means traders are winning and the pool
+ * is paying out. Short values come from globalShortSizes and
+ * shortPnlDelta / shortTradersHasProfit; the long side is read from the
+ * matching long fields and is null on days jlp-info did not report them.
+ * unrealizedPnlUsd is long + short (short alone when the long side is
+ * missing); totals sum the custodies.
+ *
+ * Rows written before the per-custody rebuild (top-level fields jlp-info
+ * never returned) are migrated on every run: AUM converted to USD,
+ * custodies/totals null, same-day duplicates collapsed to the latest.
+ *
+ * Usage:
+ *   node scripts/fetch-trader-pnl.js
  */
 
-const fs = require('fs');
-const path = require('path');
+const { fetchJson } = require('./lib/source-adapter');
+const { readDataFile, writeDataFile } = require('./lib/data-store');
+const { notify } = require('./lib/notifier');
 
 const JLP_INFO_URL = 'https://perps-api.jup.ag/v2/jlp-info';
-const DATA_FILE = path.join(__dirname, '..', 'data', 'trader-pnl-snapshots.json');
+const DATA_FILE = 'trader-pnl-snapshots.json';
+const USD_PRECISION = 1e6;
+const LONG_OI_FIELDS = ['longOpenInterestUsd', 'globalLongSizes'];
+const EXPOSURE_FIELDS = ['longOiUsd', 'shortOiUsd', 'guaranteedUsd', 'longPnlUsd', 'shortPnlUsd', 'unrealizedPnlUsd'];
+
+function round(value, decimals = 2) {
+  return value === null ? null : parseFloat(value.toFixed(decimals));
+}
+
+function usd(raw) {
+  return parseInt(raw || 0) / USD_PRECISION;
+}
+
+// jlp-info reports P&L as an unsigned delta plus a "traders have profit" flag
+function traderPnl(delta, hasProfit) {
+  const value = usd(delta);
+  return hasProfit ? value : -value;
+}
+
+/** One custody's trader exposure (USD) from jlp-info. */
+function custodyExposure(c) {
+  const longOiField = LONG_OI_FIELDS.find(f => c[f] !== undefined && c[f] !== null);
+  const longPnlUsd = c.longPnlDelta !== undefined && c.longPnlDelta !== null
+    ? traderPnl(c.longPnlDelta, c.longTradersHasProfit)
+    : null;
+  const shortPnlUsd = traderPnl(c.shortPnlDelta, c.shortTradersHasProfit);
+  return {
+    longOiUsd: longOiField ? round(usd(c[longOiField])) : null,
+    shortOiUsd: round(usd(c.globalShortSizes)),
+    guaranteedUsd: round(usd(c.guaranteedUsd)),
+    longPnlUsd: round(longPnlUsd),
+    shortPnlUsd: round(shortPnlUsd),
+    unrealizedPnlUsd: round((longPnlUsd || 0) + shortPnlUsd),
+  };
+}
+
+/** Field-wise sum over custodies; a field null in every custody stays null. */
+function sumExposures(exposures) {
+  const totals = {};
+  for (const field of EXPOSURE_FIELDS) {
+    const values = exposures.map(e => e[field]).filter(v => v !== null);
+    totals[field] = values.length ? round(values.reduce((sum, v) => sum + v, 0)) : null;
+  }
+  return totals;
+}
+
+/** One snapshot row from a jlp-info response. */
+function traderPnlSnapshot(info, now = new Date()) {
+  const custodies = {};
+  for (const c of info.custodies || []) custodies[c.symbol] = custodyExposure(c);
+  if (Object.keys(custodies).length === 0) throw new Error('jlp-info returned no custodies');
+
+  return {
+    timestamp: now.toISOString(),
+    date: now.toLocaleDateString('en-CA', { timeZone: 'America/New_York' }),
+    aumUsd: round(usd(info.aumUsd)),
+    jlpPriceUsd: info.jlpPriceUsd ? round(usd(info.jlpPriceUsd), 6) : null,
+    jlpApyPct: info.jlpApyPct !== undefined ? parseFloat(info.jlpApyPct) : null,
+    jlpAprPct: info.jlpAprPct !== undefined ? parseFloat(info.jlpAprPct) : null,
+    custodies,
+    totals: sumExposures(Object.values(custodies)),
+  };
+}
+
+/** A row in the current shape; rows from before the rebuild lose their always-null fields. */
+function migrateSnapshot(row) {
+  if (row.custodies !== undefined) return row;
+  return {
+    timestamp: row.timestamp,
+    date: row.date,
+    aumUsd: row.aumUsd === null || row.aumUsd === undefined ? null : round(usd(row.aumUsd)),
+    jlpPriceUsd: null,
+    jlpApyPct: row.jlpApyPct ?? null,
+    jlpAprPct: row.jlpAprPct ?? null,
+    custodies: null,
+    totals: null,
+  };
+}
+
+/** `rows` migrated, one per date (the latest timestamp wins), oldest first. */
+function migrateHistory(rows) {
+  const byDate = {};
+  for (const row of rows.map(migrateSnapshot)) {
+    if (!byDate[row.date] || byDate[row.date].timestamp <= row.timestamp) byDate[row.date] = row;
+  }
+  return Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
+}
 
 async function main() {
-    try {
-        const resp = await fetch(JLP_INFO_URL);
-        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-        const info = await resp.json();
-
-        const snapshot = {
-            timestamp: new Date().toISOString(),
-            date: new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' }),
-            // Pool metrics
-            poolNavUsd: info.poolNavUsd,
-            aumUsd: info.aumUsd,
-            jlpPrice: info.jlpPrice,
-            jlpSupply: info.jlpSupply,
-            // APY/APR
-            jlpApyPct: parseFloat(info.jlpApyPct),
-            jlpAprPct: parseFloat(info.jlpAprPct),
-            // Trader exposure (the key data we're accumulating)
-            totalLongExposureUsd: info.totalLongExposureUsd,
-            totalShortExposureUsd: info.totalShortExposureUsd,
-            totalOpenInterestUsd: info.totalOpenInterestUsd,
-            // Per-asset trader P&L if available
-            traderPnl: info.traderPnl || null,
-            unrealizedPnl: info.unrealizedPnl || null,
-            // Raw pool info for future analysis
-            poolApy24h: info.poolApy24h || null,
-        };
-
-        // Load existing data
-        let data = [];
-        if (fs.existsSync(DATA_FILE)) {
-            data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-        }
-
-        // Avoid duplicate entries for same date (keep latest)
-        data = data.filter(d => d.date !== snapshot.date);
-        data.push(snapshot);
-
-        // Sort by date
-        data.sort((a, b) => a.date.localeCompare(b.date));
-
-        fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
-        console.log(`✅ Snapshot saved for ${snapshot.date} — OI: $${(parseInt(snapshot.totalOpenInterestUsd || 0) / 1e6).toFixed(1)}M, APY: ${snapshot.jlpApyPct}%`);
-    } catch (err) {
-        console.error('❌ Failed to fetch trader P&L:', err.message);
-        process.exit(1);
-    }
-}
-
-main();
+  const info = await fetchJson(JLP_INFO_URL, { label: 'trader-pnl' });
+  const snapshot = traderPnlSnapshot(info);
+
+  const withoutLong = info.custodies.filter(c => snapshot.custodies[c.symbol].longOiUsd === null);
+  if (withoutLong.length) {
+    console.warn(`[Trader P&L] ⚠️ No long open interest (${LONG_OI_FIELDS.join(' / ')}) for ${withoutLong.map(c => c.symbol).join(', ')}; fields: ${Object.keys(withoutLong[0]).join(', ')}`);
+  }
+
+  const history = migrateHistory([...readDataFile(DATA_FILE, []), snapshot]);
+  writeDataFile(DATA_FILE, history);
+
+  const t = snapshot.totals;
+  const fmt = v => (v === null ? 'n/a' : `${v >= 0 ? '+' : '-'}$${(Math.abs(v) / 1e6).toFixed(2)}M`);
+  console.log(`[Trader P&L] ${snapshot.date}: short OI $${(t.shortOiUsd / 1e6).toFixed(1)}M, long OI ${t.longOiUsd === null ? 'n/a' : `$${(t.longOiUsd / 1e6).toFixed(1)}M`}, guaranteed $${(t.guaranteedUsd / 1e6).toFixed(1)}M`);
+  console.log(`[Trader P&L] Unrealized trader P&L ${fmt(t.unrealizedPnlUsd)} (long ${fmt(t.longPnlUsd)}, short ${fmt(t.shortPnlUsd)})`);
+  console.log(`[Trader P&L] ${DATA_FILE}: ${history.length} day(s)`);
+}
+
+if (require.main === module) {
+  main().catch(async e => {
+    console.error(`[Trader P&L] FATAL: ${e.message}`);
+    await notify('failure', { source: 'traderPnl', label: 'Trader P&L snapshot', error: e.message });
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  traderPnlSnapshot,
+  migrateSnapshot,
+  migrateHistory,
+};
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * Generate investor capital account statements from the official NAV history.
+ *
+ * Reads the private investor register (KV_INVESTORS_FILE, default
+ * private/investors.json — see scripts/lib/capital-accounts.js for the
+ * accounting) and writes, for each statement period:
+ *
+ *   statements/<period>/<investor-id>.html   one statement per investor
+ *   statements/<period>/fund-summary.html    all investors and fund totals
+ *
+ * statements/ is gitignored: statements name investors and must not be
+ * published with the dashboards.
+ *
+ * Usage:
+ *   node scripts/generate-statements.js                          # latest complete month
+ *   node scripts/generate-statements.js --period quarterly       # latest complete quarter
+ *   node scripts/generate-statements.js --for 2026-03            # a given month (or 2026-Q1)
+ *   node scripts/generate-statements.js --period quarterly --all # every quarter since the first flow
+ *   node scripts/generate-statements.js --investors config/investors.example.json --out /tmp/statements
+ */
+
+const fs = require('fs');
+const path = require('path');
+const KVFees = require('../js/fees');
+const { loadNavHistory } = require('./lib/nav-history');
+const { loadInvestors, statementPeriods, fundStatement } = require('./lib/capital-accounts');
+
+const DEFAULT_OUT_DIR = path.join(__dirname, '..', 'statements');
+const PERIOD_MONTHS = { monthly: 1, quarterly: 3 };
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : undefined;
+}
+
+// ── Formatting ────────────────────────────────────────────────────────────────
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function usd(value) {
+  const abs = Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return value < -0.005 ? `(${abs})` : abs;
+}
+
+function pct(value) {
+  return value === null ? '--' : `${(value * 100).toFixed(2)}%`;
+}
+
+function units(value) {
+  return value.toLocaleString('en-US', { minimumFractionDigits: 4, maximumFractionDigits: 4 });
+}
+
+const STYLE = `
+  body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #071017; margin: 40px auto; max-width: 820px; padding: 0 24px; }
+  header { border-bottom: 3px solid #167fd0; padding-bottom: 12px; margin-bottom: 24px; }
+  h1 { font-size: 22px; margin: 0; color: #167fd0; }
+  h2 { font-size: 15px; text-transform: uppercase; letter-spacing: 0.05em; color: #249fe8; margin-top: 32px; }
+  .meta { color: #5b6b76; font-size: 13px; margin-top: 4px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th, td { padding: 6px 8px; border-bottom: 1px solid #dbe7ee; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  th { color: #5b6b76; font-weight: 600; }
+  tr.total td { font-weight: 700; border-top: 2px solid #071017; }
+  footer { margin-top: 40px; font-size: 12px; color: #5b6b76; }
+`;
+
+function page(title, subtitle, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+  <h1>KeyVault — ${escapeHtml(title)}</h1>
+  <div class="meta">${subtitle}</div>
+</header>
+${body}
+<footer>
+  Marked to the official KeyVault share price (data/official-nav-history.json). Management and performance
+  fees are charged against each investor's own high-water mark and include fees accrued but not yet
+  crystallized at the statement date. Net return is time-weighted for flows (Modified Dietz).
+  Generated ${new Date().toISOString().slice(0, 10)}.
+</footer>
+</body>
+</html>
+`;
+}
+
+function statementHtml(st) {
+  const { period } = st;
+  const rows = [
+    ['Beginning capital', usd(st.beginning)],
+    ['Subscriptions', usd(st.subscriptions)],
+    ['Redemptions', usd(-st.redemptions)],
+    ['Gross profit / (loss)', usd(st.grossPnl)],
+    ['Management fee', usd(-st.mgmtFee)],
+    ['Performance fee', usd(-st.perfFee)],
+  ];
+  const activity = st.events.map(e => `
+    <tr><td>${e.date}</td><td style="text-align:left">${e.type === 'crystallization' ? `Fees crystallized (${escapeHtml(e.reason)})` : e.type[0].toUpperCase() + e.type.slice(1)}</td>
+      <td>${e.price.toFixed(4)}</td>
+      <td>${e.type === 'subscription' ? units(e.units) : units(-e.units)}</td>
+      <td>${e.type === 'crystallization' ? usd(-(e.mgmtFee + e.perfFee)) : usd(e.type === 'subscription' ? e.amount : -e.amount)}</td></tr>`).join('');
+
+  const body = `
+<h2>Capital account</h2>
+<table>
+  ${rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('\n  ')}
+  <tr class="total"><td>Ending capital</td><td>${usd(st.ending)}</td></tr>
+</table>
+
+<h2>Performance</h2>
+<table>
+  <tr><td>Net profit / (loss)</td><td>${usd(st.netPnl)}</td></tr>
+  <tr><td>Net return for the period</td><td>${pct(st.netReturn)}</td></tr>
+  <tr><td>High-water mark</td><td>${usd(st.hwm)}</td></tr>
+  <tr><td>Fees accrued, not yet crystallized</td><td>${usd(st.accrued.mgmtFee + st.accrued.perfFee)}</td></tr>
+</table>
+
+<h2>Units</h2>
+<table>
+  <tr><td>Units at beginning</td><td>${units(st.openingUnits)}</td></tr>
+  <tr><td>Units at end</td><td>${units(st.units)}</td></tr>
+  <tr><td>Share price${st.priceDate && st.priceDate !== period.end ? ` (as of ${st.priceDate})` : ''}</td><td>${st.price === null ? '--' : st.price.toFixed(4)}</td></tr>
+</table>
+
+<h2>Activity</h2>
+${st.events.length === 0 ? '<p class="meta">No activity this period.</p>' : `<table>
+  <tr><th>Date</th><th style="text-align:left">Transaction</th><th>Share price</th><th>Units</th><th>Amount</th></tr>${activity}
+</table>`}
+`;
+  return page(`Capital Account Statement — ${period.label}`,
+    `${escapeHtml(st.investor.name)} · ${period.start} to ${period.end}`, body);
+}
+
+function summaryHtml(fund) {
+  const { period, totals, sharePrice } = fund;
+  const row = (label, v, extra = '') => `<tr${extra}><td>${label}</td><td>${usd(v.beginning)}</td><td>${usd(v.subscriptions)}</td>
+      <td>${usd(-v.redemptions)}</td><td>${usd(v.grossPnl)}</td><td>${usd(-(v.mgmtFee + v.perfFee))}</td><td>${usd(v.ending)}</td>
+      <td>${v.netReturn === undefined ? '' : pct(v.netReturn)}</td></tr>`;
+
+  const body = `
+<h2>Investors</h2>
+<table>
+  <tr><th>Investor</th><th>Beginning</th><th>Subscriptions</th><th>Redemptions</th><th>Gross P&amp;L</th><th>Fees</th><th>Ending</th><th>Net return</th></tr>
+  ${fund.statements.map(st => row(escapeHtml(st.investor.name), st)).join('\n  ')}
+  ${row('Fund total', totals, ' class="total"')}
+</table>
+
+<h2>Fees</h2>
+<table>
+  <tr><td>Management fees</td><td>${usd(totals.mgmtFee)}</td></tr>
+  <tr><td>Performance fees</td><td>${usd(totals.perfFee)}</td></tr>
+  <tr class="total"><td>Total fees</td><td>${usd(totals.mgmtFee + totals.perfFee)}</td></tr>
+</table>
+
+<h2>Share price</h2>
+<table>
+  <tr><td>Start${sharePrice.start ? ` (${sharePrice.start.date})` : ''}</td><td>${sharePrice.start ? sharePrice.start.price.toFixed(4) : '--'}</td></tr>
+  <tr><td>End (${sharePrice.end.date})</td><td>${sharePrice.end.price.toFixed(4)}</td></tr>
+  <tr><td>Gross return</td><td>${pct(sharePrice.grossReturn)}</td></tr>
+  <tr><td>Units outstanding</td><td>${units(totals.units)}</td></tr>
+</table>
+`;
+  return page(`Fund Summary — ${period.label}`, `${period.start} to ${period.end} · ${fund.statements.length} investor(s)`, body);
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+function selectPeriods(investors, nav, frequency) {
+  const months = PERIOD_MONTHS[frequency];
+  if (!months) throw new Error(`--period must be one of ${Object.keys(PERIOD_MONTHS).join(', ')}`);
+
+  const firstFlow = investors.map(i => i.flows[0].date).sort()[0];
+  const lastNav = nav[nav.length - 1].date;
+  const periods = statementPeriods(firstFlow, lastNav, months);
+  const complete = periods.filter(p => p.end <= lastNav);
+
+  const wanted = argValue('--for');
+  if (wanted) {
+    const period = periods.find(p => p.label === wanted);
+    if (!period) throw new Error(`No ${frequency} period "${wanted}" between ${firstFlow} and ${lastNav}`);
+    return [period];
+  }
+  if (complete.length === 0) throw new Error(`No complete ${frequency} period yet (NAV history ends ${lastNav})`);
+  return process.argv.includes('--all') ? complete : [complete[complete.length - 1]];
+}
+
+function main() {
+  const frequency = argValue('--period') || 'monthly';
+  const outDir = path.resolve(argValue('--out') || DEFAULT_OUT_DIR);
+  const investors = loadInvestors(argValue('--investors') ? path.resolve(argValue('--investors')) : undefined);
+  const nav = loadNavHistory();
+  const terms = KVFees.loadTerms();
+  if (nav.length === 0) throw new Error('official-nav-history.json is empty');
+
+  for (const period of selectPeriods(investors, nav, frequency)) {
+    const fund = fundStatement(investors, nav, terms, period);
+    const dir = path.join(outDir, period.label);
+    fs.mkdirSync(dir, { recursive: true });
+    for (const st of fund.statements) {
+      fs.writeFileSync(path.join(dir, `${st.investor.id}.html`), statementHtml(st));
+    }
+    fs.writeFileSync(path.join(dir, 'fund-summary.html'), summaryHtml(fund));
+
+    const { totals } = fund;
+    console.log(`[Statements] ${period.label}: ${fund.statements.length} investor(s), ending capital ${usd(totals.ending)}, ` +
+      `fees ${usd(totals.mgmtFee + totals.perfFee)} → ${path.relative(process.cwd(), dir) || '.'}`);
+    if (period.end > nav[nav.length - 1].date) {
+      console.log(`[Statements] ${period.label} is not complete — marked to ${nav[nav.length - 1].date}`);
+    }
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(`[Statements] ERROR: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  statementHtml,
+  summaryHtml,
+};
@@ -0,0 +1,256 @@
+/**
+ * Registry of the Allium SQL queries behind the Jupiter Perps on-chain data
+ * (run by scripts/fetch-allium-data.js).
+ *
+ * Every query is parameterized by an inclusive UTC date range { from, to }
+ * and declares where its results live:
+ *
+ *   sql({ from, to })     — the SQL text
+ *   parse(row)            — one result row → the stored shape
+ *   output                — data/ file the parsed rows merge into
+ *   lastDate(data)        — last day that file holds for this query
+ *   merge(data, rows)     — the file with `rows` merged in (a day fetched
+ *                           again replaces what was stored for it)
+ *
+ * Amounts on-chain are micro-USD; the SQL divides by 1e6.
+ *
+ * allium-market-breakdown.json is shared by the two per-market queries:
+ *
+ *   { days: [{ date, markets: { <SOL|ETH|BTC>: { long: side, short: side } } }] }
+ *   side = { opens, closes, volume, fees }   (marketFees)
+ *        + { traderPnl, pnlCloses }          (marketTraderPnl)
+ */
+
+const JUPITER_PERPS_PROGRAM = 'PERPHjGBqRHArX4DySjwM6UJHiR3sWAatqfdBS2qQJu';
+// Jupiter Perps custody accounts of the markets broken down per market
+const MARKET_CUSTODIES = {
+  SOL: '7xS2gz2bTp3fwCC7knJvUWTEU9Tycczu6VhJYKgi1wdz',
+  ETH: 'AQCGyheWPLeo6Qp9WpYS9m3Qj479t7R636N9ey1rEjEn',
+  BTC: '5Pv3gM9JrFFH883SWAhvJC9RPYmo8UNxuFtv5bMMALkm',
+};
+const BREAKDOWN_FILE = 'allium-market-breakdown.json';
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const OPEN_EVENTS = ['IncreasePositionEvent', 'InstantIncreasePositionEvent'];
+const CLOSE_EVENTS = ['DecreasePositionEvent', 'InstantDecreasePositionEvent', 'LiquidateFullPositionEvent'];
+
+// ── SQL fragments ────────────────────────────────────────────────────────────
+function eventList(names) {
+  return names.map(n => `'${n}'`).join(', ');
+}
+
+function eventFilter({ from, to }, events) {
+  return `PROGRAM_ID = '${JUPITER_PERPS_PROGRAM}'
+    AND BLOCK_TIMESTAMP >= '${from}'::DATE
+    AND BLOCK_TIMESTAMP < DATEADD(day, 1, '${to}'::DATE)
+    AND EVENT_NAME IN (${eventList(events)})`;
+}
+
+const POSITION_FEES = `COALESCE(PARSED_EVENT_DATA:data:position_fee_usd::NUMBER, 0) +
+        COALESCE(PARSED_EVENT_DATA:data:price_impact_fee_usd::NUMBER, 0)`;
+
+const TRADER_PNL = `CASE WHEN PARSED_EVENT_DATA:data:has_profit::BOOLEAN = TRUE
+             THEN PARSED_EVENT_DATA:data:pnl_delta::NUMBER
+             ELSE -PARSED_EVENT_DATA:data:pnl_delta::NUMBER
+        END`;
+
+const MARKET = `CASE PARSED_EVENT_DATA:data:position_custody::STRING
+${Object.entries(MARKET_CUSTODIES).map(([market, custody]) => `        WHEN '${custody}' THEN '${market}'`).join('\n')}
+    END`;
+
+// Jupiter's Side enum: 1 = long, 2 = short
+const SIDE = `CASE PARSED_EVENT_DATA:data:position_side::NUMBER WHEN 1 THEN 'long' WHEN 2 THEN 'short' END`;
+
+const MARKET_FILTER = `AND PARSED_EVENT_DATA:data:position_custody::STRING IN (${Object.values(MARKET_CUSTODIES).map(c => `'${c}'`).join(', ')})`;
+
+// ── Storage helpers ──────────────────────────────────────────────────────────
+function num(value) {
+  return parseFloat(value || 0);
+}
+
+function lastRowDate(rows) {
+  return rows?.length ? rows[rows.length - 1].date : null;
+}
+
+function mergeRows(existing, rows) {
+  const byDate = new Map((existing || []).map(r => [r.date, r]));
+  for (const row of rows) byDate.set(row.date, row);
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// allium-fees.json also holds the DefiLlama fallback's days; only Allium's
+// own rows say how far the query has got.
+function lastAlliumDate(rows) {
+  return lastRowDate((rows || []).filter(r => r.source === 'allium'));
+}
+
+function lastBreakdownDate(data, field) {
+  const days = (data?.days || []).filter(d =>
+    Object.values(d.markets).some(sides => Object.values(sides).some(side => side[field] !== undefined)));
+  return lastRowDate(days);
+}
+
+// Rows are { date, market, side, ...fields }; a day fetched again has its
+// `fields` replaced in every market/side, other queries' fields kept.
+function mergeBreakdown(data, rows, fields) {
+  const byDate = new Map((data?.days || []).map(d => [d.date, d]));
+  for (const date of new Set(rows.map(r => r.date))) {
+    const day = byDate.get(date) || { date, markets: {} };
+    for (const sides of Object.values(day.markets)) {
+      for (const side of Object.values(sides)) fields.forEach(f => delete side[f]);
+    }
+    byDate.set(date, day);
+  }
+  for (const { date, market, side, ...values } of rows) {
+    if (!market || !side) continue; // events without a position side (none expected)
+    const markets = byDate.get(date).markets;
+    markets[market] = markets[market] || {};
+    markets[market][side] = { ...markets[market][side], ...values };
+  }
+  return { days: [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date)) };
+}
+
+// ── Queries ──────────────────────────────────────────────────────────────────
+const QUERIES = {
+  // Daily fees from all fee-generating events (position opens, closes, liquidations, swaps)
+  fees: {
+    description: 'Daily pool fee revenue (position + swap fees)',
+    output: 'allium-fees.json',
+    sql: range => `
+SELECT
+    DATE(BLOCK_TIMESTAMP) as day,
+    SUM(${POSITION_FEES}) / 1e6 as position_fees_usd,
+    SUM(
+        CASE WHEN EVENT_NAME = 'PoolSwapEvent'
+        THEN COALESCE(PARSED_EVENT_DATA:data:swap_usd_amount::NUMBER, 0) *
+             COALESCE(PARSED_EVENT_DATA:data:fee_bps::NUMBER, 0) / 10000 / 1e6
+        ELSE 0 END
+    ) as swap_fees_usd,
+    COUNT(DISTINCT CASE WHEN EVENT_NAME IN (${eventList(CLOSE_EVENTS)})
+        THEN TXN_ID END) as close_count,
+    COUNT(DISTINCT TXN_ID) as total_txns
+FROM solana.decoded.events
+WHERE ${eventFilter(range, [...OPEN_EVENTS, ...CLOSE_EVENTS, 'PoolSwapEvent'])}
+GROUP BY DATE(BLOCK_TIMESTAMP)
+ORDER BY day
+`,
+    parse: r => ({
+      date: r.day,
+      total_fees: num(r.position_fees_usd) + num(r.swap_fees_usd),
+      position_fees: num(r.position_fees_usd),
+      swap_fees: num(r.swap_fees_usd),
+      close_count: parseInt(r.close_count || 0),
+      total_txns: parseInt(r.total_txns || 0),
+      source: 'allium',
+    }),
+    lastDate: lastAlliumDate,
+    merge: mergeRows,
+  },
+
+  // Daily trader P&L using has_profit + pnl_delta from decoded close events
+  traderPnl: {
+    description: 'Daily realized trader P&L, fees and volume of closed positions',
+    output: 'allium-trader-pnl.json',
+    sql: range => `
+SELECT
+    DATE(BLOCK_TIMESTAMP) as day,
+    SUM(${TRADER_PNL}) / 1e6 as trader_pnl,
+    SUM(${POSITION_FEES}) / 1e6 as fees,
+    SUM(COALESCE(PARSED_EVENT_DATA:data:size_usd_delta::NUMBER, 0)) / 1e6 as volume,
+    COUNT(*) as closes
+FROM solana.decoded.events
+WHERE ${eventFilter(range, CLOSE_EVENTS)}
+GROUP BY DATE(BLOCK_TIMESTAMP)
+ORDER BY day
+`,
+    parse: r => ({
+      date: r.day,
+      trader_pnl: num(r.trader_pnl),
+      fees: num(r.fees),
+      volume: num(r.volume),
+      closes: parseInt(r.closes || 0),
+    }),
+    lastDate: lastRowDate,
+    merge: mergeRows,
+  },
+
+  marketFees: {
+    description: 'Daily position opens, closes, volume and fees per market and side',
+    output: BREAKDOWN_FILE,
+    sql: range => `
+SELECT
+    DATE(BLOCK_TIMESTAMP) as day,
+    ${MARKET} as market,
+    ${SIDE} as side,
+    COUNT(DISTINCT CASE WHEN EVENT_NAME IN (${eventList(OPEN_EVENTS)}) THEN TXN_ID END) as opens,
+    COUNT(DISTINCT CASE WHEN EVENT_NAME IN (${eventList(CLOSE_EVENTS)}) THEN TXN_ID END) as closes,
+    SUM(COALESCE(PARSED_EVENT_DATA:data:size_usd_delta::NUMBER, 0)) / 1e6 as volume,
+    SUM(${POSITION_FEES}) / 1e6 as fees
+FROM solana.decoded.events
+WHERE ${eventFilter(range, [...OPEN_EVENTS, ...CLOSE_EVENTS])}
+    ${MARKET_FILTER}
+GROUP BY 1, 2, 3
+ORDER BY 1, 2, 3
+`,
+    parse: r => ({
+      date: r.day,
+      market: r.market,
+      side: r.side,
+      opens: parseInt(r.opens || 0),
+      closes: parseInt(r.closes || 0),
+      volume: num(r.volume),
+      fees: num(r.fees),
+    }),
+    lastDate: data => lastBreakdownDate(data, 'fees'),
+    merge: (data, rows) => mergeBreakdown(data, rows, ['opens', 'closes', 'volume', 'fees']),
+  },
+
+  marketTraderPnl: {
+    description: 'Daily realized trader P&L per market and side',
+    output: BREAKDOWN_FILE,
+    sql: range => `
+SELECT
+    DATE(BLOCK_TIMESTAMP) as day,
+    ${MARKET} as market,
+    ${SIDE} as side,
+    SUM(${TRADER_PNL}) / 1e6 as trader_pnl,
+    COUNT(*) as closes
+FROM solana.decoded.events
+WHERE ${eventFilter(range, CLOSE_EVENTS)}
+    ${MARKET_FILTER}
+GROUP BY 1, 2, 3
+ORDER BY 1, 2, 3
+`,
+    parse: r => ({
+      date: r.day,
+      market: r.market,
+      side: r.side,
+      traderPnl: num(r.trader_pnl),
+      pnlCloses: parseInt(r.closes || 0),
+    }),
+    lastDate: data => lastBreakdownDate(data, 'traderPnl'),
+    merge: (data, rows) => mergeBreakdown(data, rows, ['traderPnl', 'pnlCloses']),
+  },
+};
+
+/** The registered query `name`; throws listing the known names. */
+function getQuery(name) {
+  const query = QUERIES[name];
+  if (!query) throw new Error(`Unknown Allium query "${name}" (known: ${Object.keys(QUERIES).join(', ')})`);
+  return query;
+}
+
+/** SQL of query `name` for the inclusive date range { from, to }. */
+function renderQuery(name, { from, to }) {
+  if (!DATE_RE.test(from) || !DATE_RE.test(to)) throw new Error(`Allium query ${name}: bad date range ${from}..${to}`);
+  if (from > to) throw new Error(`Allium query ${name}: range starts after it ends (${from}..${to})`);
+  return getQuery(name).sql({ from, to });
+}
+
+module.exports = {
+  QUERIES,
+  MARKET_CUSTODIES,
+  BREAKDOWN_FILE,
+  getQuery,
+  renderQuery,
+};
@@ -0,0 +1,297 @@
+/**
+ * Per-investor capital accounts, marked to data/official-nav-history.json.
+ *
+ * The investor register is private (names and amounts must not reach the
+ * published data/ directory), so it lives outside the repo's data files:
+ * KV_INVESTORS_FILE, default private/investors.json (gitignored). See
+ * config/investors.example.json for the shape:
+ *
+ *   { investors: [{ id, name, flows: [{ date, type: 'subscription' | 'redemption', amount }] }] }
+ *
+ * Accounting, per investor:
+ *   - Flows deal at the SharePrice of their date (the last stamp on or
+ *     before it). A subscription buys units, a redemption cancels them.
+ *   - KV fees come from js/fees.js chargePeriod against the investor's own
+ *     high-water mark, and are paid by cancelling units.
+ *   - Fees crystallize at each fee-period end (calendar quarters for 4
+ *     crystallizations a year) and whenever the investor has a flow, so
+ *     every charged period has a constant unit balance. A subscription adds
+ *     its amount to the HWM; a redemption scales the HWM down pro rata.
+ *   - Between crystallizations the fees earned so far are accrued: capital
+ *     is units × price less the accrual.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const KVFees = require('../../js/fees');
+const KVMetrics = require('../../js/metrics');
+const s = require('./schema');
+
+const DEFAULT_INVESTORS_PATH = path.join(__dirname, '..', '..', 'private', 'investors.json');
+const EPSILON = 1e-9;
+
+const registerSchema = s.object({
+  investors: s.arrayOf(s.object({
+    id: s.string({ pattern: /^[a-z0-9][a-z0-9-]*$/ }),
+    name: s.string({ minLength: 1 }),
+    flows: s.arrayOf(s.object({
+      date: s.date(),
+      type: s.literal('subscription', 'redemption'),
+      amount: s.number({ gt: 0 }),
+    }), { minItems: 1, sortedBy: 'date' }),
+  }), { uniqueBy: 'id' }),
+});
+
+function investorsPath() {
+  return process.env.KV_INVESTORS_FILE || DEFAULT_INVESTORS_PATH;
+}
+
+function loadInvestors(file = investorsPath()) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Investor register not found at ${file} — set KV_INVESTORS_FILE or copy config/investors.example.json`);
+  }
+  const register = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = s.validate(registerSchema, register);
+  if (errors.length > 0) {
+    throw new Error(`${file}: ${errors.slice(0, 5).map(e => `${e.path} ${e.message}`).join('; ')}`);
+  }
+  return register.investors;
+}
+
+// ── Prices and periods ────────────────────────────────────────────────────────
+/** Share price on `date`: the last stamp on or before it. */
+function priceOn(nav, date) {
+  let found = null;
+  for (const record of nav) {
+    if (record.date > date) break;
+    found = record;
+  }
+  if (!found) throw new Error(`No NAV on or before ${date} (history starts ${nav[0]?.date})`);
+  return { date: found.date, price: found.SharePrice };
+}
+
+function lastDayOfMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+}
+
+/**
+ * Statement periods of `months` months (1 = monthly, 3 = quarterly) covering
+ * from..to, aligned to the calendar year: [{ label, start, end }].
+ */
+function statementPeriods(from, to, months) {
+  const periods = [];
+  let year = Number(from.slice(0, 4));
+  let month = Math.floor((Number(from.slice(5, 7)) - 1) / months) * months + 1;
+  for (;;) {
+    const start = `${year}-${String(month).padStart(2, '0')}-01`;
+    if (start > to) break;
+    const endMonth = month + months - 1;
+    const label = months === 3 ? `${year}-Q${(month + 2) / 3}`
+      : months === 1 ? start.slice(0, 7)
+        : `${start.slice(0, 7)}..${lastDayOfMonth(year, endMonth).slice(0, 7)}`;
+    periods.push({ label, start, end: lastDayOfMonth(year, endMonth) });
+    month += months;
+    if (month > 12) {
+      month -= 12;
+      year += 1;
+    }
+  }
+  return periods;
+}
+
+/** Fee-period ends (crystallization dates) between from and to, inclusive. */
+function crystallizationDates(from, to, terms) {
+  const months = 12 / terms.performanceFee.crystallizationsPerYear;
+  return statementPeriods(from, to, months).map(p => p.end).filter(date => date >= from && date <= to);
+}
+
+// ── Account replay ────────────────────────────────────────────────────────────
+/**
+ * Replay `investor`'s flows and crystallizations up to and including `date`.
+ * Returns the account as of that day's close:
+ *   { date, price, priceDate, units, grossValue, accrued: { mgmtFee, perfFee },
+ *     capital, hwm, feePeriodStart, events }
+ * where events lists every flow and crystallization so far, in order.
+ */
+function accountAt(investor, nav, terms, date) {
+  const account = {
+    units: 0,
+    hwm: 0,
+    periodStartValue: 0,
+    periodStartDate: null,
+    events: [],
+  };
+
+  const crystallize = (on, reason) => {
+    if (account.units <= EPSILON || account.periodStartDate === on) return;
+    const { price } = priceOn(nav, on);
+    const charged = chargeSoFar(account, price, on, terms);
+    const fees = charged.mgmtFee + charged.perfFee;
+    account.units -= fees / price;
+    account.hwm = Math.max(account.hwm, charged.endValue);
+    account.periodStartValue = charged.endValue;
+    account.periodStartDate = on;
+    account.events.push({
+      date: on, type: 'crystallization', reason, price, units: fees / price,
+      mgmtFee: charged.mgmtFee, perfFee: charged.perfFee, hwm: account.hwm,
+    });
+  };
+
+  const flows = investor.flows.filter(flow => flow.date <= date);
+  const firstDate = investor.flows[0].date;
+  const quarterEnds = crystallizationDates(firstDate, date, terms);
+  let next = 0;
+
+  for (const flow of flows) {
+    while (next < quarterEnds.length && quarterEnds[next] < flow.date) crystallize(quarterEnds[next++], 'period-end');
+    crystallize(flow.date, flow.type);
+
+    const { price } = priceOn(nav, flow.date);
+    if (flow.type === 'subscription') {
+      account.units += flow.amount / price;
+      account.periodStartValue += flow.amount;
+      account.hwm += flow.amount;
+    } else {
+      const capital = account.units * price;
+      if (flow.amount > capital + 0.005) {
+        throw new Error(`${investor.id}: redemption of ${flow.amount.toFixed(2)} on ${flow.date} exceeds capital ${capital.toFixed(2)}`);
+      }
+      const remaining = capital > 0 ? Math.max(0, 1 - flow.amount / capital) : 0;
+      account.units *= remaining;
+      account.periodStartValue *= remaining;
+      account.hwm *= remaining;
+    }
+    account.periodStartDate = flow.date;
+    account.events.push({ date: flow.date, type: flow.type, amount: flow.amount, price, units: flow.amount / price });
+  }
+  while (next < quarterEnds.length) crystallize(quarterEnds[next++], 'period-end');
+
+  const mark = account.units > EPSILON ? priceOn(nav, date) : { date: null, price: null };
+  const grossValue = account.units > EPSILON ? account.units * mark.price : 0;
+  const accrued = account.units > EPSILON && account.periodStartDate !== date
+    ? chargeSoFar(account, mark.price, date, terms)
+    : { mgmtFee: 0, perfFee: 0 };
+
+  return {
+    date,
+    price: mark.price,
+    priceDate: mark.date,
+    units: account.units > EPSILON ? account.units : 0,
+    grossValue,
+    accrued: { mgmtFee: accrued.mgmtFee, perfFee: accrued.perfFee },
+    capital: grossValue - accrued.mgmtFee - accrued.perfFee,
+    hwm: account.hwm,
+    feePeriodStart: account.periodStartDate,
+    events: account.events,
+  };
+}
+
+// Fees earned on the open fee period if it closed at `price` on `date`
+function chargeSoFar(account, price, date, terms) {
+  return KVFees.chargePeriod({
+    startValue: account.periodStartValue,
+    grossValue: account.units * price,
+    hwm: account.hwm,
+    years: KVMetrics.daysBetween(account.periodStartDate, date) / 365,
+  }, terms);
+}
+
+// ── Statements ────────────────────────────────────────────────────────────────
+/**
+ * Capital statement for `investor` over period { label, start, end }.
+ * Fees are what was crystallized in the period plus the change in accrual,
+ * so beginning + subscriptions - redemptions + gross P&L - fees = ending.
+ * netReturn is Modified Dietz (flows weighted by the time they were invested).
+ */
+function investorStatement(investor, nav, terms, period) {
+  const beginDate = KVMetrics.shiftDate(period.start, -1);
+  const opening = investor.flows[0].date <= beginDate ? accountAt(investor, nav, terms, beginDate) : null;
+  const closing = accountAt(investor, nav, terms, period.end);
+  const inPeriod = closing.events.filter(e => e.date >= period.start && e.date <= period.end);
+
+  const beginning = opening ? opening.capital : 0;
+  const sum = (type, field) => inPeriod.filter(e => e.type === type).reduce((total, e) => total + e[field], 0);
+  const subscriptions = sum('subscription', 'amount');
+  const redemptions = sum('redemption', 'amount');
+  const crystallized = inPeriod.filter(e => e.type === 'crystallization');
+  const mgmtFee = crystallized.reduce((t, e) => t + e.mgmtFee, 0) + closing.accrued.mgmtFee - (opening ? opening.accrued.mgmtFee : 0);
+  const perfFee = crystallized.reduce((t, e) => t + e.perfFee, 0) + closing.accrued.perfFee - (opening ? opening.accrued.perfFee : 0);
+  const ending = closing.capital;
+  const grossPnl = ending - beginning - subscriptions + redemptions + mgmtFee + perfFee;
+  const netPnl = grossPnl - mgmtFee - perfFee;
+
+  const periodDays = KVMetrics.daysBetween(beginDate, period.end);
+  const weightedFlows = inPeriod
+    .filter(e => e.type !== 'crystallization')
+    .reduce((total, e) => {
+      const weight = (periodDays - KVMetrics.daysBetween(beginDate, e.date)) / periodDays;
+      return total + (e.type === 'subscription' ? e.amount : -e.amount) * weight;
+    }, 0);
+  const averageCapital = beginning + weightedFlows;
+
+  return {
+    investor: { id: investor.id, name: investor.name },
+    period,
+    beginning,
+    subscriptions,
+    redemptions,
+    grossPnl,
+    mgmtFee,
+    perfFee,
+    netPnl,
+    ending,
+    netReturn: averageCapital > EPSILON ? netPnl / averageCapital : null,
+    openingUnits: opening ? opening.units : 0,
+    units: closing.units,
+    price: closing.price,
+    priceDate: closing.priceDate,
+    hwm: closing.hwm,
+    accrued: closing.accrued,
+    events: inPeriod,
+  };
+}
+
+/** Statements for every investor with capital or flows in `period`, plus fund totals. */
+function fundStatement(investors, nav, terms, period) {
+  const statements = investors
+    .filter(investor => investor.flows[0].date <= period.end)
+    .map(investor => investorStatement(investor, nav, terms, period))
+    .filter(st => st.beginning > EPSILON || st.ending > EPSILON || st.events.length > 0);
+
+  const total = field => statements.reduce((sum, st) => sum + st[field], 0);
+  const startMark = nav[0].date < period.start ? priceOn(nav, KVMetrics.shiftDate(period.start, -1)) : null;
+  const endMark = priceOn(nav, period.end);
+
+  return {
+    period,
+    statements,
+    totals: {
+      beginning: total('beginning'),
+      subscriptions: total('subscriptions'),
+      redemptions: total('redemptions'),
+      grossPnl: total('grossPnl'),
+      mgmtFee: total('mgmtFee'),
+      perfFee: total('perfFee'),
+      netPnl: total('netPnl'),
+      ending: total('ending'),
+      units: total('units'),
+    },
+    sharePrice: {
+      start: startMark,
+      end: endMark,
+      grossReturn: startMark ? endMark.price / startMark.price - 1 : null,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_INVESTORS_PATH,
+  investorsPath,
+  loadInvestors,
+  priceOn,
+  statementPeriods,
+  crystallizationDates,
+  accountAt,
+  investorStatement,
+  fundStatement,
+};
@@ -0,0 +1,552 @@
+/**
+ * Schema registry for the files the pipeline writes into data/.
+ *
+ * Keys are file names relative to data/; SCHEMA_PATTERNS covers families of
+ * files in subdirectories (one per vault, one per day...). Files written by systems outside
+ * this repo (mission-control feeds such as tasks.json or kb-index.json) are
+ * deliberately not registered; validate-data lists them as unchecked.
+ */
+
+const s = require('./schema');
+
+const optionalNumber = s.optional(s.nullable(s.number()));
+
+const navRecord = s.object({
+  date: s.date(),
+  timestamp: s.timestamp(),
+  SharePrice: s.number({ gt: 0, lt: 100 }),
+  source: s.optional(s.string()),
+  tvl: s.optional(s.nullable(s.number({ min: 0 }))),
+  basePriceRaw: optionalNumber,
+  rawSharePrice: optionalNumber,
+  totalShares: s.optional(s.nullable(s.number({ min: 0 }))),
+  // Set only on records written by scripts/backfill-nav.js
+  slot: s.optional(s.integer({ min: 0 })),
+  confidence: s.optional(s.literal('high', 'medium', 'low')),
+  backfilledAt: s.optional(s.timestamp()),
+  // Set on records promoted out of nav-quarantine.json
+  approvedAt: s.optional(s.timestamp()),
+});
+
+const navCheck = s.object({
+  check: s.string({ minLength: 1 }),
+  status: s.literal('pass', 'fail', 'skip'),
+  message: s.string(),
+});
+
+const quarantinedNavFields = {
+  date: s.date(),
+  quarantinedAt: s.timestamp(),
+  record: navRecord,
+  checks: s.arrayOf(navCheck),
+  reasons: s.arrayOf(s.string(), { minItems: 1 }),
+};
+
+const feeDay = s.object({
+  date: s.date(),
+  total_fees: s.number({ min: 0 }),
+  position_fees: s.number({ min: 0 }),
+  swap_fees: s.number({ min: 0 }),
+  close_count: s.nullable(s.integer({ min: 0 })),
+  total_txns: s.nullable(s.integer({ min: 0 })),
+  source: s.optional(s.string()),
+});
+
+const traderPnlDay = s.object({
+  date: s.date(),
+  trader_pnl: s.number(),
+  fees: s.number({ min: 0 }),
+  volume: s.number({ min: 0 }),
+  closes: s.integer({ min: 0 }),
+  total_fees: s.optional(s.number({ min: 0 })),
+  position_fees: s.optional(s.number({ min: 0 })),
+  swap_fees: s.optional(s.number({ min: 0 })),
+});
+
+const fundingDay = s.object({
+  date: s.date(),
+  avgRate: s.number(),
+  annualizedPct: s.number(),
+  // Set on days aggregated from raw funding records (scripts/lib/funding.js)
+  hours: s.optional(s.integer({ min: 1 })),
+  sumRate: s.optional(s.number()),
+  avg7dPct: s.optional(s.number()),
+  avg30dPct: s.optional(s.number()),
+});
+
+const fundingRates = s.object({
+  lastUpdated: s.timestamp(),
+  markets: s.recordOf(s.arrayOf(fundingDay, { uniqueBy: 'date', sortedBy: 'date' }), { minKeys: 1 }),
+});
+
+const fundingRecords = s.object({
+  venue: s.string({ minLength: 1 }),
+  market: s.string({ minLength: 1 }),
+  lastUpdated: s.timestamp(),
+  records: s.arrayOf(s.object({
+    ts: s.integer({ min: 0 }),
+    rate: s.number(),
+    hours: s.optional(s.number({ gt: 0 })),
+  }), { minItems: 1, uniqueBy: 'ts', sortedBy: 'ts' }),
+});
+
+const primeVaultPoint = s.object({
+  tvl: s.number({ min: 0 }),
+  SharePrice: s.number({ gt: 0 }),
+  update_time_utc: s.timestamp(),
+});
+
+const strategySummaryFields = {
+  strategy: s.string({ minLength: 1 }),
+  startDate: s.date(),
+  endDate: s.date(),
+  cumulative: s.number(),
+  annualized: s.number(),
+  sevenDayRollingApy: optionalNumber,
+  thirtyDayRollingApy: optionalNumber,
+  ninetyDayRollingApy: optionalNumber,
+};
+
+const jlpSnapshot = s.object({
+  timestamp: s.timestamp(),
+  date: s.date(),
+  navPrice: s.number({ gt: 0 }),
+  aum: s.number({ gt: 0 }),
+  jupiterApyPct: s.number(),
+  fees24h: s.number({ min: 0 }),
+  avgDailyFees7d: s.number({ min: 0 }),
+  realTimeFeeApyPct: s.number(),
+  traderExposure: s.recordOf(s.object({
+    guaranteedUsd: s.number(),
+    globalShortSizes: s.number(),
+    shortPnlDelta: s.number(),
+    shortTradersHasProfit: s.boolean(),
+    netPnl: s.number(),
+  })),
+  totalTraderPnl: s.number(),
+  traderPnlLabel: s.literal('traders_winning', 'pool_winning'),
+});
+
+// USD; P&L from the traders' side (positive = pool paying out)
+const traderExposure = s.object({
+  longOiUsd: s.nullable(s.number({ min: 0 })),
+  shortOiUsd: s.number({ min: 0 }),
+  guaranteedUsd: s.number(),
+  longPnlUsd: s.nullable(s.number()),
+  shortPnlUsd: s.number(),
+  unrealizedPnlUsd: s.number(),
+});
+
+const traderPnlSnapshot = s.object({
+  timestamp: s.timestamp(),
+  date: s.date(),
+  aumUsd: s.nullable(s.number({ min: 0 })),
+  jlpPriceUsd: s.nullable(s.number({ gt: 0 })),
+  jlpApyPct: s.nullable(s.number()),
+  jlpAprPct: s.nullable(s.number()),
+  // null on rows migrated from before per-custody snapshots
+  custodies: s.nullable(s.recordOf(traderExposure, { minKeys: 1 })),
+  totals: s.nullable(traderExposure),
+});
+
+const marketSide = s.object({
+  opens: s.optional(s.integer({ min: 0 })),
+  closes: s.optional(s.integer({ min: 0 })),
+  volume: s.optional(s.number({ min: 0 })),
+  fees: s.optional(s.number({ min: 0 })),
+  traderPnl: s.optional(s.number()),
+  pnlCloses: s.optional(s.integer({ min: 0 })),
+});
+
+const marketBreakdownDay = s.object({
+  date: s.date(),
+  markets: s.recordOf(s.object({ long: s.optional(marketSide), short: s.optional(marketSide) })),
+});
+
+const utilizationDay = s.object({
+  date: s.date(),
+  timestamp: s.number({ gt: 0 }),
+  aumUsd: s.number({ min: 0 }),
+  aumLimitUsd: s.number({ gt: 0 }),
+  apyPct: s.number(),
+  utilizationCapPct: s.number({ min: 0 }),
+  custodies: s.arrayOf(s.object({
+    symbol: s.string({ minLength: 1 }),
+    utilizationPct: s.number({ min: 0 }),
+    weightPct: s.number({ min: 0 }),
+    targetWeightPct: s.number({ min: 0 }),
+  }), { uniqueBy: 'symbol' }),
+});
+
+const voltrSnapshot = s.object({
+  date: s.date(),
+  timestamp: s.timestamp(),
+  slot: s.integer({ gt: 0 }),
+  sharePrice: s.number({ gt: 0 }),
+  circulatingSharePrice: s.number({ gt: 0 }),
+  totalValueUsdc: s.number({ min: 0 }),
+  lpSupply: s.number({ min: 0 }),
+  dilutedLpSupply: s.number({ min: 0 }),
+  highWaterMark: s.number({ min: 0 }),
+});
+
+const vaultNavHistory = s.object({
+  vault: s.object({
+    id: s.string({ minLength: 1 }),
+    name: s.string(),
+    platform: s.string({ minLength: 1 }),
+    address: s.nullable(s.string()),
+  }),
+  timezone: s.string({ minLength: 1 }),
+  stampHour: s.integer({ min: 0, max: 23 }),
+  lastUpdated: s.timestamp(),
+  records: s.arrayOf(s.object({
+    date: s.date(),
+    timestamp: s.timestamp(),
+    sharePrice: s.number({ gt: 0, lt: 100 }),
+    equity: s.number({ min: 0 }),
+    shares: s.number({ gt: 0 }),
+    tvl: s.number({ min: 0 }),
+    slot: s.nullable(s.integer({ gt: 0 })),
+    source: s.string({ minLength: 1 }),
+  }), { uniqueBy: 'date', sortedBy: 'date' }),
+});
+
+const hedgeAsset = s.object({
+  asset: s.string({ minLength: 1 }),
+  market: s.string({ minLength: 1 }),
+  poolWeightPct: s.number({ min: 0 }),
+  vaultExposureUsd: s.number(),
+  perpBase: s.number(),
+  oraclePrice: s.nullable(s.number({ gt: 0 })),
+  shortUsd: s.number({ min: 0 }),
+  netDeltaUsd: s.number(),
+  hedgeRatio: s.nullable(s.number()),
+  targetRatio: s.number({ min: 0 }),
+  deviation: s.nullable(s.number()),
+  withinBand: s.boolean(),
+});
+
+const signatureCursor = s.object({ signature: s.string({ minLength: 32 }), slot: s.integer({ min: 0 }) });
+
+// kv1-trade-ledger.json — fields beyond these depend on `type` (lib/trade-ledger.js)
+const tradeLedgerEntry = s.object({
+  id: s.string(),
+  signature: s.string({ minLength: 32 }),
+  slot: s.integer({ min: 0 }),
+  timestamp: s.timestamp(),
+  date: s.date(),
+  type: s.literal('fill', 'settlePnl', 'funding'),
+  marketIndex: s.integer({ min: 0 }),
+  market: s.string({ minLength: 1 }),
+});
+
+const tradeTotals = s.object({
+  trades: s.integer({ min: 0 }),
+  volume: s.number({ min: 0 }),
+  fees: s.number(),
+  funding: s.number(),
+  settledPnl: s.number(),
+});
+
+// One wallet's flows in one vault, derived from investor-ledger.json
+const ledgerTotals = s.object({
+  deposits: s.number({ min: 0 }),
+  withdrawals: s.number({ min: 0 }),
+  value: s.number({ min: 0 }),
+  earnings: s.number(),
+});
+
+const pipelineJobResult = s.object({
+  id: s.string({ minLength: 1 }),
+  status: s.literal('ok', 'failed', 'timeout', 'skipped'),
+  exitCode: s.nullable(s.integer()),
+  startedAt: s.timestamp(),
+  durationMs: s.number({ min: 0 }),
+  rowsWritten: s.integer({ min: 0 }),
+  error: s.nullable(s.string()),
+  critical: s.boolean(),
+});
+
+const SCHEMAS = {
+  'official-nav-history.json': s.arrayOf(navRecord, { minItems: 1, uniqueBy: 'date', sortedBy: 'date' }),
+
+  'jlp-snapshots.json': s.object({
+    snapshots: s.arrayOf(jlpSnapshot, { uniqueBy: 'date', sortedBy: 'date' }),
+    lastUpdated: s.timestamp(),
+  }),
+
+  'drift-funding-rates.json': fundingRates,
+  'aster-funding-rates.json': fundingRates,
+
+  'allium-fees.json': s.arrayOf(feeDay, { uniqueBy: 'date', sortedBy: 'date' }),
+  'allium-trader-pnl.json': s.arrayOf(traderPnlDay, { uniqueBy: 'date', sortedBy: 'date' }),
+  'trader-pnl-onchain.json': s.arrayOf(traderPnlDay, { uniqueBy: 'date', sortedBy: 'date' }),
+  'allium-market-breakdown.json': s.object({
+    days: s.arrayOf(marketBreakdownDay, { uniqueBy: 'date', sortedBy: 'date' }),
+  }),
+  'allium-meta.json': s.object({
+    lastFetch: s.timestamp(),
+    source: s.string({ minLength: 1 }),
+    feeDays: s.integer({ min: 0 }),
+    traderPnlAvailable: s.boolean(),
+    warning: s.optional(s.string()),
+  }),
+
+  'trader-pnl-snapshots.json': s.arrayOf(traderPnlSnapshot, { uniqueBy: 'date', sortedBy: 'date' }),
+
+  'pn-kv1-current.json': primeVaultPoint,
+  'pn-kv1-history.json': s.arrayOf(primeVaultPoint, { minItems: 1 }),
+
+  'jlp-strategy-latest.json': s.object({
+    ...strategySummaryFields,
+    points: s.arrayOf(s.object({ date: s.date(), roi: s.number() }), { uniqueBy: 'date', sortedBy: 'date' }),
+    fetchedAt: s.timestamp(),
+  }),
+
+  'prime-report-archive/index.json': s.object({
+    lastUpdated: s.nullable(s.timestamp()),
+    dates: s.arrayOf(s.date()),
+  }),
+
+  'dashboard-freshness.json': s.object({
+    label: s.string(),
+    schedule: s.string(),
+    stampedAt: s.timestamp(),
+    stampedAtEastern: s.string(),
+    sourceReportUrl: s.string(),
+    sourceReportLastUpdated: s.nullable(s.string()),
+    strategy: s.string({ minLength: 1 }),
+    summary: s.object(strategySummaryFields),
+  }),
+
+  'voltr-cross-platform-share-history.json': s.object({
+    vault: s.string({ minLength: 32 }),
+    vaultName: s.string(),
+    timezone: s.string(),
+    lastUpdated: s.timestamp(),
+    snapshots: s.arrayOf(voltrSnapshot, { uniqueBy: 'date', sortedBy: 'date' }),
+  }),
+
+  'jlp-utilization-history.json': s.arrayOf(utilizationDay, { uniqueBy: 'date', sortedBy: 'date' }),
+
+  'hedge-history.json': s.object({
+    lastUpdated: s.timestamp(),
+    vault: s.string({ minLength: 32 }),
+    snapshots: s.arrayOf(s.object({
+      date: s.date(),
+      timestamp: s.timestamp(),
+      jlpAmount: s.number({ min: 0 }),
+      jlpPriceUsd: s.number({ gt: 0 }),
+      vaultJlpUsd: s.number({ min: 0 }),
+      poolAumUsd: s.number({ min: 0 }),
+      hedgeNotionalRatio: s.nullable(s.number({ min: 0 })),
+      breaches: s.arrayOf(s.string()),
+      assets: s.arrayOf(hedgeAsset, { minItems: 1, uniqueBy: 'asset' }),
+    }), { uniqueBy: 'date', sortedBy: 'date' }),
+  }),
+
+  'kv1-trade-ledger.json': s.object({
+    lastUpdated: s.nullable(s.timestamp()),
+    vault: s.nullable(s.string({ minLength: 32 })),
+    user: s.nullable(s.string({ minLength: 32 })),
+    head: s.nullable(signatureCursor),
+    backfill: s.object({
+      before: s.nullable(s.string({ minLength: 32 })),
+      slot: s.nullable(s.integer({ min: 0 })),
+      complete: s.boolean(),
+    }),
+    unreadable: s.arrayOf(s.object({ signature: s.string({ minLength: 32 }), slot: s.integer({ min: 0 }), error: s.string() })),
+    entries: s.arrayOf(tradeLedgerEntry, { uniqueBy: 'id', sortedBy: 'slot' }),
+  }),
+
+  // Legacy exports (the Allium query's columns) until the ledger is verified;
+  // see writeTradeFiles in lib/trade-ledger.js
+  'kv1-drift-trades.json': s.oneOf(s.arrayOf(s.object({
+    block_timestamp: s.timestamp(),
+    name: s.string({ minLength: 1 }),
+    direction: s.string(),
+    mkt: s.integer({ min: 0 }),
+    base_amt: s.number({ min: 0 }),
+    price: s.number({ min: 0 }),
+    user_acct: s.string({ minLength: 32 }),
+  })), s.arrayOf(s.object({
+    id: s.string(),
+    signature: s.string({ minLength: 32 }),
+    timestamp: s.timestamp(),
+    date: s.date(),
+    market: s.string({ minLength: 1 }),
+    marketIndex: s.integer({ min: 0 }),
+    marketType: s.literal('perp', 'spot'),
+    role: s.literal('taker', 'maker'),
+    direction: s.literal('long', 'short'),
+    baseAmount: s.number({ min: 0 }),
+    quoteAmount: s.number({ min: 0 }),
+    price: s.nullable(s.number({ min: 0 })),
+    fee: s.number(),
+  }), { uniqueBy: 'id' })),
+
+  'kv1-trade-summary.json': s.oneOf(s.object({
+    vault: s.string({ minLength: 32 }),
+    total_trades: s.integer({ min: 0 }),
+    timeframes: s.recordOf(s.object({ trades: s.integer({ min: 0 }), volume: s.number({ min: 0 }) })),
+    daily: s.recordOf(s.object({ count: s.integer({ min: 0 }), volume: s.number({ min: 0 }) })),
+  }), s.object({
+    vault: s.string({ minLength: 32 }),
+    lastUpdated: s.timestamp(),
+    complete: s.boolean(),
+    first_trade: s.nullable(s.timestamp()),
+    total_trades: s.integer({ min: 0 }),
+    timeframes: s.recordOf(tradeTotals),
+    daily: s.recordOf(s.object({ count: s.integer({ min: 0 }), volume: s.number({ min: 0 }), fees: s.number(), funding: s.number(), settledPnl: s.number() })),
+  })),
+
+  'investor-flows.json': s.object({
+    wallets: s.recordOf(s.object({
+      label: s.string(),
+      publicVaultEarnings: s.number(),
+      privateVaultEarnings: s.number(),
+      vaults: s.optional(s.recordOf(ledgerTotals)),
+    })),
+    totalEarnings: s.object({
+      publicVault: s.number(),
+      privateVault: s.number(),
+      byVault: s.optional(s.recordOf(s.number())),
+      combined: s.number(),
+    }),
+    withdrawals: s.arrayOf(s.object({
+      date: s.date(),
+      amount: s.number({ gt: 0 }),
+      vault: s.literal('public', 'private'),
+      wallet: s.string({ minLength: 32 }),
+    }), { sortedBy: 'date' }),
+  }),
+
+  'investor-ledger.json': s.object({
+    lastUpdated: s.nullable(s.timestamp()),
+    cursors: s.recordOf(signatureCursor),
+    entries: s.arrayOf(s.object({
+      id: s.string(),
+      signature: s.string({ minLength: 32 }),
+      slot: s.integer({ min: 0 }),
+      timestamp: s.timestamp(),
+      date: s.date(),
+      vault: s.string(),
+      wallet: s.string({ minLength: 32 }),
+      action: s.literal('deposit', 'withdraw'),
+      amount: s.number({ min: 0 }),
+      shares: s.number({ min: 0 }),
+      sharePrice: s.nullable(s.number({ gt: 0 })),
+    }), { uniqueBy: 'id' }),
+  }),
+
+  'nav-quarantine.json': s.object({
+    lastUpdated: s.nullable(s.timestamp()),
+    pending: s.arrayOf(s.object(quarantinedNavFields), { uniqueBy: 'date', sortedBy: 'date' }),
+    resolved: s.arrayOf(s.object({
+      ...quarantinedNavFields,
+      resolution: s.literal('approved', 'rejected', 'superseded'),
+      resolvedAt: s.timestamp(),
+      note: s.nullable(s.string()),
+    })),
+  }),
+
+  'restatements.json': s.object({
+    lastUpdated: s.nullable(s.timestamp()),
+    entries: s.arrayOf(s.object({
+      id: s.string(),
+      detectedAt: s.timestamp(),
+      source: s.string({ minLength: 1 }),
+      series: s.string({ minLength: 1 }),
+      date: s.date(),
+      field: s.string({ minLength: 1 }),
+      oldValue: s.number(),
+      newValue: s.nullable(s.number()),
+      delta: s.nullable(s.number()),
+    }), { uniqueBy: 'id' }),
+  }),
+
+  'fetch-status.json': s.recordOf(s.object({
+    label: s.optional(s.string()),
+    lastFetch: s.nullable(s.timestamp()),
+    ok: s.boolean(),
+    error: s.nullable(s.string()),
+  })),
+
+  'pipeline-runs.json': s.arrayOf(s.object({
+    startedAt: s.timestamp(),
+    finishedAt: s.timestamp(),
+    durationMs: s.number({ min: 0 }),
+    errors: s.integer({ min: 0 }),
+    warnings: s.integer({ min: 0 }),
+    // Set when the run failed before its jobs started (e.g. a bad config)
+    error: s.optional(s.string()),
+    jobs: s.arrayOf(pipelineJobResult),
+  }), { sortedBy: 'startedAt' }),
+
+  // Written by scripts/build-derived.js; inputs map repo paths to sha256 (null = missing)
+  'derived/manifest.json': s.object({
+    version: s.integer({ min: 1 }),
+    generatedAt: s.nullable(s.timestamp()),
+    files: s.recordOf(s.object({
+      version: s.integer({ min: 1 }),
+      generatedAt: s.timestamp(),
+      sha256: s.string({ pattern: /^[0-9a-f]{64}$/ }),
+      bytes: s.integer({ min: 0 }),
+      inputs: s.recordOf(s.nullable(s.string({ pattern: /^[0-9a-f]{64}$/ }))),
+    })),
+  }),
+};
+
+// One day's parse of the Prime Number report (scripts/lib/prime-report.js)
+const primeReportArchive = s.object({
+  date: s.date(),
+  fetchedAt: s.timestamp(),
+  sourceReportUrl: s.string(),
+  lastUpdated: s.nullable(s.string()),
+  coverage: s.nullable(s.string()),
+  strategies: s.arrayOf(s.object({
+    strategy: s.string({ minLength: 1 }),
+    startDate: s.nullable(s.date()),
+    endDate: s.nullable(s.date()),
+    cumulative: s.nullable(s.number()),
+    annualized: s.nullable(s.number()),
+    sevenDayRollingApy: s.nullable(s.number()),
+    thirtyDayRollingApy: s.nullable(s.number()),
+    ninetyDayRollingApy: s.nullable(s.number()),
+  }), { minItems: 1, uniqueBy: 'strategy' }),
+  charts: s.arrayOf(s.object({
+    id: s.string({ minLength: 1 }),
+    title: s.nullable(s.string()),
+    dates: s.arrayOf(s.nullable(s.string())),
+    series: s.arrayOf(s.object({ name: s.string(), values: s.arrayOf(s.nullable(s.number())) })),
+  })),
+  skippedCharts: s.arrayOf(s.object({ id: s.string(), error: s.string() })),
+});
+
+// Envelope shared by every data/derived/ dataset; `data` is the builder's own shape
+const derivedDataset = s.object({
+  dataset: s.string({ minLength: 1 }),
+  version: s.integer({ min: 1 }),
+  generatedAt: s.timestamp(),
+  inputs: s.recordOf(s.nullable(s.string({ pattern: /^[0-9a-f]{64}$/ }))),
+  data: s.object({}),
+});
+
+const SCHEMA_PATTERNS = [
+  { pattern: /^vault-nav\/[\w-]+\.json$/, schema: vaultNavHistory },
+  { pattern: /^derived\/[\w-]+\.json$/, schema: derivedDataset },
+  { pattern: /^prime-report-archive\/\d{4}-\d{2}-\d{2}\.json$/, schema: primeReportArchive },
+  { pattern: /^[a-z]+-funding\/[\w-]+\.json$/, schema: fundingRecords },
+];
+
+function schemaFor(fileName) {
+  if (SCHEMAS[fileName]) return SCHEMAS[fileName];
+  return SCHEMA_PATTERNS.find(entry => entry.pattern.test(fileName))?.schema || null;
+}
+
+module.exports = {
+  SCHEMAS,
+  SCHEMA_PATTERNS,
+  schemaFor,
+};
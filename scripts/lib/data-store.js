@@ -0,0 +1,74 @@
+/**
+ * Validated reads and writes for data/*.json.
+ *
+ * writeDataFile() is the only way scripts should write into data/: the
+ * payload is checked against its schema in data-schemas.js and refused if
+ * invalid, leaving the previous file untouched. Valid payloads are written
+ * atomically (tmp file + rename).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./schema');
+const { schemaFor } = require('./data-schemas');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+const MAX_REPORTED_VIOLATIONS = 10;
+
+class DataValidationError extends Error {
+  constructor(fileName, violations) {
+    const shown = violations.slice(0, MAX_REPORTED_VIOLATIONS)
+      .map(v => `  ${v.path}: ${v.message}`)
+      .join('\n');
+    const more = violations.length > MAX_REPORTED_VIOLATIONS
+      ? `\n  … and ${violations.length - MAX_REPORTED_VIOLATIONS} more`
+      : '';
+    super(`Refusing to write data/${fileName}: ${violations.length} schema violation(s)\n${shown}${more}`);
+    this.name = 'DataValidationError';
+    this.fileName = fileName;
+    this.violations = violations;
+  }
+}
+
+function dataPath(fileName, dataDir = DATA_DIR) {
+  return path.join(dataDir, fileName);
+}
+
+/**
+ * Validate `data` against the registered schema for `fileName`.
+ * Returns the list of violations; throws if no schema is registered.
+ */
+function validateData(fileName, data) {
+  const schema = schemaFor(fileName);
+  if (!schema) throw new Error(`No schema registered for data/${fileName} — add one to scripts/lib/data-schemas.js`);
+  return validate(schema, data);
+}
+
+function readDataFile(fileName, fallback = null, { dataDir } = {}) {
+  try {
+    return JSON.parse(fs.readFileSync(dataPath(fileName, dataDir), 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+function writeDataFile(fileName, data, { dataDir } = {}) {
+  const violations = validateData(fileName, data);
+  if (violations.length > 0) throw new DataValidationError(fileName, violations);
+
+  const filePath = dataPath(fileName, dataDir);
+  const tmpPath = `${filePath}.tmp`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tmpPath, `${JSON.stringify(data, null, 2)}\n`);
+  fs.renameSync(tmpPath, filePath);
+  return filePath;
+}
+
+module.exports = {
+  DATA_DIR,
+  DataValidationError,
+  dataPath,
+  validateData,
+  readDataFile,
+  writeDataFile,
+};
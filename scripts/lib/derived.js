@@ -0,0 +1,226 @@
+/**
+ * Derived datasets — data/derived/*.json, precomputed from data/ by
+ * scripts/build-derived.js so dashboards load small, consistent files instead
+ * of recomputing from raw histories on every page load.
+ *
+ * Each dataset declares the data/ files it reads and a `version`, bumped
+ * whenever its shape or math changes; pages ask for the version they
+ * understand (js/derived.js) and fall back to computing it themselves
+ * otherwise. Every file is written as
+ *
+ *   { dataset, version, generatedAt, inputs: { <repo path>: sha256 }, data }
+ *
+ * Math comes from js/metrics.js and js/fees.js, the same code the pages run.
+ * Returns are fractions; dates are the data files' own (ET stamp dates).
+ */
+
+const KVMetrics = require('../../js/metrics');
+const KVFees = require('../../js/fees');
+const { analyzeTrades } = require('./trade-pnl');
+
+// Same windows and annualization as the dashboards
+const ROLLING_PERIODS = [
+  { name: '7D', days: 7 },
+  { name: '30D', days: 30 },
+  { name: '90D', days: 90 },
+  { name: '180D', days: 180 },
+  { name: '1Y', days: 365 },
+  { name: 'All Time', days: null },
+];
+const ANNUALIZATION = 'simple';
+function navSeries(nav) {
+  return nav.map(r => ({ date: r.date, value: r.SharePrice }));
+}
+
+function netReturn(grossReturn, startDate, endDate, terms) {
+  return KVFees.netReturn(grossReturn, Math.max(1, KVMetrics.daysBetween(startDate, endDate)), terms);
+}
+
+// Monday of the ISO week `date` falls in
+function weekStart(date) {
+  const dow = new Date(`${date}T12:00:00Z`).getUTCDay();
+  return KVMetrics.shiftDate(date, -((dow + 6) % 7));
+}
+
+// ── Datasets ──────────────────────────────────────────────────────────────────
+/** Trailing-window returns of the official share price, gross and net of KV fees. */
+function navRolling({ nav, terms }) {
+  const series = navSeries(nav);
+  return {
+    asOf: series[series.length - 1].date,
+    annualization: ANNUALIZATION,
+    periods: KVMetrics.rollingReturns(series, ROLLING_PERIODS).map(p => {
+      const net = netReturn(p.return, p.start.date, p.end.date, terms);
+      return {
+        name: p.name,
+        requestedDays: p.requestedDays,
+        days: p.days,
+        start: p.start.date,
+        end: p.end.date,
+        isComplete: p.isComplete,
+        isShortPeriod: p.isShortPeriod,
+        grossReturn: p.return,
+        netReturn: net,
+        netApy: p.isShortPeriod ? null : KVMetrics.annualize(net, p.days, { method: ANNUALIZATION }),
+      };
+    }),
+  };
+}
+
+/** Distance below the running peak on every stamp date, plus the worst episode. */
+function navDrawdown({ nav }) {
+  const series = navSeries(nav);
+  let peak = -Infinity;
+  return {
+    asOf: series[series.length - 1].date,
+    summary: KVMetrics.maxDrawdown(series),
+    series: series.map(point => {
+      peak = Math.max(peak, point.value);
+      return { date: point.date, drawdown: point.value / peak - 1 };
+    }),
+  };
+}
+
+/** Cumulative return from inception on every stamp date, gross and net of KV fees. */
+function navNet({ nav, terms }) {
+  const series = navSeries(nav);
+  const first = series[0];
+  return {
+    asOf: series[series.length - 1].date,
+    inceptionDate: first.date,
+    series: series.map((point, i) => {
+      const gross = point.value / first.value - 1;
+      return {
+        date: point.date,
+        sharePrice: point.value,
+        tvl: nav[i].tvl ?? null,
+        grossReturn: gross,
+        netReturn: point.date === first.date ? 0 : netReturn(gross, first.date, point.date, terms),
+      };
+    }),
+  };
+}
+
+/**
+ * Recorded daily Jupiter trader P&L (positive = traders won, the pool lost):
+ * on-chain closes, else Allium's aggregate. jlp-analytics' CoinGecko-implied
+ * estimate needs price history that is not in data/, so it is not here.
+ */
+function dailyTraderPnl({ onchainPnl, alliumPnl }) {
+  const rows = onchainPnl && onchainPnl.length ? onchainPnl : alliumPnl || [];
+  return rows
+    .map(d => ({ date: d.date, pnlUsd: d.trader_pnl }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * ISO-week (Monday start) aggregates for jlp-analytics: JLP fees, trader
+ * P&L and the vault's share-price move and closing TVL over each week.
+ */
+function jlpWeekly({ nav, fees, onchainPnl, alliumPnl }) {
+  const weeks = new Map();
+  const week = date => {
+    const start = weekStart(date);
+    if (!weeks.has(start)) {
+      weeks.set(start, { weekStart: start, weekEnd: KVMetrics.shiftDate(start, 6), fees: 0, feeDays: 0, traderPnl: null });
+    }
+    return weeks.get(start);
+  };
+
+  for (const d of fees || []) {
+    const w = week(d.date);
+    w.fees += d.total_fees;
+    w.feeDays += 1;
+  }
+  for (const d of dailyTraderPnl({ onchainPnl, alliumPnl })) {
+    const w = week(d.date);
+    w.traderPnl = (w.traderPnl || 0) + d.pnlUsd;
+  }
+
+  // Share price at the close before the week and at its last stamp
+  const series = navSeries(nav);
+  const closeOn = date => series.filter(p => p.date <= date).pop() || null;
+  const rows = [...weeks.values()]
+    .filter(w => w.weekEnd >= series[0].date)
+    .sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+  let cumulativeFees = 0;
+  for (const w of rows) {
+    const start = closeOn(KVMetrics.shiftDate(w.weekStart, -1)) || series[0];
+    const end = closeOn(w.weekEnd);
+    cumulativeFees += w.fees;
+    w.cumulativeFees = cumulativeFees;
+    w.sharePriceStart = start.value;
+    w.sharePriceEnd = end ? end.value : null;
+    w.sharePriceReturn = end ? end.value / start.value - 1 : null;
+    w.tvl = end ? nav.find(r => r.date === end.date)?.tvl ?? null : null;
+  }
+  return { asOf: series[series.length - 1].date, weeks: rows };
+}
+
+/**
+ * KV1 hedge trading P&L from the Drift trade ledger (lib/trade-pnl.js):
+ * positions, average-cost realized P&L, fees, funding and hold time per
+ * market, per trailing window and per day.
+ */
+function kv1Pnl({ ledger }) {
+  return analyzeTrades(ledger);
+}
+
+/**
+ * The derived datasets: output file (under data/derived/), version, the
+ * data/ files read (keyed by the name `build` receives them under), the
+ * inputs it cannot be built without (`required`; skipped while one is
+ * missing), whether it depends on config/fee-terms.json (passed as `terms`)
+ * and the builder.
+ */
+const DATASETS = [
+  {
+    file: 'nav-rolling.json',
+    version: 1,
+    inputs: { nav: 'official-nav-history.json' },
+    feeTerms: true,
+    build: navRolling,
+  },
+  {
+    file: 'nav-drawdown.json',
+    version: 1,
+    inputs: { nav: 'official-nav-history.json' },
+    build: navDrawdown,
+  },
+  {
+    file: 'nav-net.json',
+    version: 1,
+    inputs: { nav: 'official-nav-history.json' },
+    feeTerms: true,
+    build: navNet,
+  },
+  {
+    file: 'jlp-weekly.json',
+    version: 1,
+    inputs: {
+      nav: 'official-nav-history.json',
+      fees: 'allium-fees.json',
+      onchainPnl: 'trader-pnl-onchain.json',
+      alliumPnl: 'allium-trader-pnl.json',
+    },
+    build: jlpWeekly,
+  },
+  {
+    file: 'kv1-pnl.json',
+    version: 1,
+    inputs: { ledger: 'kv1-trade-ledger.json' },
+    required: ['ledger'],
+    build: kv1Pnl,
+  },
+];
+
+module.exports = {
+  DATASETS,
+  ROLLING_PERIODS,
+  weekStart,
+  navRolling,
+  navDrawdown,
+  navNet,
+  jlpWeekly,
+  kv1Pnl,
+};
@@ -0,0 +1,116 @@
+/**
+ * Perp funding history — market config (config/funding-markets.json) and
+ * the funding-record → daily aggregation shared by the funding fetchers.
+ *
+ * Raw funding records live in data/<venue>-funding/<market>.json:
+ *
+ *   { venue, market, lastUpdated,
+ *     records: [{ ts, rate, hours?, ...raw venue fields }] }   // ts: unix seconds, ascending
+ *
+ * `rate` is the funding settled at `ts` as a fraction of notional, positive
+ * when longs pay shorts (the hedge's shorts earn it). `hours` is the funding
+ * interval it covers: 1 unless set (Drift settles hourly, Aster every 8h).
+ *
+ * Daily aggregates (UTC days) are computed from them, in the same units for
+ * every venue:
+ *
+ *   { date, avgRate, annualizedPct, hours, sumRate, avg7dPct, avg30dPct }
+ *
+ * avgRate is the average hourly rate and hours the funding hours settled that
+ * day; sumRate is the exact funding one unit of notional paid over the day;
+ * avg7dPct / avg30dPct are hour-weighted, annualized averages over the 7 and
+ * 30 calendar days ending on `date`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { shiftDate } = require('../../js/metrics');
+
+const MARKETS_PATH = path.join(__dirname, '..', '..', 'config', 'funding-markets.json');
+const HOURS_PER_YEAR = 24 * 365;
+const TRAILING_WINDOWS = [{ field: 'avg7dPct', days: 7 }, { field: 'avg30dPct', days: 30 }];
+
+/** Markets configured for `venue` (each has at least a unique `name`). */
+function loadFundingMarkets(venue) {
+  const config = JSON.parse(fs.readFileSync(MARKETS_PATH, 'utf8'));
+  const markets = config[venue];
+  if (!Array.isArray(markets) || markets.length === 0) {
+    throw new Error(`${MARKETS_PATH}: no "${venue}" markets configured`);
+  }
+  const names = new Set();
+  for (const market of markets) {
+    if (!market.name) throw new Error(`${MARKETS_PATH}: ${venue} market without a name`);
+    if (names.has(market.name)) throw new Error(`${MARKETS_PATH}: duplicate ${venue} market "${market.name}"`);
+    names.add(market.name);
+  }
+  return markets;
+}
+
+function recordsFile(venue, market) {
+  return `${venue}-funding/${market}.json`;
+}
+
+/** `existing` records plus `fresh` ones, one per ts (fresh wins), ascending. */
+function mergeRecords(existing, fresh) {
+  const byTs = new Map(existing.map(r => [r.ts, r]));
+  for (const record of fresh) byTs.set(record.ts, record);
+  return [...byTs.values()].sort((a, b) => a.ts - b.ts);
+}
+
+function round(value, decimals) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+/** Daily aggregates (see header) of funding records, ascending by date. */
+function dailyAggregates(records) {
+  const days = new Map();
+  for (const { ts, rate, hours = 1 } of records) {
+    const date = new Date(ts * 1000).toISOString().slice(0, 10);
+    const day = days.get(date) || { date, sum: 0, hours: 0 };
+    day.sum += rate;
+    day.hours += hours;
+    days.set(date, day);
+  }
+
+  const sorted = [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+  return sorted.map(day => {
+    const avgRate = day.sum / day.hours;
+    const row = {
+      date: day.date,
+      avgRate: round(avgRate, 8),
+      annualizedPct: round(avgRate * HOURS_PER_YEAR * 100, 4),
+      hours: day.hours,
+      sumRate: round(day.sum, 10),
+    };
+    for (const { field, days: windowDays } of TRAILING_WINDOWS) {
+      const from = shiftDate(day.date, -(windowDays - 1));
+      let sum = 0;
+      let hours = 0;
+      for (const d of sorted) {
+        if (d.date < from || d.date > day.date) continue;
+        sum += d.sum;
+        hours += d.hours;
+      }
+      row[field] = round((sum / hours) * HOURS_PER_YEAR * 100, 4);
+    }
+    return row;
+  });
+}
+
+/**
+ * Stored daily rows replaced by `fresh` ones for the same dates; rows for
+ * days the stored records do not reach (older daily-only data) are kept.
+ */
+function mergeDaily(existing, fresh) {
+  const byDate = new Map((existing || []).map(d => [d.date, d]));
+  for (const day of fresh) byDate.set(day.date, day);
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = {
+  loadFundingMarkets,
+  recordsFile,
+  mergeRecords,
+  dailyAggregates,
+  mergeDaily,
+};
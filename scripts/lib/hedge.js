@@ -0,0 +1,147 @@
+/**
+ * KV1 hedge monitor — config/hedge.json and the exposure math behind
+ * data/hedge-history.json (written by scripts/monitor-hedge.js).
+ *
+ * The vault's exposure to each pool asset is looked through its JLP:
+ *
+ *   poolExposureUsd  = weight × pool AUM − traders' longs (guaranteedUsd)
+ *                      + traders' shorts (globalShortSizes)
+ *   vaultExposureUsd = vault JLP value / pool AUM × poolExposureUsd
+ *
+ * (the pool is the counterparty to every trade: it is short what longs
+ * hold and long what shorts sold). Against it sits the vault's Drift perp
+ * position in the asset:
+ *
+ *   netDeltaUsd = vaultExposureUsd + perp size × oracle price
+ *   hedgeRatio  = short notional / vaultExposureUsd
+ *
+ * An asset is out of band when |hedgeRatio − target| exceeds
+ * maxRatioDeviation (both set in config/hedge.json, overridable per asset).
+ *
+ *   { lastUpdated, vault,
+ *     snapshots: [{ date, timestamp, jlpAmount, jlpPriceUsd, vaultJlpUsd,
+ *                   poolAumUsd, hedgeNotionalRatio, breaches: [asset],
+ *                   assets: [{ asset, market, poolWeightPct, vaultExposureUsd,
+ *                              perpBase, oraclePrice, shortUsd, netDeltaUsd,
+ *                              hedgeRatio, targetRatio, deviation, withinBand }] }] }
+ *
+ * hedgeNotionalRatio is total short notional / vault JLP value — the share
+ * of the JLP position that is hedged (jlp-analytics.html's hedge factor).
+ * One snapshot per ET date; a later run the same day replaces it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readDataFile, writeDataFile } = require('./data-store');
+
+const CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'hedge.json');
+const HISTORY_FILE = 'hedge-history.json';
+// jlp-info has reported the custody weight under different names
+const WEIGHT_FIELDS = ['currentWeightagePct', 'weightPct', 'currentWeightPct'];
+const USD_PRECISION = 1e6;
+
+function loadHedgeConfig() {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  if (!Array.isArray(config.assets) || config.assets.length === 0) {
+    throw new Error(`${CONFIG_PATH}: no assets configured`);
+  }
+  return config;
+}
+
+function round(value, decimals = 2) {
+  return value === null ? null : parseFloat(value.toFixed(decimals));
+}
+
+/** A custody's weight (% of AUM) from jlp-info; throws naming the fields it has. */
+function custodyWeightPct(custody) {
+  const field = WEIGHT_FIELDS.find(f => custody[f] !== undefined && custody[f] !== null);
+  if (!field) {
+    throw new Error(`jlp-info custody ${custody.symbol} has no weight (${WEIGHT_FIELDS.join(' / ')}); fields: ${Object.keys(custody).join(', ')}`);
+  }
+  return parseFloat(custody[field]);
+}
+
+/** Pool AUM and per-custody exposure (USD) from a jlp-info response. */
+function poolComposition(jlpInfo) {
+  const aumUsd = parseInt(jlpInfo.aumUsd) / USD_PRECISION;
+  const custodies = {};
+  for (const c of jlpInfo.custodies || []) {
+    const weightPct = custodyWeightPct(c);
+    const longsUsd = parseInt(c.guaranteedUsd || 0) / USD_PRECISION;
+    const shortsUsd = parseInt(c.globalShortSizes || 0) / USD_PRECISION;
+    custodies[c.symbol] = {
+      weightPct,
+      exposureUsd: (weightPct / 100) * aumUsd - longsUsd + shortsUsd,
+    };
+  }
+  return { aumUsd, jlpPriceUsd: parseInt(jlpInfo.jlpPriceUsd) / USD_PRECISION, custodies };
+}
+
+/**
+ * One hedge snapshot.
+ *   pool      — poolComposition()
+ *   jlpAmount — JLP the vault holds
+ *   perps     — { <marketIndex>: { base, oraclePrice } } (base signed, negative = short)
+ */
+function hedgeSnapshot({ config, pool, jlpAmount, perps, now = new Date() }) {
+  const vaultJlpUsd = jlpAmount * pool.jlpPriceUsd;
+  const assets = config.assets.map(a => {
+    const custody = pool.custodies[a.custody];
+    if (!custody) throw new Error(`jlp-info has no ${a.custody} custody (config/hedge.json asset ${a.asset})`);
+    const perp = perps[a.marketIndex] || { base: 0, oraclePrice: null };
+    const vaultExposureUsd = pool.aumUsd > 0 ? (vaultJlpUsd / pool.aumUsd) * custody.exposureUsd : 0;
+    const perpUsd = perp.base * (perp.oraclePrice || 0);
+    const hedgeRatio = vaultExposureUsd > 0 ? -perpUsd / vaultExposureUsd : null;
+    const targetRatio = a.targetHedgeRatio ?? config.targetHedgeRatio;
+    const maxDeviation = a.maxRatioDeviation ?? config.maxRatioDeviation;
+    const deviation = hedgeRatio === null ? null : hedgeRatio - targetRatio;
+    return {
+      asset: a.asset,
+      market: a.market,
+      poolWeightPct: round(custody.weightPct),
+      vaultExposureUsd: round(vaultExposureUsd),
+      perpBase: round(perp.base, 9),
+      oraclePrice: perp.oraclePrice === null ? null : round(perp.oraclePrice, 6),
+      shortUsd: round(Math.max(0, -perpUsd)),
+      netDeltaUsd: round(vaultExposureUsd + perpUsd),
+      hedgeRatio: round(hedgeRatio, 4),
+      targetRatio,
+      deviation: round(deviation, 4),
+      withinBand: deviation !== null && Math.abs(deviation) <= maxDeviation,
+    };
+  });
+
+  const shortUsd = assets.reduce((sum, a) => sum + a.shortUsd, 0);
+  return {
+    date: now.toLocaleDateString('en-CA', { timeZone: 'America/New_York' }),
+    timestamp: now.toISOString(),
+    jlpAmount: round(jlpAmount, 6),
+    jlpPriceUsd: round(pool.jlpPriceUsd, 6),
+    vaultJlpUsd: round(vaultJlpUsd),
+    poolAumUsd: round(pool.aumUsd),
+    hedgeNotionalRatio: vaultJlpUsd > 0 ? round(shortUsd / vaultJlpUsd, 4) : null,
+    breaches: assets.filter(a => !a.withinBand).map(a => a.asset),
+    assets,
+  };
+}
+
+/** Add `snapshot` to data/hedge-history.json (replacing one from the same date). */
+function appendSnapshot(snapshot, { vault }) {
+  const history = readDataFile(HISTORY_FILE, null) || { lastUpdated: null, vault, snapshots: [] };
+  history.snapshots = history.snapshots.filter(s => s.date !== snapshot.date);
+  history.snapshots.push(snapshot);
+  history.snapshots.sort((a, b) => a.date.localeCompare(b.date));
+  history.vault = vault;
+  history.lastUpdated = snapshot.timestamp;
+  writeDataFile(HISTORY_FILE, history);
+  return history;
+}
+
+module.exports = {
+  HISTORY_FILE,
+  loadHedgeConfig,
+  custodyWeightPct,
+  poolComposition,
+  hedgeSnapshot,
+  appendSnapshot,
+};
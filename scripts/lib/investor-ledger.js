@@ -0,0 +1,142 @@
+/**
+ * data/investor-ledger.json — append-only ledger of investor deposits and
+ * withdrawals, read from chain by scripts/build-investor-ledger.js.
+ *
+ *   { lastUpdated,
+ *     cursors: { <vaultId>: { signature, slot } },      // newest transaction scanned
+ *     entries: [{ id, signature, slot, timestamp, date, vault, wallet,
+ *                 action: 'deposit' | 'withdraw', amount, shares, sharePrice }] }
+ *
+ * `id` is `<signature>:<n>`, n being the record's position in the
+ * transaction (Drift event index, Voltr token account index) — one
+ * transaction can carry several flows. Entries are only ever appended; an id
+ * already in the ledger is never rewritten. Amounts are USDC, shares in
+ * whole vault shares.
+ *
+ * Vaults are scanned oldest first, so the cursor doubles as the checkpoint
+ * of a scan cut short: the next run continues from it.
+ *
+ * Wallet earnings in data/investor-flows.json are derived from this ledger
+ * (deposits, withdrawals) and the wallet's current position, so the totals
+ * there are always the sum of the wallets.
+ */
+
+const { readDataFile, writeDataFile } = require('./data-store');
+
+const LEDGER_FILE = 'investor-ledger.json';
+const FLOWS_FILE = 'investor-flows.json';
+
+// investor-flows.json predates the registry and names two vaults itself
+const LEGACY_EARNINGS_FIELDS = {
+  'drift-public': 'publicVaultEarnings',
+  kv1: 'privateVaultEarnings',
+};
+
+function loadLedger() {
+  return readDataFile(LEDGER_FILE, null) || { lastUpdated: null, cursors: {}, entries: [] };
+}
+
+/** Append `entries` not already in `ledger`; returns the ones added. */
+function appendEntries(ledger, entries) {
+  const known = new Set(ledger.entries.map(e => e.id));
+  const added = entries
+    .filter(e => !known.has(e.id))
+    .sort((a, b) => a.slot - b.slot || a.id.localeCompare(b.id));
+  ledger.entries.push(...added);
+  return added;
+}
+
+function saveLedger(ledger) {
+  ledger.lastUpdated = new Date().toISOString();
+  return writeDataFile(LEDGER_FILE, ledger);
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Per-wallet, per-vault earnings: current value + withdrawn - deposited.
+ *   positions — { <vaultId>: { <wallet>: currentValueUsd } }
+ * Returns { <wallet>: { <vaultId>: { deposits, withdrawals, value, earnings } } }
+ * for every wallet with ledger entries or a position.
+ */
+function walletEarnings(ledger, positions) {
+  const result = {};
+  const slot = (wallet, vault) => {
+    result[wallet] = result[wallet] || {};
+    result[wallet][vault] = result[wallet][vault] || { deposits: 0, withdrawals: 0, value: 0, earnings: 0 };
+    return result[wallet][vault];
+  };
+
+  for (const entry of ledger.entries) {
+    const totals = slot(entry.wallet, entry.vault);
+    if (entry.action === 'deposit') totals.deposits += entry.amount;
+    else totals.withdrawals += entry.amount;
+  }
+  for (const [vault, byWallet] of Object.entries(positions)) {
+    for (const [wallet, value] of Object.entries(byWallet)) slot(wallet, vault).value = value;
+  }
+
+  for (const byVault of Object.values(result)) {
+    for (const totals of Object.values(byVault)) {
+      totals.earnings = totals.value + totals.withdrawals - totals.deposits;
+      for (const key of Object.keys(totals)) totals[key] = round2(totals[key]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Rewrite the wallet earnings and totals in investor-flows.json from
+ * `earnings` (see walletEarnings) for the vaults in `vaultIds` — those whose
+ * ledger is complete. Other vaults keep the figures already there. Labels
+ * and the annotated withdrawals list are kept as they are. Totals are sums
+ * of the rounded wallet figures.
+ */
+function applyEarnings(flows, earnings, { vaultIds, source }) {
+  const previous = flows.totalEarnings || {};
+  const byVault = { ...(previous.byVault || { 'drift-public': previous.publicVault ?? 0, kv1: previous.privateVault ?? 0 }) };
+  for (const id of vaultIds) byVault[id] = 0;
+
+  for (const [address, wallet] of Object.entries(flows.wallets)) {
+    const vaults = earnings[address] || {};
+    const kept = Object.entries(wallet.vaults || {}).filter(([id]) => !vaultIds.includes(id));
+    wallet.vaults = Object.fromEntries([...kept, ...vaultIds.filter(id => vaults[id]).map(id => [id, vaults[id]])]);
+    for (const [id, field] of Object.entries(LEGACY_EARNINGS_FIELDS)) {
+      if (vaultIds.includes(id)) wallet[field] = vaults[id]?.earnings ?? 0;
+    }
+    for (const id of vaultIds) byVault[id] = round2(byVault[id] + (vaults[id]?.earnings ?? 0));
+  }
+
+  flows.totalEarnings = {
+    publicVault: byVault['drift-public'] ?? 0,
+    privateVault: byVault.kv1 ?? 0,
+    byVault,
+    combined: round2(Object.values(byVault).reduce((sum, v) => sum + v, 0)),
+    lastUpdated: new Date().toISOString(),
+    source,
+  };
+  return flows;
+}
+
+function loadInvestorFlows() {
+  return readDataFile(FLOWS_FILE, null);
+}
+
+function saveInvestorFlows(flows) {
+  return writeDataFile(FLOWS_FILE, flows);
+}
+
+module.exports = {
+  LEDGER_FILE,
+  FLOWS_FILE,
+  LEGACY_EARNINGS_FIELDS,
+  loadLedger,
+  appendEntries,
+  saveLedger,
+  walletEarnings,
+  applyEarnings,
+  loadInvestorFlows,
+  saveInvestorFlows,
+};
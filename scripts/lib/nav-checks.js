@@ -0,0 +1,120 @@
+/**
+ * Anomaly checks a new official NAV record must pass before it is published.
+ *
+ * Each check compares the candidate with the history before it and returns
+ *   { check, status: 'pass' | 'fail' | 'skip', message }
+ * ('skip' when there is not enough data to judge). A single 'fail' sends the
+ * record to quarantine (see nav-quarantine.js) instead of
+ * official-nav-history.json.
+ *
+ *   priceRange  — 0 < SharePrice < 100, same bound as the schema
+ *   returnZ     — day-over-day return within Z_MAX standard deviations of the
+ *                 last RETURN_WINDOW daily returns
+ *   tvlChange   — KV1 TVL may not fall more than TVL_MAX_DROP below the
+ *                 previous TVL less known withdrawals (audit item H8)
+ *   primeAgree  — SharePrice / PN_KV1 SharePrice stays within
+ *                 PRIME_RATIO_TOLERANCE of its recent median
+ */
+
+const THRESHOLDS = {
+  RETURN_WINDOW: 30,
+  MIN_RETURNS: 10,
+  Z_MAX: 4,
+  MIN_RETURN_STDEV: 0.001, // a near-flat window must not make every move an outlier
+  TVL_MAX_DROP: 0.30,
+  PRIME_RATIO_WINDOW: 7,
+  PRIME_RATIO_TOLERANCE: 0.015,
+};
+
+const pct = x => `${(x * 100).toFixed(2)}%`;
+
+function result(check, status, message) {
+  return { check, status, message };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function checkPriceRange(record) {
+  const p = record.SharePrice;
+  if (Number.isFinite(p) && p > 0 && p < 100) return result('priceRange', 'pass', `$${p.toFixed(6)} within (0, 100)`);
+  return result('priceRange', 'fail', `Share price ${p} outside (0, 100)`);
+}
+
+function checkReturnZ(record, previous) {
+  const prices = previous.slice(-(THRESHOLDS.RETURN_WINDOW + 1)).map(r => r.SharePrice);
+  const returns = prices.slice(1).map((p, i) => p / prices[i] - 1);
+  if (returns.length < THRESHOLDS.MIN_RETURNS) {
+    return result('returnZ', 'skip', `Only ${returns.length} prior daily returns`);
+  }
+
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((a, r) => a + (r - mean) ** 2, 0) / (returns.length - 1);
+  const stdev = Math.max(Math.sqrt(variance), THRESHOLDS.MIN_RETURN_STDEV);
+  const ret = record.SharePrice / prices[prices.length - 1] - 1;
+  const z = (ret - mean) / stdev;
+
+  const message = `Day return ${pct(ret)} is ${z.toFixed(1)}σ (σ ${pct(stdev)} over ${returns.length} days)`;
+  return result('returnZ', Math.abs(z) > THRESHOLDS.Z_MAX ? 'fail' : 'pass', message);
+}
+
+function checkTvlChange(record, previous, withdrawals) {
+  const prev = [...previous].reverse().find(r => r.tvl > 0);
+  if (!prev) return result('tvlChange', 'skip', 'No previous TVL');
+  if (record.tvl == null) return result('tvlChange', 'skip', 'TVL unavailable for this stamp');
+
+  // Withdrawals from the private vault (KV1) settled since the previous TVL
+  const withdrawn = withdrawals
+    .filter(w => w.vault === 'private' && w.date > prev.date && w.date <= record.date)
+    .reduce((sum, w) => sum + w.amount, 0);
+  const expected = prev.tvl - withdrawn;
+  const unexplained = (record.tvl - expected) / prev.tvl;
+
+  const message = `TVL $${Math.round(record.tvl).toLocaleString('en-US')} vs $${Math.round(prev.tvl).toLocaleString('en-US')} on ${prev.date}` +
+    (withdrawn > 0 ? ` less $${Math.round(withdrawn).toLocaleString('en-US')} known withdrawals` : '') +
+    ` (${pct(unexplained)} unexplained)`;
+  return result('tvlChange', unexplained < -THRESHOLDS.TVL_MAX_DROP ? 'fail' : 'pass', message);
+}
+
+function checkPrimeAgreement(record, previous) {
+  if (!(record.rawSharePrice > 0)) return result('primeAgree', 'skip', 'PN_KV1 SharePrice unavailable');
+  const ratios = previous
+    .filter(r => r.rawSharePrice > 0)
+    .slice(-THRESHOLDS.PRIME_RATIO_WINDOW)
+    .map(r => r.SharePrice / r.rawSharePrice);
+  if (ratios.length === 0) return result('primeAgree', 'skip', 'No previous PN_KV1 SharePrice');
+
+  const typical = median(ratios);
+  const ratio = record.SharePrice / record.rawSharePrice;
+  const drift = ratio / typical - 1;
+  const message = `Public/PN_KV1 ratio ${ratio.toFixed(5)} vs recent median ${typical.toFixed(5)} (${pct(drift)})`;
+  return result('primeAgree', Math.abs(drift) > THRESHOLDS.PRIME_RATIO_TOLERANCE ? 'fail' : 'pass', message);
+}
+
+/**
+ * Run every check on `record` against `history` (records before its date are
+ * used; a same-date entry is ignored). `withdrawals` is
+ * investor-flows.json's withdrawals list.
+ */
+function runNavChecks(record, history, { withdrawals = [] } = {}) {
+  const previous = history.filter(r => r.date < record.date);
+  const checks = [
+    checkPriceRange(record),
+    checkReturnZ(record, previous),
+    checkTvlChange(record, previous, withdrawals),
+    checkPrimeAgreement(record, previous),
+  ];
+  return {
+    ok: checks.every(c => c.status !== 'fail'),
+    checks,
+    reasons: checks.filter(c => c.status === 'fail').map(c => c.message),
+  };
+}
+
+module.exports = {
+  THRESHOLDS,
+  runNavChecks,
+};
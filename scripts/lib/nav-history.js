@@ -0,0 +1,36 @@
+/**
+ * data/official-nav-history.json — the official daily NAV series.
+ *
+ * Shared by the 5 PM stamp and the backfill so both read it the same way.
+ */
+
+const { readDataFile, writeDataFile } = require('./data-store');
+
+const NAV_FILE = 'official-nav-history.json';
+
+// Overlapping manual + cron runs have left same-day duplicates behind;
+// keep the latest stamp per date so the file passes schema validation.
+function dedupeByDate(history) {
+  const byDate = new Map();
+  for (const entry of history) {
+    const prev = byDate.get(entry.date);
+    if (!prev || String(entry.timestamp) >= String(prev.timestamp)) byDate.set(entry.date, entry);
+  }
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function loadNavHistory() {
+  return dedupeByDate(readDataFile(NAV_FILE, []));
+}
+
+// Validated atomic write — refused (previous file kept) if the schema fails
+function saveNavHistory(history) {
+  return writeDataFile(NAV_FILE, history);
+}
+
+module.exports = {
+  NAV_FILE,
+  dedupeByDate,
+  loadNavHistory,
+  saveNavHistory,
+};
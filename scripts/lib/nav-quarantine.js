@@ -0,0 +1,103 @@
+/**
+ * data/nav-quarantine.json — NAV stamps held back by the anomaly checks.
+ *
+ *   { lastUpdated,
+ *     pending:  [{ date, quarantinedAt, record, checks, reasons }],
+ *     resolved: [{ ...pending, resolution: 'approved' | 'rejected' | 'superseded',
+ *                  resolvedAt, note }] }
+ *
+ * At most one pending entry per date (a re-stamp replaces it). Entries only
+ * reach official-nav-history.json through approve(); see
+ * scripts/nav-quarantine.js for the review command.
+ */
+
+const { readDataFile, writeDataFile } = require('./data-store');
+const { loadNavHistory, saveNavHistory } = require('./nav-history');
+
+const QUARANTINE_FILE = 'nav-quarantine.json';
+const MAX_RESOLVED_KEPT = 100;
+
+function loadQuarantine() {
+  return readDataFile(QUARANTINE_FILE, null) || { lastUpdated: null, pending: [], resolved: [] };
+}
+
+function saveQuarantine(quarantine) {
+  quarantine.lastUpdated = new Date().toISOString();
+  quarantine.pending.sort((a, b) => a.date.localeCompare(b.date));
+  quarantine.resolved = quarantine.resolved.slice(-MAX_RESOLVED_KEPT);
+  return writeDataFile(QUARANTINE_FILE, quarantine);
+}
+
+function resolveEntry(quarantine, date, resolution, note = null) {
+  const entry = quarantine.pending.find(p => p.date === date);
+  if (!entry) return null;
+  quarantine.pending = quarantine.pending.filter(p => p !== entry);
+  const resolved = { ...entry, resolution, resolvedAt: new Date().toISOString(), note };
+  quarantine.resolved.push(resolved);
+  return resolved;
+}
+
+/** Hold `record` back with the failed `checkResult` (from runNavChecks). */
+function quarantineRecord(record, checkResult) {
+  const quarantine = loadQuarantine();
+  resolveEntry(quarantine, record.date, 'superseded', 'Replaced by a later stamp for the same date');
+  quarantine.pending.push({
+    date: record.date,
+    quarantinedAt: new Date().toISOString(),
+    record,
+    checks: checkResult.checks,
+    reasons: checkResult.reasons,
+  });
+  saveQuarantine(quarantine);
+}
+
+/** A clean stamp for `date` makes any pending entry for it moot. */
+function supersedePending(date) {
+  const quarantine = loadQuarantine();
+  if (resolveEntry(quarantine, date, 'superseded', 'A later stamp for the same date passed the checks')) {
+    saveQuarantine(quarantine);
+  }
+}
+
+/**
+ * Promote the pending record for `date` into official-nav-history.json.
+ * Refuses to overwrite an existing official record unless `replace` is set.
+ */
+function approve(date, { note = null, replace = false } = {}) {
+  const quarantine = loadQuarantine();
+  const entry = quarantine.pending.find(p => p.date === date);
+  if (!entry) throw new Error(`No pending quarantined stamp for ${date}`);
+
+  const history = loadNavHistory();
+  if (history.some(r => r.date === date) && !replace) {
+    throw new Error(`official-nav-history.json already has ${date} — pass --replace to overwrite it`);
+  }
+
+  const approvedAt = new Date().toISOString();
+  const next = history
+    .filter(r => r.date !== date)
+    .concat({ ...entry.record, approvedAt })
+    .sort((a, b) => a.date.localeCompare(b.date));
+  saveNavHistory(next);
+
+  resolveEntry(quarantine, date, 'approved', note);
+  saveQuarantine(quarantine);
+  return entry.record;
+}
+
+function reject(date, { note = null } = {}) {
+  const quarantine = loadQuarantine();
+  const resolved = resolveEntry(quarantine, date, 'rejected', note);
+  if (!resolved) throw new Error(`No pending quarantined stamp for ${date}`);
+  saveQuarantine(quarantine);
+  return resolved;
+}
+
+module.exports = {
+  QUARANTINE_FILE,
+  loadQuarantine,
+  quarantineRecord,
+  supersedePending,
+  approve,
+  reject,
+};
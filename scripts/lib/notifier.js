@@ -0,0 +1,247 @@
+/**
+ * Alert notifications for the stamp, fetcher and pipeline scripts.
+ *
+ *   await notify('failure', { source: 'driftFunding', label: 'Drift funding rates', error: e.message });
+ *
+ * Events are one of success | failure | timeout | deviation | restatement | hedge and are rendered
+ * by TEMPLATES below. config/notifications.json names the channels and the
+ * routes — which event types (and optionally which sources) go to which
+ * channels. Channel types:
+ *
+ *   telegram — Bot API sendMessage. Token from the channel's tokenEnv, else
+ *              TELEGRAM_BOT_TOKEN in KV_SECRETS_FILE (~/.openclaw/secrets.env)
+ *   webhook  — JSON POST of { event, source, subject, text, data }
+ *   smtp     — email via nodemailer; SMTP_HOST / SMTP_PORT / SMTP_USER /
+ *              SMTP_PASS / SMTP_FROM and the channel's to / toEnv
+ *   outbox   — appends one JSON line per message to a local file
+ *
+ * KV_NOTIFY_CHANNELS=outbox (comma-separated channel names) bypasses the
+ * routes and sends every event to just those channels — use it for tests
+ * and dry runs. A channel that is not configured is skipped with a warning;
+ * notify never throws, so an alert problem cannot fail the job it reports.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { request } = require('./source-adapter');
+
+const REPO_DIR = path.join(__dirname, '..', '..');
+const CONFIG_PATH = path.join(REPO_DIR, 'config', 'notifications.json');
+const EVENTS = ['success', 'failure', 'timeout', 'deviation', 'restatement', 'hedge'];
+
+// ── Templates ─────────────────────────────────────────────────────────────────
+// Telegram-flavoured Markdown; other channels get it with the markup stripped.
+// Fields: label, date, lines (extra body lines), error, impact, hint, seconds.
+function footer({ impact, hint }) {
+  return [
+    impact,
+    hint ? `Run manually: \`${hint}\`` : null,
+  ].filter(Boolean).join('\n');
+}
+
+const TEMPLATES = {
+  success: f => [
+    `✅ *${f.label} — ${f.date}*`,
+    (f.lines || []).join('\n'),
+  ],
+  failure: f => [
+    `🚨 *${f.label} FAILED* — ${f.date}`,
+    `Error: ${f.error || 'unknown error'}`,
+    footer(f),
+  ],
+  timeout: f => [
+    `🚨 *${f.label} TIMED OUT* — ${f.date}`,
+    `Ran for ${f.seconds ?? '?'}s without finishing.${f.cause ? `\nLikely cause: ${f.cause}` : ''}`,
+    footer(f),
+  ],
+  deviation: f => [
+    `⚠️ *${f.label} PRICE ALERT* — ${f.date}`,
+    (f.lines || []).join('\n'),
+  ],
+  restatement: f => [
+    `📝 *${f.label} RESTATED* — ${f.date}`,
+    (f.lines || []).join('\n'),
+    footer(f),
+  ],
+  hedge: f => [
+    `⚖️ *${f.label} OUT OF BAND* — ${f.date}`,
+    (f.lines || []).join('\n'),
+    footer(f),
+  ],
+};
+
+function stripMarkdown(text) {
+  return text.replace(/[*_`]/g, '');
+}
+
+function render(event, fields) {
+  const template = TEMPLATES[event];
+  if (!template) throw new Error(`Unknown notification event "${event}" — expected one of ${EVENTS.join(', ')}`);
+  const data = {
+    date: new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' }),
+    label: fields.source,
+    ...fields,
+  };
+  const markdown = template(data).filter(Boolean).join('\n\n');
+  return {
+    event,
+    source: fields.source,
+    subject: stripMarkdown(markdown.split('\n')[0]),
+    markdown,
+    text: stripMarkdown(markdown),
+    data,
+  };
+}
+
+// ── Channels ──────────────────────────────────────────────────────────────────
+function secretFromFile(name) {
+  const secretsPath = process.env.KV_SECRETS_FILE || path.join(os.homedir(), '.openclaw', 'secrets.env');
+  try {
+    for (const line of fs.readFileSync(secretsPath, 'utf8').split('\n')) {
+      const m = line.match(new RegExp(`^(?:export\\s+)?${name}=["']?([^"'\\s]+)["']?$`));
+      if (m) return m[1].trim();
+    }
+  } catch {}
+  return null;
+}
+
+// `displayUrl` stands in for `url` in errors and logs — channel URLs carry secrets
+async function postJson(url, payload, label, displayUrl) {
+  return request(url, {
+    method: 'POST',
+    displayUrl,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    label,
+    timeoutMs: 15_000,
+    retries: 1,
+    fixture: false,
+  });
+}
+
+const CHANNEL_TYPES = {
+  async telegram(channel, message) {
+    const tokenEnv = channel.tokenEnv || 'TELEGRAM_BOT_TOKEN';
+    const token = process.env[tokenEnv] || secretFromFile(tokenEnv);
+    if (!token) throw new Error(`${tokenEnv} not set`);
+    if (!channel.chatId) throw new Error('chatId missing');
+
+    const url = `https://api.telegram.org/bot${token}/sendMessage`;
+    const displayUrl = 'https://api.telegram.org/bot<token>/sendMessage';
+    let res = await postJson(url, { chat_id: channel.chatId, text: message.markdown, parse_mode: 'Markdown' }, 'telegram', displayUrl);
+    // Error text can contain unbalanced `_` / `*`; resend as plain text
+    if (res.status === 400 && /parse entities/i.test(res.body)) {
+      res = await postJson(url, { chat_id: channel.chatId, text: message.text }, 'telegram', displayUrl);
+    }
+    if (!res.ok) throw new Error(`Telegram API error ${res.status}: ${String(res.body).slice(0, 200)}`);
+  },
+
+  async webhook(channel, message) {
+    const url = channel.url || process.env[channel.urlEnv];
+    if (!url) throw new Error(`${channel.urlEnv || 'url'} not set`);
+    const { event, source, subject, text, data } = message;
+    // Webhook paths are the credential (Slack, Discord...); show the host only
+    const displayUrl = `${new URL(url).origin}/<redacted>`;
+    const res = await postJson(url, { event, source, subject, text, data }, 'webhook', displayUrl);
+    if (!res.ok) throw new Error(`Webhook returned HTTP ${res.status}`);
+  },
+
+  async smtp(channel, message) {
+    const to = channel.to || process.env[channel.toEnv];
+    const host = channel.host || process.env.SMTP_HOST;
+    if (!to || !host) throw new Error(`${!to ? channel.toEnv || 'to' : 'SMTP_HOST'} not set`);
+
+    const nodemailer = require('nodemailer');
+    const port = Number(channel.port || process.env.SMTP_PORT || 587);
+    const user = process.env.SMTP_USER;
+    const transport = nodemailer.createTransport({
+      host,
+      port,
+      secure: port === 465,
+      auth: user ? { user, pass: process.env.SMTP_PASS } : undefined,
+    });
+    await transport.sendMail({
+      from: channel.from || process.env.SMTP_FROM || user,
+      to,
+      subject: message.subject,
+      text: message.text,
+    });
+  },
+
+  async outbox(channel, message) {
+    const file = path.resolve(REPO_DIR, process.env.KV_NOTIFY_OUTBOX || channel.path || 'outbox/notifications.jsonl');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify({ sentAt: new Date().toISOString(), ...message })}\n`);
+  },
+};
+
+// ── Routing ───────────────────────────────────────────────────────────────────
+let cachedConfig = null;
+
+function loadConfig() {
+  if (!cachedConfig) {
+    try {
+      cachedConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    } catch (e) {
+      console.warn(`[notify] Could not load ${CONFIG_PATH}: ${e.message} — alerts go to the console only`);
+      cachedConfig = { channels: {}, routes: [] };
+    }
+  }
+  return cachedConfig;
+}
+
+function matches(list, value) {
+  return !list || list.includes('*') || list.includes(value);
+}
+
+function channelsFor(event, source, config = loadConfig()) {
+  if (process.env.KV_NOTIFY_CHANNELS) {
+    return process.env.KV_NOTIFY_CHANNELS.split(',').map(s => s.trim()).filter(Boolean);
+  }
+  const names = new Set();
+  for (const route of config.routes || []) {
+    if (matches(route.events, event) && matches(route.sources, source)) {
+      route.channels.forEach(name => names.add(name));
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Render `event` for `fields.source` and deliver it to every routed channel.
+ * Resolves to [{ channel, ok, error }]; never rejects.
+ */
+async function notify(event, fields) {
+  let message;
+  try {
+    message = render(event, fields);
+  } catch (e) {
+    console.warn(`[notify] ${e.message}`);
+    return [];
+  }
+
+  const config = loadConfig();
+  const results = [];
+  for (const name of channelsFor(event, fields.source, config)) {
+    const channel = config.channels?.[name];
+    const send = channel && CHANNEL_TYPES[channel.type];
+    try {
+      if (!send) throw new Error(channel ? `unknown channel type "${channel.type}"` : 'no such channel');
+      await send(channel, message);
+      results.push({ channel: name, ok: true, error: null });
+    } catch (e) {
+      console.warn(`[notify] ${name}: ${event} for ${fields.source} not sent — ${e.message}`);
+      results.push({ channel: name, ok: false, error: e.message });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  EVENTS,
+  TEMPLATES,
+  render,
+  channelsFor,
+  notify,
+};
@@ -0,0 +1,214 @@
+/**
+ * Minimal job runner for the daily data pipeline.
+ *
+ * A job is a declarative description of one script run:
+ *
+ *   {
+ *     id:        'driftFunding',              // key in fetch-status.json
+ *     label:     'Drift funding rates',
+ *     script:    'fetch-drift-funding.js',    // relative to scripts/
+ *     args:      [],
+ *     outputs:   ['drift-funding-rates.json'],// relative to data/
+ *     timeoutMs: 120_000,
+ *     critical:  true,   // a failure counts as a pipeline error
+ *     optional:  false,  // only runs when explicitly requested
+ *     dependsOn: [],     // ids that must succeed first, else this is skipped
+ *     after:     [],     // ids that run first, whether or not they succeed
+ *   }
+ *
+ * Jobs run one at a time, in list order, after their dependencies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SCRIPTS_DIR = path.join(__dirname, '..');
+const REPO_DIR = path.join(SCRIPTS_DIR, '..');
+const DATA_DIR = path.join(REPO_DIR, 'data');
+const DEFAULT_TIMEOUT_MS = 120_000;
+const ERROR_TEXT_LIMIT = 500;
+
+/**
+ * Order jobs so every job comes after its dependencies (dependsOn and
+ * after), keeping list order otherwise. Throws on unknown ids and cycles.
+ */
+function orderJobs(jobs) {
+  const byId = new Map(jobs.map(job => [job.id, job]));
+  const ordered = [];
+  const state = new Map(); // id -> 'visiting' | 'done'
+
+  function visit(job, trail) {
+    if (state.get(job.id) === 'done') return;
+    if (state.get(job.id) === 'visiting') {
+      throw new Error(`Dependency cycle: ${[...trail, job.id].join(' -> ')}`);
+    }
+    state.set(job.id, 'visiting');
+    for (const depId of [...(job.dependsOn || []), ...(job.after || [])]) {
+      const dep = byId.get(depId);
+      if (!dep) throw new Error(`Job "${job.id}" depends on unknown job "${depId}"`);
+      visit(dep, [...trail, job.id]);
+    }
+    state.set(job.id, 'done');
+    ordered.push(job);
+  }
+
+  for (const job of jobs) visit(job, []);
+  return ordered;
+}
+
+/**
+ * Count the records in a parsed data file: array length, or the summed
+ * length of the arrays it contains (snapshots, markets.*, points...).
+ */
+function countRows(value) {
+  if (Array.isArray(value)) return value.length;
+  if (value && typeof value === 'object') {
+    const nested = Object.values(value).filter(v => v && typeof v === 'object');
+    if (nested.length === 0) return 1;
+    return nested.reduce((sum, v) => sum + countRows(v), 0);
+  }
+  return 0;
+}
+
+// Rows in every output the job actually rewrote during this run.
+function rowsWritten(job, startedAtMs) {
+  let rows = 0;
+  for (const output of job.outputs || []) {
+    const filePath = path.join(DATA_DIR, output);
+    try {
+      if (fs.statSync(filePath).mtimeMs < startedAtMs) continue;
+      rows += countRows(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch {
+      // Missing or unparseable output — nothing written worth counting.
+    }
+  }
+  return rows;
+}
+
+// Last few meaningful stderr lines, without stack frames.
+function errorText(stderr) {
+  const lines = stderr.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('at '));
+  const text = lines.slice(-3).join(' | ');
+  return text.length > ERROR_TEXT_LIMIT ? `${text.slice(0, ERROR_TEXT_LIMIT)}…` : text;
+}
+
+function runScript(job) {
+  const timeoutMs = job.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, [path.join(SCRIPTS_DIR, job.script), ...(job.args || [])], {
+      cwd: REPO_DIR,
+      env: process.env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    let stderr = '';
+    let timedOut = false;
+    child.stdout.on('data', chunk => process.stdout.write(`  ${chunk}`));
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+      process.stderr.write(`  ${chunk}`);
+    });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGTERM');
+      setTimeout(() => child.kill('SIGKILL'), 5_000).unref();
+    }, timeoutMs);
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      resolve({ exitCode: null, timedOut: false, stderr: error.message });
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      resolve({ exitCode: code, signal, timedOut, stderr });
+    });
+  });
+}
+
+/**
+ * Run the given jobs and resolve to one result per job:
+ *   { id, label, status, exitCode, startedAt, durationMs, rowsWritten,
+ *     error, critical }
+ * where status is 'ok' | 'failed' | 'timeout' | 'skipped'.
+ *
+ * Options:
+ *   include — ids of optional jobs to run as well
+ *   only    — if set, run just these ids (dependencies are not pulled in)
+ */
+async function runJobs(jobs, { include = [], only = null } = {}) {
+  const results = new Map();
+  const selected = orderJobs(jobs).filter(job => {
+    if (only) return only.includes(job.id);
+    return !job.optional || include.includes(job.id);
+  });
+
+  for (const [i, job] of selected.entries()) {
+    console.log(`\n[${i + 1}/${selected.length}] ${job.label}...`);
+    const startedAt = new Date();
+
+    const blockedBy = (job.dependsOn || []).filter(depId => results.has(depId) && results.get(depId).status !== 'ok');
+    if (blockedBy.length > 0) {
+      const result = {
+        id: job.id,
+        label: job.label,
+        status: 'skipped',
+        exitCode: null,
+        startedAt: startedAt.toISOString(),
+        durationMs: 0,
+        rowsWritten: 0,
+        error: `Skipped: dependency ${blockedBy.join(', ')} did not succeed`,
+        critical: job.critical !== false,
+      };
+      results.set(job.id, result);
+      console.log(`  ⏭️  ${result.error}`);
+      continue;
+    }
+
+    const run = await runScript(job);
+    const durationMs = Date.now() - startedAt.getTime();
+    const ok = run.exitCode === 0 && !run.timedOut;
+    let error = null;
+    if (run.timedOut) {
+      error = `Timed out after ${Math.round((job.timeoutMs || DEFAULT_TIMEOUT_MS) / 1000)}s`;
+    } else if (!ok) {
+      error = errorText(run.stderr) || `Exited with code ${run.exitCode ?? run.signal}`;
+    }
+
+    const result = {
+      id: job.id,
+      label: job.label,
+      status: ok ? 'ok' : run.timedOut ? 'timeout' : 'failed',
+      exitCode: run.exitCode,
+      startedAt: startedAt.toISOString(),
+      durationMs,
+      rowsWritten: rowsWritten(job, startedAt.getTime()),
+      error,
+      critical: job.critical !== false,
+    };
+    results.set(job.id, result);
+
+    const seconds = (durationMs / 1000).toFixed(1);
+    if (ok) {
+      console.log(`  ✅ ${job.label} OK (${seconds}s, ${result.rowsWritten} rows)`);
+    } else if (result.critical) {
+      console.log(`  ❌ ${job.label} ${result.status.toUpperCase()} (${seconds}s)`);
+    } else {
+      console.log(`  ⚠️  ${job.label} ${result.status.toUpperCase()} (${seconds}s, non-critical)`);
+    }
+  }
+
+  return [...results.values()];
+}
+
+module.exports = {
+  DATA_DIR,
+  REPO_DIR,
+  orderJobs,
+  countRows,
+  runJobs,
+};
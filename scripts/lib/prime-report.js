@@ -0,0 +1,306 @@
+/**
+ * Prime Number JLP report (jlp_report.html) — the one parser for it, and
+ * the dated archive of every parse.
+ *
+ * parseReport() extracts every strategy row of the summary table and every
+ * chart series:
+ *
+ *   { lastUpdated, coverage,
+ *     strategies: [{ strategy, startDate, endDate, cumulative, annualized,
+ *                    sevenDayRollingApy, thirtyDayRollingApy, ninetyDayRollingApy }],
+ *     charts: [{ id, title, dates: [...], series: [{ name, values: [...] }] }],
+ *     skippedCharts: [{ id, error }] }
+ *
+ * Percentages stay in the report's own units (11.34 = 11.34%); a value the
+ * report leaves blank is null. Charts whose options are not plain JSON
+ * (formatter functions...) are listed in skippedCharts instead of failing
+ * the parse.
+ *
+ * archiveReport() writes data/prime-report-archive/<ET date>.json (a later
+ * parse the same day replaces it) and lists the dates in index.json, so
+ * strategies can be compared and the reported numbers followed over time
+ * (strategyHistory). storeReport() is the one way a fresh parse is saved:
+ * it first logs every past ROI point the report has since revised
+ * (checkRestatements, lib/restatements.js), then writes
+ * jlp-strategy-latest.json and the archive entry.
+ */
+
+const fs = require('fs');
+const { fetchText } = require('./source-adapter');
+const { dataPath, readDataFile, writeDataFile } = require('./data-store');
+const { diffSeries, recordRestatements } = require('./restatements');
+
+const REPORT_URL = 'https://app.primenumber.trade/data/jlp_report.html';
+const REPORT_USER_AGENT = 'KeyVaultDashboardStamp/1.0 (+https://keyvaultfund.com)';
+const DEFAULT_STRATEGY = '3x JLP (borrow SOL) + Aster Funding';
+// Cumulative-ROI chart the dashboards plot
+const ROI_CHART_ID = 'chart2';
+const ARCHIVE_DIR = 'prime-report-archive';
+const ARCHIVE_INDEX = `${ARCHIVE_DIR}/index.json`;
+// ROI is published to 2 dp — a move of one rounding step is not a revision
+const ROI_TOLERANCE = 0.01;
+
+/** Raw report HTML (PRIME_REPORT_HTML_FILE names a local copy to use instead). */
+function fetchReport({ label = 'prime-report' } = {}) {
+  return fetchText(REPORT_URL, {
+    label,
+    headers: {
+      Accept: 'text/html,application/xhtml+xml',
+      'User-Agent': REPORT_USER_AGENT,
+    },
+    timeoutMs: 30_000,
+    backoffMs: 5_000,
+    curlFallback: true,
+    fileEnv: 'PRIME_REPORT_HTML_FILE',
+  });
+}
+
+// ── Parsing ───────────────────────────────────────────────────────────────────
+function parsePercentText(value) {
+  const text = String(value || '').replace(/[%+,]/g, '').trim();
+  if (text === '' || text === '-' || text === '—') return null;
+  const parsed = Number(text);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function cellText(html) {
+  return html
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .trim();
+}
+
+/** Source of the `{...}` object literal starting at or after `from`. */
+function findJsonObjectAt(html, from, needle) {
+  const braceStart = html.indexOf('{', from);
+  if (braceStart === -1) throw new Error(`Could not find chart payload for ${needle}`);
+
+  let depth = 0;
+  let inString = false;
+  let quote = '';
+  let escaped = false;
+
+  for (let i = braceStart; i < html.length; i += 1) {
+    const ch = html[i];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (ch === '\\') {
+        escaped = true;
+      } else if (ch === quote) {
+        inString = false;
+        quote = '';
+      }
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      inString = true;
+      quote = ch;
+    } else if (ch === '{') {
+      depth += 1;
+    } else if (ch === '}') {
+      depth -= 1;
+      if (depth === 0) return html.slice(braceStart, i + 1);
+    }
+  }
+
+  throw new Error(`Could not parse chart payload for ${needle}`);
+}
+
+/** Every summary-table row (first occurrence of each strategy name). */
+function parseStrategies(html) {
+  const strategies = [];
+  const seen = new Set();
+  for (const [row] of html.matchAll(/<tr[^>]*>[\s\S]*?<\/tr>/g)) {
+    if (!row.includes('strategy-name')) continue;
+    const cells = [...row.matchAll(/<td[^>]*>([\s\S]*?)<\/td>/g)].map(match => cellText(match[1]));
+    const name = cells[0];
+    if (!name || seen.has(name)) continue;
+    seen.add(name);
+    strategies.push({
+      strategy: name,
+      startDate: cells[1] || null,
+      endDate: cells[2] || null,
+      cumulative: parsePercentText(cells[3]),
+      annualized: parsePercentText(cells[4]),
+      sevenDayRollingApy: parsePercentText(cells[5]),
+      thirtyDayRollingApy: parsePercentText(cells[6]),
+      ninetyDayRollingApy: parsePercentText(cells[7]),
+    });
+  }
+  return strategies;
+}
+
+// ECharts data items come as plain values, [x, y] pairs or { value } objects
+function pointValue(item) {
+  const raw = Array.isArray(item) ? item[1] : item && typeof item === 'object' ? item.value : item;
+  if (raw === null || raw === undefined || raw === '' || raw === '-') return null;
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : null;
+}
+
+function parseChart(id, option) {
+  const xAxis = Array.isArray(option.xAxis) ? option.xAxis[0] : option.xAxis;
+  const title = Array.isArray(option.title) ? option.title[0] : option.title;
+  const series = (Array.isArray(option.series) ? option.series : [option.series])
+    .filter(item => item && Array.isArray(item.data));
+  const dates = Array.isArray(xAxis?.data)
+    ? xAxis.data.map(String)
+    : (series[0]?.data || []).map(item => (Array.isArray(item) ? String(item[0]) : null));
+
+  return {
+    id,
+    title: title?.text || null,
+    dates,
+    series: series.map((item, i) => ({
+      name: item.name || `series-${i + 1}`,
+      values: dates.map((_, j) => pointValue(item.data[j])),
+    })),
+  };
+}
+
+function parseCharts(html) {
+  const charts = [];
+  const skippedCharts = [];
+  for (const match of html.matchAll(/(\w+)\.setOption\(/g)) {
+    const id = match[1];
+    try {
+      charts.push(parseChart(id, JSON.parse(findJsonObjectAt(html, match.index, `${id}.setOption(`))));
+    } catch (error) {
+      skippedCharts.push({ id, error: error.message });
+    }
+  }
+  return { charts, skippedCharts };
+}
+
+function parseReport(html) {
+  const strategies = parseStrategies(html);
+  if (strategies.length === 0) throw new Error('No strategy rows found in report');
+  return {
+    lastUpdated: html.match(/Last Updated:\s*([^<]+)/)?.[1]?.trim() || null,
+    coverage: html.match(/Coverage:\s*([^<]+)/)?.[1]?.trim() || null,
+    strategies,
+    ...parseCharts(html),
+  };
+}
+
+/** The summary row for `name`; throws when the report does not have it. */
+function strategySummary(report, name = DEFAULT_STRATEGY) {
+  const summary = report.strategies.find(row => row.strategy === name);
+  if (!summary) throw new Error(`Could not find strategy row for ${name}`);
+  return summary;
+}
+
+/** `name`'s cumulative ROI points (%) from the ROI chart: [{ date, roi }]. */
+function strategyPoints(report, name = DEFAULT_STRATEGY, chartId = ROI_CHART_ID) {
+  const chart = report.charts.find(c => c.id === chartId);
+  const series = chart?.series.find(s => s.name === name);
+  if (!series) throw new Error(`Could not parse chart points for ${name}`);
+  return chart.dates
+    .map((date, i) => ({ date, roi: series.values[i] }))
+    .filter(point => point.date && Number.isFinite(point.roi));
+}
+
+/** Every ROI-chart series as { <strategy>: [{ date, roi }] }. */
+function roiSeries(report, chartId = ROI_CHART_ID) {
+  const chart = report.charts.find(c => c.id === chartId);
+  return Object.fromEntries((chart?.series || []).map(s => [s.name, strategyPoints(report, s.name, chartId)]));
+}
+
+// ── Archive ───────────────────────────────────────────────────────────────────
+function easternDate(date) {
+  return date.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+/** Write `report` as the archive entry for the ET date of `fetchedAt`. */
+function archiveReport(report, { fetchedAt = new Date() } = {}) {
+  const date = easternDate(fetchedAt);
+  writeDataFile(`${ARCHIVE_DIR}/${date}.json`, {
+    date,
+    fetchedAt: fetchedAt.toISOString(),
+    sourceReportUrl: REPORT_URL,
+    ...report,
+  });
+
+  const index = readDataFile(ARCHIVE_INDEX, null) || { lastUpdated: null, dates: [] };
+  index.dates = [...new Set([...index.dates, date])].sort();
+  index.lastUpdated = fetchedAt.toISOString();
+  writeDataFile(ARCHIVE_INDEX, index);
+  return date;
+}
+
+/** Archived parses, oldest first (optionally only from..to, inclusive). */
+function loadArchive({ from, to } = {}) {
+  const index = readDataFile(ARCHIVE_INDEX, null);
+  return (index?.dates || [])
+    .filter(date => (!from || date >= from) && (!to || date <= to))
+    .filter(date => fs.existsSync(dataPath(`${ARCHIVE_DIR}/${date}.json`)))
+    .map(date => readDataFile(`${ARCHIVE_DIR}/${date}.json`));
+}
+
+/** How the report's summary row for `name` evolved: [{ date, lastUpdated, ...row }]. */
+function strategyHistory(name = DEFAULT_STRATEGY, range = {}) {
+  return loadArchive(range).flatMap(entry => {
+    const row = entry.strategies.find(r => r.strategy === name);
+    return row ? [{ date: entry.date, lastUpdated: entry.lastUpdated, ...row }] : [];
+  });
+}
+
+/**
+ * ROI series as last stored: the newest archived parse, else (before the
+ * archive existed) the dashboard strategy in jlp-strategy-latest.json.
+ */
+function storedRoiSeries() {
+  const index = readDataFile(ARCHIVE_INDEX, null);
+  const newest = index?.dates?.length ? readDataFile(`${ARCHIVE_DIR}/${index.dates[index.dates.length - 1]}.json`, null) : null;
+  if (newest) return roiSeries(newest);
+  const latest = readDataFile('jlp-strategy-latest.json', null);
+  return latest ? { [latest.strategy]: latest.points } : {};
+}
+
+/** Log ROI points of `report` that differ from the stored ones; resolves to the entries added. */
+async function checkRestatements(report) {
+  const current = roiSeries(report);
+  const added = [];
+  for (const [series, points] of Object.entries(storedRoiSeries())) {
+    const changes = diffSeries(points, current[series] || [], { tolerances: { roi: ROI_TOLERANCE } });
+    added.push(...await recordRestatements({ source: 'prime-report', series, label: 'Prime JLP report', changes }));
+  }
+  return added;
+}
+
+/**
+ * Save a fresh parse: record restatements against what is stored, then
+ * write the dashboard strategy to jlp-strategy-latest.json and archive the
+ * report. Resolves to { summary, points, archived, restatements }.
+ */
+async function storeReport(report, { fetchedAt = new Date() } = {}) {
+  const summary = strategySummary(report, DEFAULT_STRATEGY);
+  const points = strategyPoints(report, DEFAULT_STRATEGY);
+  // Before anything stored is overwritten
+  const restatements = await checkRestatements(report);
+  writeDataFile('jlp-strategy-latest.json', { ...summary, points, fetchedAt: fetchedAt.toISOString() });
+  const archived = archiveReport(report, { fetchedAt });
+  return { summary, points, archived, restatements };
+}
+
+module.exports = {
+  REPORT_URL,
+  DEFAULT_STRATEGY,
+  ROI_CHART_ID,
+  ARCHIVE_DIR,
+  fetchReport,
+  parsePercentText,
+  parseReport,
+  strategySummary,
+  strategyPoints,
+  roiSeries,
+  archiveReport,
+  storeReport,
+  loadArchive,
+  strategyHistory,
+};
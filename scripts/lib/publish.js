@@ -0,0 +1,222 @@
+/**
+ * Publish data/ changes to GitHub Pages (commit, rebase onto the remote,
+ * push) — the one place scripts touch git.
+ *
+ *   KV_PUBLISH_MODE=live     — default: commit and push
+ *   KV_PUBLISH_MODE=dry-run  — print the status and diff that would be
+ *                              committed; touch nothing
+ *   KV_PUBLISH_MODE=off      — skip publishing entirely
+ *
+ * `--dry-run` / `--no-publish` on a script's command line are shorthands for
+ * the env var. KV_PUBLISH_REMOTE (default origin) may be any git remote
+ * name or URL, including a path to a local bare repo for testing;
+ * KV_PUBLISH_BRANCH defaults to main.
+ *
+ * A push rejected because the remote moved is retried after another
+ * `pull --rebase --autostash` (other modified files are stashed around it).
+ * When the rebase conflicts on a JSON file, record arrays on both sides are
+ * unioned by a key unique on each side (id, signature, date...; our side
+ * wins a key both have), the result is schema-checked, and the rebase
+ * continues. Records no key tells apart, and any other conflict, abort it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { validateData } = require('./data-store');
+const { schemaFor } = require('./data-schemas');
+
+const REPO_DIR = path.join(__dirname, '..', '..');
+const MODES = new Set(['live', 'dry-run', 'off']);
+const DEFAULT_ATTEMPTS = 3;
+// Tried in order; ledgers hold many records per date, so ids come first
+const RECORD_KEYS = ['id', 'signature', 'date', 'startedAt', 'timestamp'];
+
+function getPublishMode() {
+  if (process.argv.includes('--no-publish')) return 'off';
+  if (process.argv.includes('--dry-run')) return 'dry-run';
+  const mode = (process.env.KV_PUBLISH_MODE || 'live').toLowerCase();
+  if (!MODES.has(mode)) throw new Error(`Unknown KV_PUBLISH_MODE "${mode}" (expected live, dry-run or off)`);
+  return mode;
+}
+
+function git(args, { cwd = REPO_DIR, env } = {}) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: env ? { ...process.env, ...env } : process.env,
+  });
+}
+
+function gitOk(args, options) {
+  try {
+    git(args, options);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ── JSON history merge ────────────────────────────────────────────────────────
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// First key every record on both sides has, unique within each side
+function recordKey(theirs, ours) {
+  const uniqueOn = (items, key) => items.every(i => typeof i[key] === 'string') && new Set(items.map(i => i[key])).size === items.length;
+  return RECORD_KEYS.find(key => uniqueOn(theirs, key) && uniqueOn(ours, key));
+}
+
+/**
+ * Merge two versions of a data file: record arrays are unioned by the first
+ * of RECORD_KEYS unique on both sides, objects merged key by key; anywhere
+ * else, and for a key both sides have, `ours` wins. Throws when two
+ * different record arrays have no such key — merging them could drop
+ * records.
+ */
+function mergeJsonHistories(theirs, ours, at = '$') {
+  if (Array.isArray(theirs) && Array.isArray(ours)) {
+    const records = [...theirs, ...ours];
+    if (records.length === 0 || !records.every(isPlainObject)) return ours;
+    if (JSON.stringify(theirs) === JSON.stringify(ours)) return ours;
+    const key = recordKey(theirs, ours);
+    if (!key) throw new Error(`${at}: no key (${RECORD_KEYS.join(', ')}) is unique on both sides — cannot merge without losing records`);
+    const byKey = new Map(theirs.map(item => [item[key], item]));
+    for (const item of ours) byKey.set(item[key], item);
+    const merged = [...byKey.values()];
+    // Ids are not ordered; keep the files' own order (theirs, then our new records)
+    return key === 'id' || key === 'signature' ? merged : merged.sort((a, b) => a[key].localeCompare(b[key]));
+  }
+  if (isPlainObject(theirs) && isPlainObject(ours)) {
+    const merged = { ...theirs };
+    for (const [k, v] of Object.entries(ours)) {
+      merged[k] = k in theirs ? mergeJsonHistories(theirs[k], v, `${at}.${k}`) : v;
+    }
+    return merged;
+  }
+  return ours;
+}
+
+function conflictedFiles() {
+  return git(['diff', '--name-only', '--diff-filter=U']).split('\n').filter(Boolean);
+}
+
+// During a rebase, stage 2 is the upstream side and stage 3 our replayed commit
+function resolveJsonConflict(file) {
+  if (!file.endsWith('.json')) throw new Error(`${file} conflicts and is not JSON`);
+  const theirs = JSON.parse(git(['show', `:2:${file}`]));
+  const ours = JSON.parse(git(['show', `:3:${file}`]));
+  let merged;
+  try {
+    merged = mergeJsonHistories(theirs, ours);
+  } catch (e) {
+    throw new Error(`${file} conflicts: ${e.message}`);
+  }
+
+  const dataName = path.relative('data', file);
+  if (!dataName.startsWith('..') && schemaFor(dataName)) {
+    const violations = validateData(dataName, merged);
+    if (violations.length > 0) {
+      throw new Error(`Merged ${file} fails its schema (${violations[0].path}: ${violations[0].message})`);
+    }
+  }
+
+  fs.writeFileSync(path.join(REPO_DIR, file), `${JSON.stringify(merged, null, 2)}\n`);
+  git(['add', file]);
+  console.log(`[publish] Merged conflicting ${file} record by record`);
+}
+
+// git refusing to pull because of local changes (e.g. untracked files the
+// remote adds, which --autostash does not cover)
+const DIRTY_RE = /unstaged changes|uncommitted changes|commit or stash|would be overwritten/i;
+
+function rebaseOnto(remote, branch) {
+  // --autostash: publishing a subset of data/ must not trip over the other
+  // files earlier pipeline jobs left modified
+  let stderr;
+  try {
+    git(['pull', '--rebase', '--autostash', remote, branch]);
+    return;
+  } catch (e) {
+    stderr = String(e.stderr || e.message).trim();
+  }
+
+  if (conflictedFiles().length === 0) {
+    gitOk(['rebase', '--abort']);
+    const lines = stderr.split('\n').filter(Boolean);
+    const dirty = lines.find(line => DIRTY_RE.test(line));
+    const reason = dirty ? `dirty worktree (${dirty.trim()})` : lines.find(line => /^(fatal|error):/.test(line)) || lines.pop();
+    throw new Error(`git pull --rebase ${remote} ${branch} failed: ${reason}`);
+  }
+
+  // Every replayed commit may stop on its own conflicts
+  for (let guard = 0; guard < 50 && conflictedFiles().length > 0; guard += 1) {
+    try {
+      conflictedFiles().forEach(resolveJsonConflict);
+    } catch (e) {
+      gitOk(['rebase', '--abort']);
+      throw e;
+    }
+    if (gitOk(['rebase', '--continue'], { env: { GIT_EDITOR: 'true' } })) return;
+  }
+  gitOk(['rebase', '--abort']);
+  throw new Error(`git pull --rebase ${remote} ${branch} failed: unresolved conflicts`);
+}
+
+// ── Publish ───────────────────────────────────────────────────────────────────
+function showDryRun(files) {
+  const status = git(['status', '--porcelain', '--', ...files]).trim();
+  if (!status) {
+    console.log('[publish] Dry run — nothing to commit');
+    return { published: false, changed: false };
+  }
+  console.log(`[publish] Dry run — would commit:\n${status}\n`);
+  console.log(git(['diff', 'HEAD', '--stat', '--', ...files]));
+  console.log(git(['diff', 'HEAD', '--', ...files]));
+  const untracked = status.split('\n').filter(line => line.startsWith('??')).map(line => line.slice(3));
+  if (untracked.length > 0) console.log(`[publish] New files: ${untracked.join(', ')}`);
+  return { published: false, changed: true };
+}
+
+/**
+ * Commit `files` (paths relative to the repo) with `message` and push.
+ * Resolves to { published, changed }; throws if the push still fails after
+ * `attempts` rebase-and-retry rounds.
+ */
+function publish({ files = ['data/'], message, attempts = DEFAULT_ATTEMPTS } = {}) {
+  const mode = getPublishMode();
+  const remote = process.env.KV_PUBLISH_REMOTE || 'origin';
+  const branch = process.env.KV_PUBLISH_BRANCH || 'main';
+  const paths = files.filter(f => fs.existsSync(path.join(REPO_DIR, f)));
+
+  if (mode === 'off') {
+    console.log('[publish] Publishing disabled — changes left uncommitted');
+    return { published: false, changed: false };
+  }
+  if (mode === 'dry-run') return showDryRun(paths);
+
+  git(['add', '--', ...paths]);
+  if (gitOk(['diff', '--cached', '--quiet'])) {
+    console.log('[publish] No data changes to commit');
+    return { published: false, changed: false };
+  }
+  git(['commit', '-m', message]);
+
+  for (let attempt = 1; attempt <= attempts; attempt += 1) {
+    rebaseOnto(remote, branch);
+    if (gitOk(['push', remote, `HEAD:${branch}`])) {
+      console.log(`[publish] ✅ Pushed to ${remote} ${branch}`);
+      return { published: true, changed: true };
+    }
+    console.warn(`[publish] Push attempt ${attempt}/${attempts} rejected — rebasing again`);
+  }
+  throw new Error(`Push to ${remote} ${branch} failed after ${attempts} attempts (commit kept locally)`);
+}
+
+module.exports = {
+  getPublishMode,
+  mergeJsonHistories,
+  publish,
+};
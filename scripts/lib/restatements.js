@@ -0,0 +1,91 @@
+/**
+ * data/restatements.json — log of upstream revisions to historical points.
+ *
+ * Feeds we mirror wholesale (the Prime report's ROI series, pn-kv1-history)
+ * can silently rewrite days they already published. Before a fetcher
+ * overwrites one, it diffs the stored series against the new one
+ * (diffSeries) and logs every point that moved beyond the field's
+ * tolerance:
+ *
+ *   { lastUpdated,
+ *     entries: [{ id, detectedAt, source, series, date, field,
+ *                 oldValue, newValue, delta }] }
+ *
+ * newValue is null when the point disappeared; delta is newValue - oldValue
+ * (null then). Entries are only ever appended. vault.html marks the dates
+ * logged for the series it plots.
+ */
+
+const { readDataFile, writeDataFile } = require('./data-store');
+const { notify } = require('./notifier');
+
+const RESTATEMENTS_FILE = 'restatements.json';
+const MAX_ALERT_LINES = 10;
+
+/**
+ * Changed historical points between two versions of a series.
+ *   oldPoints, newPoints — arrays of records with a date
+ *   dateOf               — record → 'YYYY-MM-DD' (default r => r.date)
+ *   tolerances           — { <field>: largest absolute move that is not a revision }
+ * Only dates in oldPoints are compared; new dates are not revisions.
+ */
+function diffSeries(oldPoints, newPoints, { dateOf = r => r.date, tolerances }) {
+  const next = new Map((newPoints || []).map(r => [dateOf(r), r]));
+  const changes = [];
+  for (const old of oldPoints || []) {
+    const date = dateOf(old);
+    const current = next.get(date);
+    for (const [field, tolerance] of Object.entries(tolerances)) {
+      const oldValue = old[field];
+      if (!Number.isFinite(oldValue)) continue;
+      const newValue = current && Number.isFinite(current[field]) ? current[field] : null;
+      if (newValue !== null && Math.abs(newValue - oldValue) <= tolerance) continue;
+      changes.push({ date, field, oldValue, newValue, delta: newValue === null ? null : newValue - oldValue });
+    }
+  }
+  return changes;
+}
+
+function loadRestatements() {
+  return readDataFile(RESTATEMENTS_FILE, null) || { lastUpdated: null, entries: [] };
+}
+
+/**
+ * Append `changes` (from diffSeries) for `series` of `source` to the log and
+ * send one restatement notice listing them. Returns the entries added.
+ */
+async function recordRestatements({ source, series, label, changes }) {
+  if (changes.length === 0) return [];
+
+  const detectedAt = new Date().toISOString();
+  const log = loadRestatements();
+  const added = changes.map(change => ({
+    id: `${source}:${series}:${change.date}:${change.field}:${detectedAt}`,
+    detectedAt,
+    source,
+    series,
+    ...change,
+  }));
+  log.entries.push(...added);
+  log.lastUpdated = detectedAt;
+  writeDataFile(RESTATEMENTS_FILE, log);
+
+  const fmt = value => (value === null ? 'removed' : String(value));
+  const lines = added.slice(0, MAX_ALERT_LINES).map(e => `${e.date} ${e.field}: ${fmt(e.oldValue)} → ${fmt(e.newValue)}`);
+  if (added.length > MAX_ALERT_LINES) lines.push(`…and ${added.length - MAX_ALERT_LINES} more (data/${RESTATEMENTS_FILE})`);
+  console.warn(`[restatements] ${series}: ${added.length} historical point(s) revised upstream`);
+  await notify('restatement', {
+    source,
+    label,
+    lines: [`${series}: ${added.length} historical point(s) revised by the source:`, ...lines],
+    impact: 'Stored history now carries the revised values; old values are kept in the log.',
+  });
+  return added;
+}
+
+module.exports = {
+  RESTATEMENTS_FILE,
+  diffSeries,
+  loadRestatements,
+  recordRestatements,
+};
@@ -0,0 +1,86 @@
+/**
+ * Solana RPC helpers shared by the on-chain scripts.
+ *
+ * Endpoint order: HELIUS_RPC_URL, HELIUS_API_KEY, then the Helius config
+ * files written by the OpenClaw setup. With none of them set,
+ * resolveRpcUrl() throws — no endpoint (or API key) lives in the repo.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function readConfig(configPath) {
+  try {
+    if (!fs.existsSync(configPath)) return null;
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    console.warn(`[rpc] Could not load ${configPath}: ${error.message}`);
+    return null;
+  }
+}
+
+function candidateConfigPaths() {
+  return [
+    path.join(process.env.HOME || '', '.openclaw', 'helius', 'config.json'),
+    path.join(process.env.HOME || '', '.helius', 'config.json'),
+  ];
+}
+
+function resolveRpcUrl() {
+  if (process.env.HELIUS_RPC_URL) return process.env.HELIUS_RPC_URL;
+  if (process.env.HELIUS_API_KEY) {
+    return `https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}`;
+  }
+
+  for (const configPath of candidateConfigPaths()) {
+    const cfg = readConfig(configPath);
+    if (cfg?.mainnetRpc) return cfg.mainnetRpc;
+  }
+
+  throw new Error(
+    'No Solana RPC endpoint configured: set HELIUS_RPC_URL (or HELIUS_API_KEY), '
+    + `or put { "mainnetRpc": "<url>" } in ${candidateConfigPaths().join(' or ')}`
+  );
+}
+
+// Slots are ~400ms but skipped slots have no block (and no block time), so
+// probe forward to the first produced block at or after `slot`.
+async function firstBlockFrom(connection, slot) {
+  const blocks = await connection.getBlocks(slot, slot + 100, 'confirmed');
+  if (blocks.length === 0) throw new Error(`No produced block in slots ${slot}–${slot + 100}`);
+  return { slot: blocks[0], time: await connection.getBlockTime(blocks[0]) };
+}
+
+/**
+ * Last produced slot whose block time is at or before `unixSeconds`
+ * (binary search over getBlockTime). Returns the current slot for times
+ * in the future.
+ */
+async function findSlotAtTime(connection, unixSeconds) {
+  let hi = await connection.getSlot('confirmed');
+  const hiTime = await connection.getBlockTime(hi);
+  if (unixSeconds >= hiTime) return hi;
+
+  // Start 25% further back than the 400ms/slot estimate, widen until below.
+  let lo = Math.max(0, hi - Math.ceil(((hiTime - unixSeconds) / 0.4) * 1.25));
+  let loBlock = await firstBlockFrom(connection, lo);
+  while (loBlock.time > unixSeconds && lo > 0) {
+    lo = Math.max(0, lo - (hi - lo));
+    loBlock = await firstBlockFrom(connection, lo);
+  }
+  lo = loBlock.slot;
+
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    const block = await firstBlockFrom(connection, mid);
+    if (block.slot >= hi) hi = mid;            // nothing produced in [mid, hi)
+    else if (block.time <= unixSeconds) lo = block.slot;
+    else hi = block.slot;
+  }
+  return lo;
+}
+
+module.exports = {
+  resolveRpcUrl,
+  findSlotAtTime,
+};
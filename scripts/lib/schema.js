@@ -0,0 +1,223 @@
+/**
+ * Tiny dependency-free schema combinators for the data/ files.
+ *
+ * A schema is a function (value, path, errors) that pushes
+ * { path, message } entries onto `errors`. Paths use JS accessor syntax
+ * rooted at `$`, e.g. `$[41].SharePrice` or `$.markets["SOL-PERP"][3].date`,
+ * so every violation points at an exact record index.
+ *
+ *   const s = require('./schema');
+ *   const navRecord = s.object({ date: s.date(), SharePrice: s.number({ gt: 0 }) });
+ *   s.validate(s.arrayOf(navRecord, { uniqueBy: 'date' }), history); // -> []
+ */
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const IDENT_RE = /^[A-Za-z_$][\w$]*$/;
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+  return typeof value;
+}
+
+function keyPath(path, key) {
+  return IDENT_RE.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function fail(errors, path, message) {
+  errors.push({ path, message });
+}
+
+function any() {
+  return () => {};
+}
+
+function string({ minLength = 0, pattern } = {}) {
+  return (value, path, errors) => {
+    if (typeof value !== 'string') return fail(errors, path, `expected string, got ${describe(value)}`);
+    if (value.length < minLength) return fail(errors, path, `expected at least ${minLength} characters`);
+    if (pattern && !pattern.test(value)) fail(errors, path, `"${value}" does not match ${pattern}`);
+  };
+}
+
+function number({ min, max, gt, lt, integer = false } = {}) {
+  return (value, path, errors) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return fail(errors, path, `expected finite number, got ${describe(value)}`);
+    }
+    if (integer && !Number.isInteger(value)) fail(errors, path, `expected integer, got ${value}`);
+    if (min !== undefined && value < min) fail(errors, path, `${value} is below minimum ${min}`);
+    if (max !== undefined && value > max) fail(errors, path, `${value} is above maximum ${max}`);
+    if (gt !== undefined && !(value > gt)) fail(errors, path, `${value} must be greater than ${gt}`);
+    if (lt !== undefined && !(value < lt)) fail(errors, path, `${value} must be less than ${lt}`);
+  };
+}
+
+function integer(opts = {}) {
+  return number({ ...opts, integer: true });
+}
+
+// Raw on-chain amounts Jupiter serialises as digit strings ("1252033340859767").
+function numericString() {
+  return (value, path, errors) => {
+    if (typeof value !== 'string' || !/^-?\d+(\.\d+)?$/.test(value)) {
+      fail(errors, path, `expected numeric string, got ${describe(value)}`);
+    }
+  };
+}
+
+function boolean() {
+  return (value, path, errors) => {
+    if (typeof value !== 'boolean') fail(errors, path, `expected boolean, got ${describe(value)}`);
+  };
+}
+
+function literal(...allowed) {
+  return (value, path, errors) => {
+    if (!allowed.includes(value)) {
+      fail(errors, path, `expected one of ${allowed.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+  };
+}
+
+/** Calendar date string, YYYY-MM-DD. */
+function date() {
+  return (value, path, errors) => {
+    if (typeof value !== 'string' || !DATE_RE.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+      fail(errors, path, `expected YYYY-MM-DD date, got ${JSON.stringify(value)}`);
+    }
+  };
+}
+
+/** Any string Date.parse understands (ISO 8601 in practice). */
+function timestamp() {
+  return (value, path, errors) => {
+    if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+      fail(errors, path, `expected ISO timestamp, got ${JSON.stringify(value)}`);
+    }
+  };
+}
+
+function nullable(schema) {
+  return (value, path, errors) => {
+    if (value !== null) schema(value, path, errors);
+  };
+}
+
+// Marks an object property that may be absent; see object().
+function optional(schema) {
+  const wrapped = (value, path, errors) => {
+    if (value !== undefined) schema(value, path, errors);
+  };
+  wrapped.optional = true;
+  return wrapped;
+}
+
+function oneOf(...schemas) {
+  return (value, path, errors) => {
+    const attempts = schemas.map(schema => {
+      const local = [];
+      schema(value, path, local);
+      return local;
+    });
+    if (attempts.some(local => local.length === 0)) return;
+    // Report the closest match rather than every alternative.
+    attempts.sort((a, b) => a.length - b.length);
+    errors.push(...attempts[0]);
+  };
+}
+
+/**
+ * Object with known properties. Extra properties are allowed unless
+ * `strict` is set; properties not wrapped in optional() are required.
+ */
+function object(shape, { strict = false } = {}) {
+  return (value, path, errors) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return fail(errors, path, `expected object, got ${describe(value)}`);
+    }
+    for (const [key, schema] of Object.entries(shape)) {
+      if (value[key] === undefined && !schema.optional) {
+        fail(errors, keyPath(path, key), 'is required');
+        continue;
+      }
+      schema(value[key], keyPath(path, key), errors);
+    }
+    if (strict) {
+      for (const key of Object.keys(value)) {
+        if (!(key in shape)) fail(errors, keyPath(path, key), 'is not allowed');
+      }
+    }
+  };
+}
+
+/** Object used as a map: every value must match `valueSchema`. */
+function recordOf(valueSchema, { minKeys = 0 } = {}) {
+  return (value, path, errors) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return fail(errors, path, `expected object, got ${describe(value)}`);
+    }
+    const entries = Object.entries(value);
+    if (entries.length < minKeys) fail(errors, path, `expected at least ${minKeys} keys`);
+    for (const [key, item] of entries) valueSchema(item, keyPath(path, key), errors);
+  };
+}
+
+/**
+ * Array of records. `uniqueBy` / `sortedBy` name a property that must be
+ * unique / non-decreasing across the array (usually 'date').
+ */
+function arrayOf(itemSchema, { minItems = 0, uniqueBy, sortedBy } = {}) {
+  return (value, path, errors) => {
+    if (!Array.isArray(value)) return fail(errors, path, `expected array, got ${describe(value)}`);
+    if (value.length < minItems) fail(errors, path, `expected at least ${minItems} items, got ${value.length}`);
+
+    const seen = new Map();
+    value.forEach((item, i) => {
+      const itemPath = `${path}[${i}]`;
+      itemSchema(item, itemPath, errors);
+      if (!item || typeof item !== 'object') return;
+
+      if (uniqueBy && item[uniqueBy] !== undefined) {
+        const key = item[uniqueBy];
+        if (seen.has(key)) {
+          fail(errors, keyPath(itemPath, uniqueBy), `duplicate ${uniqueBy} ${JSON.stringify(key)} (first at index ${seen.get(key)})`);
+        } else {
+          seen.set(key, i);
+        }
+      }
+      if (sortedBy && i > 0) {
+        const prev = value[i - 1]?.[sortedBy];
+        if (prev !== undefined && item[sortedBy] !== undefined && item[sortedBy] < prev) {
+          fail(errors, keyPath(itemPath, sortedBy), `out of order: ${JSON.stringify(item[sortedBy])} after ${JSON.stringify(prev)}`);
+        }
+      }
+    });
+  };
+}
+
+function validate(schema, value) {
+  const errors = [];
+  schema(value, '$', errors);
+  return errors;
+}
+
+module.exports = {
+  any,
+  string,
+  number,
+  integer,
+  numericString,
+  boolean,
+  literal,
+  date,
+  timestamp,
+  nullable,
+  optional,
+  oneOf,
+  object,
+  recordOf,
+  arrayOf,
+  validate,
+};
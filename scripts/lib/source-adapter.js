@@ -0,0 +1,263 @@
+/**
+ * Shared upstream source adapter for the scripts/fetch-* data fetchers.
+ *
+ * Every HTTP request a fetcher makes should go through request / fetchText /
+ * fetchJson so they all get the same timeout, retry-with-backoff and curl
+ * fallback behaviour, plus a global record/replay mode:
+ *
+ *   KV_SOURCE_MODE=live    — default, plain network access
+ *   KV_SOURCE_MODE=record  — hit the network and save every raw response
+ *                            as a fixture file
+ *   KV_SOURCE_MODE=replay  — never touch the network; serve the saved
+ *                            fixtures back and fail if one is missing
+ *
+ * `--record` / `--replay` on a script's command line are shorthands for the
+ * env var. Fixtures live in KV_FIXTURES_DIR (default: fixtures/sources/),
+ * one JSON file per distinct method + URL + body.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'sources');
+const DEFAULT_TIMEOUT_MS = 20_000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BACKOFF_MS = 2_000;
+const MODES = new Set(['live', 'record', 'replay']);
+
+class HttpError extends Error {
+  constructor(url, status, body) {
+    super(`HTTP ${status} from ${url}${body ? `: ${String(body).slice(0, 200)}` : ''}`);
+    this.name = 'HttpError';
+    this.url = url;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// Query parameters whose values are never logged
+const SECRET_PARAM_RE = /key|token|secret|auth|password/i;
+
+/** `url` as it may appear in logs and errors: secret-looking query values masked. */
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    for (const name of [...parsed.searchParams.keys()]) {
+      if (SECRET_PARAM_RE.test(name)) parsed.searchParams.set(name, 'REDACTED');
+    }
+    return parsed.toString();
+  } catch {
+    return '<invalid url>';
+  }
+}
+
+function getMode() {
+  if (process.argv.includes('--replay')) return 'replay';
+  if (process.argv.includes('--record')) return 'record';
+  const mode = (process.env.KV_SOURCE_MODE || 'live').toLowerCase();
+  if (!MODES.has(mode)) throw new Error(`Unknown KV_SOURCE_MODE "${mode}" (expected live, record or replay)`);
+  return mode;
+}
+
+function isReplay() {
+  return getMode() === 'replay';
+}
+
+function fixturesDir() {
+  return process.env.KV_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Headers are deliberately left out of the key so API keys never decide
+// (or leak into) a fixture's name.
+function fixturePath(method, url, body) {
+  const hash = crypto.createHash('sha1')
+    .update(`${method} ${url}\n${body || ''}`)
+    .digest('hex')
+    .slice(0, 12);
+  const { hostname, pathname } = new URL(url);
+  const slug = `${hostname}${pathname}`.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80);
+  return path.join(fixturesDir(), `${slug}-${hash}.json`);
+}
+
+function readFixture(method, url, body) {
+  const file = fixturePath(method, url, body);
+  if (!fs.existsSync(file)) {
+    throw new Error(`[source] Replay mode: no fixture for ${method} ${url} (expected ${path.relative(process.cwd(), file)})`);
+  }
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    url,
+    status: fixture.status,
+    ok: fixture.status >= 200 && fixture.status < 300,
+    contentType: fixture.contentType || null,
+    body: fixture.body,
+    fromFixture: true,
+  };
+}
+
+function writeFixture(method, url, body, response) {
+  const file = fixturePath(method, url, body);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({
+    request: { method, url, body: body || null },
+    recordedAt: new Date().toISOString(),
+    status: response.status,
+    contentType: response.contentType,
+    body: response.body,
+  }, null, 2)}\n`);
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function curlText(url, { headers, timeoutMs, displayUrl }) {
+  const args = ['-fsSL', '--retry', '3', '--retry-all-errors', '--retry-delay', '5'];
+  for (const [name, value] of Object.entries(headers || {})) args.push('-H', `${name}: ${value}`);
+  args.push(url);
+  try {
+    return execFileSync('curl', args, {
+      encoding: 'utf8',
+      timeout: Math.max(timeoutMs * 2, 60_000),
+      maxBuffer: 16 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+  } catch (error) {
+    // Not error.message: execFileSync repeats the command line, -H values and all
+    const stderr = String(error.stderr || '').trim().split('\n').pop();
+    const reason = stderr || (error.signal ? `killed by ${error.signal}` : `exit ${error.status ?? error.code}`);
+    throw new Error(`curl fallback for ${displayUrl} failed: ${reason}`);
+  }
+}
+
+/**
+ * Perform one logical upstream request.
+ *
+ * Options:
+ *   method, headers, body   — passed to fetch (body must already be a string)
+ *   label                   — log prefix, defaults to "source"
+ *   timeoutMs               — per-attempt timeout (default 20s)
+ *   retries                 — extra attempts after the first (default 2);
+ *                             network errors, 429 and 5xx are retried
+ *   backoffMs               — base delay, doubled on every retry (default 2s)
+ *   curlFallback            — when every attempt failed without a response
+ *                             (network / TLS errors, timeouts), try curl
+ *                             once; an HTTP error status is returned as is
+ *   fileEnv                 — env var that, when set, names a local file to
+ *                             read instead of the network
+ *   fixture                 — set false to opt out of record/replay
+ *   displayUrl              — the URL as errors and retry warnings show it;
+ *                             pass one when the path carries a secret (a bot
+ *                             token, a webhook id). Defaults to `url` with
+ *                             secret-looking query values masked
+ *
+ * Resolves to { url, status, ok, contentType, body, fromFixture }. Non-2xx
+ * responses are returned, not thrown; use fetchText/fetchJson for that.
+ */
+async function request(url, options = {}) {
+  const {
+    method = 'GET',
+    headers = {},
+    body,
+    label = 'source',
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    backoffMs = DEFAULT_BACKOFF_MS,
+    curlFallback = false,
+    fileEnv,
+    fixture = true,
+    displayUrl = redactUrl(url),
+  } = options;
+
+  if (fileEnv && process.env[fileEnv]) {
+    return {
+      url,
+      status: 200,
+      ok: true,
+      contentType: null,
+      body: fs.readFileSync(process.env[fileEnv], 'utf8'),
+      fromFixture: true,
+    };
+  }
+
+  const mode = fixture ? getMode() : 'live';
+  if (mode === 'replay') return readFixture(method, url, body);
+
+  let lastError = null;
+  let response = null;
+  for (let attempt = 1; attempt <= retries + 1; attempt += 1) {
+    try {
+      const res = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(timeoutMs) });
+      response = {
+        url,
+        status: res.status,
+        ok: res.ok,
+        contentType: res.headers.get('content-type'),
+        body: await res.text(),
+        fromFixture: false,
+      };
+      if (!isRetryableStatus(res.status)) break;
+      lastError = new HttpError(displayUrl, res.status, response.body);
+    } catch (error) {
+      response = null;
+      lastError = error;
+    }
+
+    const reason = lastError.cause?.code || lastError.message;
+    console.warn(`[${label}] ${method} attempt ${attempt}/${retries + 1} failed (${reason}).`);
+    if (attempt <= retries) await sleep(backoffMs * 2 ** (attempt - 1));
+  }
+
+  if (!response && curlFallback && method === 'GET') {
+    console.warn(`[${label}] Retrying with curl after Node fetch failed.`);
+    response = {
+      url,
+      status: 200,
+      ok: true,
+      contentType: null,
+      body: curlText(url, { headers, timeoutMs, displayUrl }),
+      fromFixture: false,
+    };
+  }
+
+  if (!response) throw lastError;
+  if (mode === 'record') writeFixture(method, url, body, response);
+  return response;
+}
+
+async function fetchText(url, options = {}) {
+  const response = await request(url, options);
+  if (!response.ok) throw new HttpError(options.displayUrl || redactUrl(url), response.status, response.body);
+  return response.body;
+}
+
+async function fetchJson(url, options = {}) {
+  const text = await fetchText(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...(options.headers || {}) },
+  });
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON from ${options.displayUrl || redactUrl(url)}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  HttpError,
+  redactUrl,
+  getMode,
+  isReplay,
+  fixturesDir,
+  fixturePath,
+  sleep,
+  request,
+  fetchText,
+  fetchJson,
+};
@@ -0,0 +1,180 @@
+/**
+ * data/kv1-trade-ledger.json — the KV1 vault's Drift trading history,
+ * decoded from Drift program events by scripts/fetch-drift-vault-trades.js.
+ *
+ *   { lastUpdated, vault, user,
+ *     head: { signature, slot } | null,            // newest transaction scanned
+ *     backfill: { before, slot, complete },        // oldest scanned; complete once inception is reached
+ *     unreadable: [{ signature, slot, error }],    // transactions the RPC would not return
+ *     entries: [{ id, signature, slot, timestamp, date, type, marketIndex, market, ... }] }
+ *
+ * Entry types (amounts in USDC / whole base units):
+ *   fill      — OrderActionRecord fills where the vault's user account is
+ *               taker or maker: marketType, role, direction, baseAmount,
+ *               quoteAmount, price, fee (positive = paid, negative = rebate),
+ *               fillRecordId, oraclePrice
+ *   settlePnl — SettlePnlRecord: pnl, settlePrice, baseAmount (position after)
+ *   funding   — FundingPaymentRecord: payment (positive = received), baseAmount
+ *
+ * `id` is `<signature>:<n>`, n being the event's position in the
+ * transaction's logs. Entries are only ever appended; an id already in the
+ * ledger is never rewritten.
+ *
+ * kv1-drift-trades.json (the fills) and kv1-trade-summary.json (per-day and
+ * per-timeframe totals) are generated from the ledger once it is verified:
+ * the backfill has reached the account's first transaction and no
+ * transaction is unreadable. Until then the legacy exports are left as they
+ * are.
+ */
+
+const { readDataFile, writeDataFile } = require('./data-store');
+
+const TRADE_LEDGER_FILE = 'kv1-trade-ledger.json';
+const TRADES_FILE = 'kv1-drift-trades.json';
+const SUMMARY_FILE = 'kv1-trade-summary.json';
+const DAY_MS = 86_400_000;
+const TIMEFRAMES = [
+  { label: '24h', days: 1 },
+  { label: '7d', days: 7 },
+  { label: '30d', days: 30 },
+  { label: '90d', days: 90 },
+];
+
+function loadTradeLedger() {
+  return readDataFile(TRADE_LEDGER_FILE, null) || {
+    lastUpdated: null,
+    vault: null,
+    user: null,
+    head: null,
+    backfill: { before: null, slot: null, complete: false },
+    unreadable: [],
+    entries: [],
+  };
+}
+
+/** Append `entries` not already in `ledger`; returns the ones added. */
+function appendEntries(ledger, entries) {
+  const known = new Set(ledger.entries.map(e => e.id));
+  const added = entries.filter(e => !known.has(e.id));
+  ledger.entries.push(...added);
+  ledger.entries.sort((a, b) => a.slot - b.slot || a.id.localeCompare(b.id, 'en', { numeric: true }));
+  return added;
+}
+
+function saveTradeLedger(ledger) {
+  ledger.lastUpdated = new Date().toISOString();
+  return writeDataFile(TRADE_LEDGER_FILE, ledger);
+}
+
+// ── Generated files ──────────────────────────────────────────────────────────
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/** kv1-drift-trades.json rows: every fill, oldest first. */
+function tradeRows(ledger) {
+  return ledger.entries
+    .filter(e => e.type === 'fill')
+    .map(e => ({
+      id: e.id,
+      signature: e.signature,
+      timestamp: e.timestamp,
+      date: e.date,
+      market: e.market,
+      marketIndex: e.marketIndex,
+      marketType: e.marketType,
+      role: e.role,
+      direction: e.direction,
+      baseAmount: e.baseAmount,
+      quoteAmount: e.quoteAmount,
+      price: e.price,
+      fee: e.fee,
+    }));
+}
+
+function emptyTotals() {
+  return { trades: 0, volume: 0, fees: 0, funding: 0, settledPnl: 0 };
+}
+
+function addEntry(totals, entry) {
+  if (entry.type === 'fill') {
+    totals.trades += 1;
+    totals.volume += entry.quoteAmount;
+    totals.fees += entry.fee;
+  } else if (entry.type === 'funding') {
+    totals.funding += entry.payment;
+  } else if (entry.type === 'settlePnl') {
+    totals.settledPnl += entry.pnl;
+  }
+}
+
+function rounded(totals) {
+  return Object.fromEntries(Object.entries(totals).map(([k, v]) => [k, k === 'trades' ? v : round2(v)]));
+}
+
+/**
+ * kv1-trade-summary.json: totals per timeframe (trailing from `now`) and per
+ * day. `complete` is false until the backfill has reached the vault's first
+ * transaction — until then the totals cover only the history scanned so far.
+ */
+function tradeSummary(ledger, { vaultName, now = new Date() } = {}) {
+  const fills = ledger.entries.filter(e => e.type === 'fill');
+  const first = ledger.entries[0];
+  const timeframes = {};
+  for (const { label, days } of TIMEFRAMES) {
+    const cutoff = new Date(now.getTime() - days * DAY_MS).toISOString();
+    const totals = emptyTotals();
+    ledger.entries.filter(e => e.timestamp >= cutoff).forEach(e => addEntry(totals, e));
+    timeframes[label] = rounded(totals);
+  }
+  const all = emptyTotals();
+  ledger.entries.forEach(e => addEntry(all, e));
+  const spanDays = first ? Math.max(1, Math.ceil((now - new Date(first.timestamp)) / DAY_MS)) : 0;
+  timeframes[`All (${spanDays}d)`] = rounded(all);
+
+  const daily = {};
+  for (const entry of ledger.entries) {
+    if (!daily[entry.date]) daily[entry.date] = emptyTotals();
+    addEntry(daily[entry.date], entry);
+  }
+
+  return {
+    vault: ledger.vault,
+    vault_name: vaultName || null,
+    user: ledger.user,
+    lastUpdated: now.toISOString(),
+    complete: ledger.backfill.complete,
+    first_trade: fills[0]?.timestamp || null,
+    total_trades: fills.length,
+    timeframes,
+    daily: Object.fromEntries(Object.entries(daily).map(([date, totals]) => {
+      const { trades, ...rest } = rounded(totals);
+      return [date, { count: trades, ...rest }];
+    })),
+  };
+}
+
+function isVerified(ledger) {
+  return ledger.backfill.complete && ledger.unreadable.length === 0;
+}
+
+/** Regenerate the exports from a verified ledger; returns false (writing nothing) otherwise. */
+function writeTradeFiles(ledger, options) {
+  if (!isVerified(ledger)) return false;
+  writeDataFile(TRADES_FILE, tradeRows(ledger));
+  writeDataFile(SUMMARY_FILE, tradeSummary(ledger, options));
+  return true;
+}
+
+module.exports = {
+  TRADE_LEDGER_FILE,
+  TRADES_FILE,
+  SUMMARY_FILE,
+  loadTradeLedger,
+  appendEntries,
+  saveTradeLedger,
+  isVerified,
+  tradeRows,
+  tradeSummary,
+  writeTradeFiles,
+};
@@ -0,0 +1,232 @@
+/**
+ * KV1 trade P&L — position reconstruction and realized P&L from the Drift
+ * event ledger (data/kv1-trade-ledger.json, see lib/trade-ledger.js).
+ *
+ * Perp fills are replayed per market in ledger order with average-cost
+ * accounting:
+ *   - a fill in the direction of the position (or opening one) moves the
+ *     average entry price and the average entry time, size-weighted;
+ *   - a fill against it realizes (price - avgEntry) × closed size × side and
+ *     leaves the average entry unchanged; a fill larger than the position
+ *     closes it and opens the remainder at the fill price.
+ * Hold time is measured from the average entry time to each close,
+ * weighted by the notional closed (entry price × size) so markets of
+ * different size units can be combined.
+ *
+ * Attribution per market and per window: realizedPnl (gross of fees), fees
+ * (positive = paid), funding (positive = received) and
+ * netPnl = realizedPnl - fees + funding. Amounts are USDC; windows trail
+ * from the last ledger event's date, not the build time.
+ */
+
+const { shiftDate } = require('../../js/metrics');
+
+const HOUR_MS = 3_600_000;
+const WINDOWS = [
+  { label: '24H', days: 1 },
+  { label: '7D', days: 7 },
+  { label: '30D', days: 30 },
+  { label: '90D', days: 90 },
+  { label: 'ALL', days: null },
+];
+// Closing sizes below this are float dust from the base-unit scaling
+const EPSILON = 1e-9;
+
+function round(value, decimals = 2) {
+  return value === null ? null : parseFloat(value.toFixed(decimals));
+}
+
+/** Perp fills as { ..., size } with size signed: positive buys, negative sells. */
+function normalizeFills(entries) {
+  return entries
+    .filter(e => e.type === 'fill' && e.marketType === 'perp' && e.baseAmount > 0)
+    .map(e => ({
+      id: e.id,
+      timestamp: e.timestamp,
+      date: e.date,
+      market: e.market,
+      size: e.direction === 'long' ? e.baseAmount : -e.baseAmount,
+      price: e.quoteAmount / e.baseAmount,
+      quoteAmount: e.quoteAmount,
+      fee: e.fee,
+    }));
+}
+
+function emptyAttribution() {
+  return { fills: 0, volume: 0, realizedPnl: 0, fees: 0, funding: 0, netPnl: 0 };
+}
+
+function addTo(totals, { fills = 0, volume = 0, realizedPnl = 0, fees = 0, funding = 0 }) {
+  totals.fills += fills;
+  totals.volume += volume;
+  totals.realizedPnl += realizedPnl;
+  totals.fees += fees;
+  totals.funding += funding;
+  totals.netPnl += realizedPnl - fees + funding;
+}
+
+function roundAttribution(totals) {
+  return {
+    fills: totals.fills,
+    volume: round(totals.volume),
+    realizedPnl: round(totals.realizedPnl),
+    fees: round(totals.fees),
+    funding: round(totals.funding),
+    netPnl: round(totals.netPnl),
+  };
+}
+
+/**
+ * Replay `fills` (one market, in order). Returns the P&L events — one per
+ * fill, with what it realized — and the final position state.
+ */
+function replayMarket(fills) {
+  let position = 0;
+  let avgEntry = 0;
+  let avgEntryTime = 0;
+  const events = [];
+
+  for (const fill of fills) {
+    const time = new Date(fill.timestamp).getTime();
+    let realizedPnl = 0;
+    let closedNotional = 0;
+    let heldMs = 0;
+    let remaining = fill.size;
+
+    if (position !== 0 && Math.sign(remaining) !== Math.sign(position)) {
+      const closed = Math.min(Math.abs(remaining), Math.abs(position));
+      realizedPnl = closed * (fill.price - avgEntry) * Math.sign(position);
+      closedNotional = closed * avgEntry;
+      heldMs = time - avgEntryTime;
+      position += Math.sign(remaining) * closed;
+      remaining -= Math.sign(remaining) * closed;
+      if (Math.abs(position) < EPSILON) position = 0;
+    }
+    if (Math.abs(remaining) >= EPSILON) {
+      const total = Math.abs(position) + Math.abs(remaining);
+      avgEntry = (Math.abs(position) * avgEntry + Math.abs(remaining) * fill.price) / total;
+      avgEntryTime = (Math.abs(position) * avgEntryTime + Math.abs(remaining) * time) / total;
+      position += remaining;
+    }
+    if (position === 0) {
+      avgEntry = 0;
+      avgEntryTime = 0;
+    }
+
+    events.push({
+      timestamp: fill.timestamp,
+      date: fill.date,
+      realizedPnl,
+      closedNotional,
+      heldMs,
+      fee: fill.fee,
+      volume: fill.quoteAmount,
+      position,
+      avgEntry: position === 0 ? null : avgEntry,
+      price: fill.price,
+    });
+  }
+
+  return { events, position, avgEntry: position === 0 ? null : avgEntry };
+}
+
+/**
+ * P&L analysis of a trade ledger:
+ *
+ *   { asOf, complete,
+ *     markets: [{ market, position, avgEntryPrice, lastPrice, unrealizedPnl,
+ *                 avgHoldHours, closedNotional, ...attribution }],
+ *     windows: [{ label, days, start, markets: { <market>: attribution }, total }],
+ *     daily: [{ date, ...attribution, cumulativeNetPnl, positions: { <market>: size } }] }
+ *
+ * `complete` is false while the ledger's backfill has not reached the first
+ * transaction — positions then start from an unknown opening state.
+ */
+function analyzeTrades(ledger) {
+  const entries = ledger?.entries || [];
+  const byMarket = new Map();
+  for (const fill of normalizeFills(entries)) {
+    if (!byMarket.has(fill.market)) byMarket.set(fill.market, []);
+    byMarket.get(fill.market).push(fill);
+  }
+  const funding = entries.filter(e => e.type === 'funding');
+  const asOf = entries.length ? entries.map(e => e.date).sort().pop() : null;
+
+  // Every P&L contribution as { market, date, ...attribution part }
+  const parts = [];
+  const markets = [];
+  const replays = new Map();
+  for (const [market, fills] of byMarket) {
+    const replay = replayMarket(fills);
+    replays.set(market, replay);
+    for (const e of replay.events) {
+      parts.push({ market, date: e.date, fills: 1, volume: e.volume, realizedPnl: e.realizedPnl, fees: e.fee });
+    }
+  }
+  for (const e of funding) parts.push({ market: e.market, date: e.date, funding: e.payment });
+
+  const marketNames = [...new Set(parts.map(p => p.market))].sort();
+  for (const market of marketNames) {
+    const totals = emptyAttribution();
+    parts.filter(p => p.market === market).forEach(p => addTo(totals, p));
+    const replay = replays.get(market);
+    const events = replay?.events || [];
+    const closedNotional = events.reduce((sum, e) => sum + e.closedNotional, 0);
+    const weightedHoldMs = events.reduce((sum, e) => sum + e.closedNotional * e.heldMs, 0);
+    const lastPrice = events.length ? events[events.length - 1].price : null;
+    const position = replay?.position || 0;
+    markets.push({
+      market,
+      position: round(position, 9),
+      avgEntryPrice: round(replay?.avgEntry ?? null, 6),
+      lastPrice: round(lastPrice, 6),
+      unrealizedPnl: position !== 0 ? round(position * (lastPrice - replay.avgEntry)) : 0,
+      avgHoldHours: closedNotional > 0 ? round(weightedHoldMs / closedNotional / HOUR_MS, 1) : null,
+      closedNotional: round(closedNotional),
+      ...roundAttribution(totals),
+    });
+  }
+
+  const windows = WINDOWS.map(({ label, days }) => {
+    const start = days === null || !asOf ? null : shiftDate(asOf, -(days - 1));
+    const inWindow = parts.filter(p => start === null || p.date >= start);
+    const total = emptyAttribution();
+    const perMarket = {};
+    for (const market of marketNames) {
+      const totals = emptyAttribution();
+      inWindow.filter(p => p.market === market).forEach(p => addTo(totals, p));
+      addTo(total, totals);
+      perMarket[market] = roundAttribution(totals);
+    }
+    return { label, days, start, markets: perMarket, total: roundAttribution(total) };
+  });
+
+  // Daily attribution with each market's end-of-day position
+  const dates = [...new Set(parts.map(p => p.date))].sort();
+  const positionsOn = date => Object.fromEntries([...replays].map(([market, replay]) => {
+    const last = replay.events.filter(e => e.date <= date).pop();
+    return [market, round(last ? last.position : 0, 9)];
+  }));
+  let cumulativeNetPnl = 0;
+  const daily = dates.map(date => {
+    const totals = emptyAttribution();
+    parts.filter(p => p.date === date).forEach(p => addTo(totals, p));
+    cumulativeNetPnl += totals.netPnl;
+    return { date, ...roundAttribution(totals), cumulativeNetPnl: round(cumulativeNetPnl), positions: positionsOn(date) };
+  });
+
+  return {
+    asOf,
+    complete: Boolean(ledger?.backfill?.complete),
+    markets,
+    windows,
+    daily,
+  };
+}
+
+module.exports = {
+  WINDOWS,
+  normalizeFills,
+  replayMarket,
+  analyzeTrades,
+};
@@ -0,0 +1,223 @@
+/**
+ * Platform adapters for reading a vault's live NAV.
+ *
+ * Every adapter takes a registry entry (config/vaults.json) and resolves to
+ *   { sharePrice, equity, shares, tvl, slot, asOf, details }
+ * where equity/tvl are in the deposit asset (USDC), shares in whole shares,
+ * slot is the chain slot read at (null off-chain) and details holds the
+ * platform-specific extras. SDKs are required lazily so an HTTP-only stamp
+ * does not need the Solana toolchain installed.
+ */
+
+const path = require('path');
+const { fetchJson } = require('./source-adapter');
+const { resolveRpcUrl } = require('./rpc');
+
+function assertSane(vault, { sharePrice, equity, shares }) {
+  if (!shares || shares <= 0) {
+    throw new Error(`[${vault.id}] Invalid totalShares: ${shares} — vault data may be corrupted or unavailable`);
+  }
+  if (!Number.isFinite(sharePrice) || sharePrice <= 0 || sharePrice > 100) {
+    throw new Error(`[${vault.id}] Implausible share price: ${sharePrice} (equity: ${equity}, shares: ${shares})`);
+  }
+}
+
+// ── Drift (VaultClient) ───────────────────────────────────────────────────────
+// Share price = vault equity (incl. unrealized P&L) / total shares — net of PM fees.
+async function readDriftVault(vault) {
+  const { Connection, PublicKey, Keypair } = require('@solana/web3.js');
+  const { Wallet } = require('@coral-xyz/anchor');
+  const { DriftClient } = require('@drift-labs/sdk/lib/node/index.js');
+  const { VaultClient, getDriftVaultProgram } = require('@drift-labs/vaults-sdk');
+
+  const connection = new Connection(resolveRpcUrl(), 'confirmed');
+  const wallet = new Wallet(Keypair.generate());
+  const driftClient = new DriftClient({
+    connection,
+    wallet,
+    env: 'mainnet-beta',
+    accountSubscription: { type: 'websocket' },
+  });
+
+  await driftClient.subscribe();
+  try {
+    const program = getDriftVaultProgram(connection, wallet);
+    const vaultClient = new VaultClient({ driftClient, program });
+    const vaultAddress = new PublicKey(vault.address);
+
+    const [slot, equityBN, vaultAccount] = await Promise.all([
+      connection.getSlot('confirmed'),
+      vaultClient.calculateVaultEquityInDepositAsset({ address: vaultAddress }),
+      program.account.vault.fetch(vaultAddress),
+    ]);
+
+    // Drift vault shares use USDC precision (10^6), same as equity.
+    const PRECISION = 1_000_000;
+    const equity = equityBN.toNumber() / PRECISION;
+    const shares = vaultAccount.totalShares.toNumber() / PRECISION;
+    const netDeposits = vaultAccount.netDeposits.toNumber() / PRECISION;
+    const sharePrice = equity / shares;
+    assertSane(vault, { sharePrice, equity, shares });
+
+    return {
+      sharePrice,
+      equity,
+      shares,
+      tvl: equity,
+      slot,
+      asOf: new Date().toISOString(),
+      details: {
+        netDeposits,
+        basePriceRaw: netDeposits / shares,
+      },
+    };
+  } finally {
+    await driftClient.unsubscribe();
+  }
+}
+
+// ── Voltr (vault SDK) ─────────────────────────────────────────────────────────
+function loadVoltrSdk() {
+  const candidates = [
+    '@voltr/vault-sdk',
+    path.join(process.env.HOME || '', 'clawd', 'projects', 'solana-agent-hackathon', 'node_modules', '@voltr', 'vault-sdk'),
+  ];
+
+  let lastError = null;
+  for (const candidate of candidates) {
+    try {
+      return require(candidate);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw new Error(
+    `Unable to load @voltr/vault-sdk. Install it in this repo or make sure the local SDK path exists. Last error: ${lastError?.message || 'unknown error'}`
+  );
+}
+
+async function getMintInfo(connection, mintAddress) {
+  const Decimal = require('decimal.js');
+  const response = await connection.getParsedAccountInfo(mintAddress, 'confirmed');
+  const parsed = response?.value?.data?.parsed?.info;
+  if (!parsed) {
+    throw new Error(`Could not parse mint account ${mintAddress.toBase58()}`);
+  }
+  return {
+    supply: new Decimal(parsed.supply),
+    decimals: parsed.decimals,
+  };
+}
+
+// Share price is diluted by LP fees accrued but not yet harvested, so it
+// matches what a redeeming holder would actually receive.
+async function readVoltrVault(vault) {
+  const { Connection, PublicKey } = require('@solana/web3.js');
+  const Decimal = require('decimal.js');
+  const { VoltrClient, convertDecimalBitsToDecimal } = loadVoltrSdk();
+
+  const connection = new Connection(resolveRpcUrl(), 'confirmed');
+  const client = new VoltrClient(connection);
+  const vaultPubkey = new PublicKey(vault.address);
+  const vaultLpMint = client.findVaultLpMint(vaultPubkey);
+
+  const [slot, vaultAccount, lpMintInfo] = await Promise.all([
+    connection.getSlot('confirmed'),
+    client.fetchVaultAccount(vaultPubkey),
+    getMintInfo(connection, vaultLpMint),
+  ]);
+
+  const assetMint = vaultAccount.asset.mint;
+  const assetMintInfo = await getMintInfo(connection, assetMint);
+  const assetScale = new Decimal(10).pow(assetMintInfo.decimals);
+  const lpScale = new Decimal(10).pow(lpMintInfo.decimals);
+
+  const totalValueRaw = new Decimal(vaultAccount.asset.totalValue.toString());
+  const unharvestedLpRaw = new Decimal(
+    vaultAccount.feeState.accumulatedLpAdminFees
+      .add(vaultAccount.feeState.accumulatedLpManagerFees)
+      .add(vaultAccount.feeState.accumulatedLpProtocolFees)
+      .toString()
+  );
+  const dilutedLpRaw = lpMintInfo.supply.plus(unharvestedLpRaw);
+  const scale = new Decimal(10).pow(lpMintInfo.decimals - assetMintInfo.decimals);
+  const sharePrice = totalValueRaw.div(dilutedLpRaw).mul(scale);
+  const highWaterMark = convertDecimalBitsToDecimal(
+    vaultAccount.highWaterMark.highestAssetPerLpDecimalBits
+  ).mul(scale);
+
+  const equity = totalValueRaw.div(assetScale).toNumber();
+  const shares = dilutedLpRaw.div(lpScale).toNumber();
+  const result = {
+    sharePrice: sharePrice.toNumber(),
+    equity,
+    shares,
+    tvl: equity,
+    slot,
+    asOf: new Date().toISOString(),
+    details: {
+      circulatingSharePrice: totalValueRaw.div(lpMintInfo.supply).mul(scale).toNumber(),
+      lpSupply: lpMintInfo.supply.div(lpScale).toNumber(),
+      unharvestedFeeLp: unharvestedLpRaw.div(lpScale).toNumber(),
+      highWaterMark: highWaterMark.toNumber(),
+      discountToHighWaterBps: highWaterMark.gt(0)
+        ? highWaterMark.minus(sharePrice).div(highWaterMark).mul(10000).toNumber()
+        : 0,
+      lockedProfitUsdc: new Decimal(vaultAccount.lockedProfitState.lastUpdatedLockedProfit.toString())
+        .div(assetScale)
+        .toNumber(),
+      assetMint: assetMint.toBase58(),
+      lpMint: vaultLpMint.toBase58(),
+      vaultLastUpdatedTs: new Date(Number(vaultAccount.lastUpdatedTs.toString()) * 1000).toISOString(),
+      highWaterMarkLastUpdatedTs: new Date(Number(vaultAccount.highWaterMark.lastUpdatedTs.toString()) * 1000).toISOString(),
+    },
+  };
+  assertSane(vault, result);
+  return result;
+}
+
+// ── HTTP JSON feed ────────────────────────────────────────────────────────────
+// `fields` maps sharePrice / tvl / asOf onto the feed's own property names.
+async function readHttpJsonVault(vault) {
+  const fields = { sharePrice: 'sharePrice', tvl: 'tvl', asOf: null, ...(vault.fields || {}) };
+  const data = await fetchJson(vault.url, { label: vault.id, timeoutMs: 15_000 });
+
+  const sharePrice = Number(data[fields.sharePrice]);
+  const tvl = Number(data[fields.tvl]);
+  if (!Number.isFinite(tvl) || tvl <= 0) {
+    throw new Error(`[${vault.id}] Missing or invalid ${fields.tvl} in ${vault.url}`);
+  }
+  const shares = tvl / sharePrice;
+  assertSane(vault, { sharePrice, equity: tvl, shares });
+
+  return {
+    sharePrice,
+    equity: tvl,
+    shares,
+    tvl,
+    slot: null,
+    asOf: fields.asOf && data[fields.asOf] ? new Date(data[fields.asOf]).toISOString() : new Date().toISOString(),
+    details: {},
+  };
+}
+
+const ADAPTERS = {
+  drift: readDriftVault,
+  voltr: readVoltrVault,
+  'http-json': readHttpJsonVault,
+};
+
+function readVault(vault) {
+  const adapter = ADAPTERS[vault.platform];
+  if (!adapter) {
+    throw new Error(`[${vault.id}] Unknown platform "${vault.platform}" — expected one of ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  return adapter(vault);
+}
+
+module.exports = {
+  ADAPTERS,
+  readVault,
+  loadVoltrSdk,
+};
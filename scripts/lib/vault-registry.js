@@ -0,0 +1,48 @@
+/**
+ * Vault registry — config/vaults.json.
+ *
+ * Each entry names a platform adapter (see vault-adapters.js), the vault
+ * address, the timezone and local hour its daily stamp belongs to, and the
+ * data/ file its history is written to. Adding a vault is a config change.
+ *
+ * `flowPlatform` (optional, defaults to `platform`) names the on-chain program
+ * investor deposits and withdrawals go through, for vaults whose NAV comes
+ * from elsewhere — KV1 is priced from Prime's feed but is a Drift vault.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REGISTRY_PATH = path.join(__dirname, '..', '..', 'config', 'vaults.json');
+const REQUIRED_FIELDS = ['id', 'name', 'platform', 'timezone', 'stampHour', 'output'];
+
+let cached = null;
+
+function loadVaults() {
+  if (cached) return cached;
+  const { vaults } = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+  if (!Array.isArray(vaults)) throw new Error(`${REGISTRY_PATH}: expected { "vaults": [...] }`);
+
+  const seen = new Set();
+  for (const vault of vaults) {
+    const missing = REQUIRED_FIELDS.filter(field => vault[field] === undefined);
+    if (missing.length > 0) throw new Error(`Vault "${vault.id || '?'}" is missing ${missing.join(', ')}`);
+    if (seen.has(vault.id)) throw new Error(`Duplicate vault id "${vault.id}"`);
+    seen.add(vault.id);
+  }
+
+  cached = vaults;
+  return vaults;
+}
+
+function getVault(id) {
+  const vault = loadVaults().find(v => v.id === id);
+  if (!vault) throw new Error(`Unknown vault "${id}" — known: ${loadVaults().map(v => v.id).join(', ')}`);
+  return vault;
+}
+
+module.exports = {
+  REGISTRY_PATH,
+  loadVaults,
+  getVault,
+};
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Daily KV1 hedge check: JLP pool composition (jlp-info custodies) against
+ * the vault's Drift positions — its JLP spot balance and the perp shorts
+ * listed in config/hedge.json.
+ *
+ * Appends today's snapshot (net delta and hedge ratio per asset, see
+ * lib/hedge.js) to data/hedge-history.json and sends a `hedge` alert when
+ * any asset's hedge ratio is outside the configured band.
+ *
+ * Usage:
+ *   node scripts/monitor-hedge.js             # snapshot + alert
+ *   node scripts/monitor-hedge.js --dry-run   # print, write and send nothing
+ */
+
+const { fetchJson } = require('./lib/source-adapter');
+const { loadVaults } = require('./lib/vault-registry');
+const { resolveRpcUrl } = require('./lib/rpc');
+const { notify } = require('./lib/notifier');
+const { loadHedgeConfig, poolComposition, hedgeSnapshot, appendSnapshot } = require('./lib/hedge');
+
+const JLP_INFO_URL = 'https://perps-api.jup.ag/v2/jlp-info';
+const BASE_PRECISION = 1e9;
+const PRICE_PRECISION = 1e6;
+const ALERT = { source: 'hedgeMonitor', label: 'KV1 hedge' };
+
+// BN → number without toNumber()'s 53-bit throw
+function num(bn) {
+  return Number(bn.toString());
+}
+
+/** The vault's JLP balance and perp positions from its Drift user account. */
+async function readDriftPositions(config, vault) {
+  const { Connection, PublicKey, Keypair } = require('@solana/web3.js');
+  const {
+    DriftClient,
+    Wallet,
+    getUserAccountPublicKeySync,
+    getSpotMarketPublicKeySync,
+    getPerpMarketPublicKeySync,
+    getTokenAmount,
+  } = require('@drift-labs/sdk');
+
+  const connection = new Connection(resolveRpcUrl(), 'confirmed');
+  const { program } = new DriftClient({ connection, wallet: new Wallet(Keypair.generate()), env: 'mainnet-beta' });
+  const userPubkey = getUserAccountPublicKeySync(program.programId, new PublicKey(vault.address), config.subAccountId);
+  const user = await program.account.user.fetch(userPubkey);
+
+  const spotMarket = await program.account.spotMarket.fetch(getSpotMarketPublicKeySync(program.programId, config.jlpSpotMarketIndex));
+  const spot = user.spotPositions.find(p => p.marketIndex === config.jlpSpotMarketIndex && !p.scaledBalance.isZero());
+  const jlpAmount = spot ? num(getTokenAmount(spot.scaledBalance, spotMarket, spot.balanceType)) / 10 ** spotMarket.decimals : 0;
+
+  const perps = {};
+  for (const { marketIndex } of config.assets) {
+    const market = await program.account.perpMarket.fetch(getPerpMarketPublicKeySync(program.programId, marketIndex));
+    const position = user.perpPositions.find(p => p.marketIndex === marketIndex && !p.baseAssetAmount.isZero());
+    perps[marketIndex] = {
+      base: position ? num(position.baseAssetAmount) / BASE_PRECISION : 0,
+      oraclePrice: num(market.amm.historicalOracleData.lastOraclePrice) / PRICE_PRECISION,
+    };
+  }
+  return { user: userPubkey.toBase58(), jlpAmount, perps };
+}
+
+function describe(a) {
+  const ratio = a.hedgeRatio === null ? 'n/a' : `${(a.hedgeRatio * 100).toFixed(1)}%`;
+  const delta = `${a.netDeltaUsd >= 0 ? '+' : '-'}$${Math.abs(a.netDeltaUsd).toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+  return `${a.asset}: hedged ${ratio} (target ${(a.targetRatio * 100).toFixed(0)}%), net delta ${delta}`;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const config = loadHedgeConfig();
+  const vault = loadVaults().find(v => v.id === config.vault);
+  if (!vault) throw new Error(`Vault "${config.vault}" (config/hedge.json) is not in config/vaults.json`);
+
+  const [jlpInfo, positions] = await Promise.all([
+    fetchJson(JLP_INFO_URL, { label: 'hedge-monitor' }),
+    readDriftPositions(config, vault),
+  ]);
+  const snapshot = hedgeSnapshot({ config, pool: poolComposition(jlpInfo), jlpAmount: positions.jlpAmount, perps: positions.perps });
+
+  console.log(`[Hedge] ${vault.name}: ${snapshot.jlpAmount.toLocaleString()} JLP ($${snapshot.vaultJlpUsd.toLocaleString()}), hedge notional ${((snapshot.hedgeNotionalRatio || 0) * 100).toFixed(1)}% of JLP`);
+  for (const a of snapshot.assets) console.log(`[Hedge]   ${a.withinBand ? '✓' : '⚠️'} ${describe(a)}`);
+  if (dryRun) {
+    console.log('[Hedge] Dry run — nothing written');
+    return null;
+  }
+
+  appendSnapshot(snapshot, { vault: vault.address });
+  return snapshot;
+}
+
+main()
+  // Drift's client can keep the event loop alive
+  .then(async snapshot => {
+    if (snapshot?.breaches.length) {
+      const out = snapshot.assets.filter(a => !a.withinBand);
+      await notify('hedge', {
+        ...ALERT,
+        lines: [`${out.length} asset(s) outside their hedge band:`, ...out.map(describe)],
+        impact: 'The vault carries directional exposure until the shorts are rebalanced.',
+      });
+    }
+    process.exit(0);
+  })
+  .catch(async e => {
+    console.error(`[Hedge] FATAL: ${e.message}`);
+    await notify('failure', { ...ALERT, error: e.message, hint: 'node scripts/monitor-hedge.js --dry-run' });
+    process.exit(1);
+  });
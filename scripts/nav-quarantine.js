@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Review NAV stamps held in data/nav-quarantine.json.
+ *
+ * Usage:
+ *   node scripts/nav-quarantine.js                       # list pending entries
+ *   node scripts/nav-quarantine.js approve 2026-04-03    # promote into official-nav-history.json
+ *           [--note "PN confirmed the move"] [--replace]
+ *   node scripts/nav-quarantine.js reject 2026-04-03 [--note "RPC glitch"]
+ *
+ * Approving is the only way a quarantined stamp is published; --replace is
+ * needed if the date already has an official record. Nothing is committed —
+ * commit and push data/ yourself (or let the next daily run do it).
+ */
+
+const { loadQuarantine, approve, reject } = require('./lib/nav-quarantine');
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : undefined;
+}
+
+function list() {
+  const { pending } = loadQuarantine();
+  if (pending.length === 0) {
+    console.log('[NAV Quarantine] Nothing pending.');
+    return;
+  }
+  for (const entry of pending) {
+    console.log(`\n${entry.date} — $${entry.record.SharePrice.toFixed(6)} (quarantined ${entry.quarantinedAt})`);
+    for (const c of entry.checks) {
+      const mark = { pass: '✅', fail: '❌', skip: '➖' }[c.status];
+      console.log(`  ${mark} ${c.check}: ${c.message}`);
+    }
+  }
+  console.log(`\n${pending.length} pending — approve or reject by date.`);
+}
+
+function main() {
+  const [command, date] = process.argv.slice(2).filter(arg => !arg.startsWith('--') && arg !== argValue('--note'));
+  const note = argValue('--note') || null;
+
+  if (!command || command === 'list') return list();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) throw new Error(`Usage: nav-quarantine.js ${command} YYYY-MM-DD`);
+
+  if (command === 'approve') {
+    const record = approve(date, { note, replace: process.argv.includes('--replace') });
+    console.log(`[NAV Quarantine] ✅ ${date} approved — $${record.SharePrice.toFixed(6)} added to official-nav-history.json`);
+  } else if (command === 'reject') {
+    reject(date, { note });
+    console.log(`[NAV Quarantine] 🗑️  ${date} rejected`);
+  } else {
+    throw new Error(`Unknown command "${command}" — expected list, approve or reject`);
+  }
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`[NAV Quarantine] ${e.message}`);
+  process.exit(1);
+}
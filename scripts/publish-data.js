@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+/**
+ * Commit and push data/ changes to GitHub Pages on their own — the same
+ * step the NAV stamp and daily fetch run at the end (see lib/publish.js).
+ *
+ * Usage:
+ *   node scripts/publish-data.js                          # data/, default message
+ *   node scripts/publish-data.js --dry-run                # show the diff, commit nothing
+ *   node scripts/publish-data.js --remote /tmp/pages.git  # push to a local bare repo
+ *   node scripts/publish-data.js -m "data: fix NAV" data/official-nav-history.json
+ */
+
+const { publish } = require('./lib/publish');
+
+function argValue(...names) {
+  const i = process.argv.findIndex(arg => names.includes(arg));
+  return i >= 0 ? process.argv[i + 1] : undefined;
+}
+
+function main() {
+  const remote = argValue('--remote');
+  if (remote) process.env.KV_PUBLISH_REMOTE = remote;
+
+  const message = argValue('-m', '--message')
+    || `data: manual publish ${new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' })}`;
+  const values = new Set([remote, message]);
+  const files = process.argv.slice(2).filter(arg => !arg.startsWith('-') && !values.has(arg));
+
+  publish({ files: files.length > 0 ? files : ['data/'], message });
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`[publish] ❌ ${e.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Stamp the daily NAV of every vault in config/vaults.json.
+ *
+ * Each vault is read through its platform adapter and upserted (one record
+ * per local date in the vault's timezone) into its own history file:
+ *
+ *   data/<output>  →  { vault, timezone, stampHour, lastUpdated, records: [
+ *     { date, timestamp, sharePrice, equity, shares, tvl, slot, source }
+ *   ] }
+ *
+ * Usage:
+ *   node scripts/stamp-vaults.js                  # every vault
+ *   node scripts/stamp-vaults.js --vault kv1      # one vault (repeatable)
+ *   node scripts/stamp-vaults.js --due            # only vaults past their
+ *                                                 # stamp hour, not yet stamped today
+ *
+ * One vault failing does not stop the others; exit code is the failure count.
+ */
+
+const { loadVaults } = require('./lib/vault-registry');
+const { readVault } = require('./lib/vault-adapters');
+const { readDataFile, writeDataFile } = require('./lib/data-store');
+const { notify } = require('./lib/notifier');
+
+function localParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = type => parts.find(p => p.type === type).value;
+  return { date: `${get('year')}-${get('month')}-${get('day')}`, hour: Number(get('hour')) };
+}
+
+function selectedVaultIds() {
+  const ids = [];
+  process.argv.forEach((arg, i) => {
+    if (arg === '--vault' && process.argv[i + 1]) ids.push(process.argv[i + 1]);
+  });
+  return ids;
+}
+
+function isDue(vault, history, now) {
+  const local = localParts(now, vault.timezone);
+  if (local.hour < vault.stampHour) return false;
+  return !(history?.records || []).some(r => r.date === local.date);
+}
+
+function upsertRecord(records, record) {
+  const next = records.filter(r => r.date !== record.date);
+  next.push(record);
+  return next.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+async function stampVault(vault, now) {
+  const existing = readDataFile(vault.output);
+  const nav = await readVault(vault);
+
+  const record = {
+    date: localParts(now, vault.timezone).date,
+    timestamp: now.toISOString(),
+    sharePrice: nav.sharePrice,
+    equity: nav.equity,
+    shares: nav.shares,
+    tvl: nav.tvl,
+    slot: nav.slot,
+    source: `${vault.platform}-adapter`,
+  };
+
+  const history = {
+    vault: {
+      id: vault.id,
+      name: vault.name,
+      platform: vault.platform,
+      address: vault.address || null,
+    },
+    timezone: vault.timezone,
+    stampHour: vault.stampHour,
+    lastUpdated: record.timestamp,
+    records: upsertRecord(existing?.records || [], record),
+  };
+
+  writeDataFile(vault.output, history);
+  console.log(`[vault-stamp] ${vault.id}: $${record.sharePrice.toFixed(6)} / share, TVL $${Math.round(record.tvl).toLocaleString('en-US')} (${record.date}) → data/${vault.output}`);
+  return { record, nav };
+}
+
+async function main() {
+  const now = new Date();
+  const ids = selectedVaultIds();
+  const onlyDue = process.argv.includes('--due');
+
+  let vaults = loadVaults();
+  if (ids.length > 0) {
+    const unknown = ids.filter(id => !vaults.some(v => v.id === id));
+    if (unknown.length > 0) throw new Error(`Unknown vault id(s): ${unknown.join(', ')}`);
+    vaults = vaults.filter(v => ids.includes(v.id));
+  }
+  if (onlyDue) {
+    vaults = vaults.filter(v => isDue(v, readDataFile(v.output), now));
+    if (vaults.length === 0) console.log('[vault-stamp] No vaults due.');
+  }
+
+  let failures = 0;
+  for (const vault of vaults) {
+    try {
+      await stampVault(vault, now);
+    } catch (e) {
+      failures++;
+      console.error(`[vault-stamp] ❌ ${vault.id}: ${e.message}`);
+      await notify('failure', {
+        source: 'vaultStamp',
+        label: `Vault NAV stamp (${vault.name})`,
+        error: e.message,
+        impact: `No record written to data/${vault.output}.`,
+        hint: `node scripts/stamp-vaults.js --vault ${vault.id}`,
+      });
+    }
+  }
+
+  // Drift's WebSocket subscription keeps the event loop alive after unsubscribe
+  process.exit(failures);
+}
+
+if (require.main === module) {
+  main().catch(async e => {
+    console.error(`[vault-stamp] FATAL: ${e.message}`);
+    await notify('failure', { source: 'vaultStamp', label: 'Vault NAV stamps', error: e.message });
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  localParts,
+  stampVault,
+};
@@ -5,14 +5,18 @@
 
 const fs = require('fs');
 const path = require('path');
-const { Connection, PublicKey } = require('@solana/web3.js');
 const Decimal = require('decimal.js');
+const { writeDataFile } = require('./lib/data-store');
+const { getVault } = require('./lib/vault-registry');
+const { readVault } = require('./lib/vault-adapters');
+const { notify } = require('./lib/notifier');
 
-const VAULT_ADDRESS = 'BbhQpnex9btpNqzYgL3REpTPZsAeJ3VGYtV1mmLhQ7oc';
+const VAULT = getVault('voltr-cross-platform');
+const VAULT_ADDRESS = VAULT.address;
 const DATA_PATH = path.join(__dirname, '..', 'data', 'voltr-cross-platform-share-history.json');
-const TARGET_TIMEZONE = 'America/Los_Angeles';
+const TARGET_TIMEZONE = VAULT.timezone;
 const TARGET_DAILY_STAMP_LABEL = '2:00 PM PT';
-const TARGET_DAILY_STAMP_HOUR = 14;
+const TARGET_DAILY_STAMP_HOUR = VAULT.stampHour;
 
 function loadJson(filePath) {
     try {
@@ -24,46 +28,6 @@ function loadJson(filePath) {
     }
 }
 
-function resolveRpcUrl() {
-    if (process.env.HELIUS_RPC_URL) return process.env.HELIUS_RPC_URL;
-    if (process.env.HELIUS_API_KEY) {
-        return `https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}`;
-    }
-
-    const candidateConfigPaths = [
-        path.join(process.env.HOME || '', '.openclaw', 'helius', 'config.json'),
-        path.join(process.env.HOME || '', '.helius', 'config.json'),
-    ];
-
-    for (const configPath of candidateConfigPaths) {
-        const cfg = loadJson(configPath);
-        if (cfg?.mainnetRpc) return cfg.mainnetRpc;
-    }
-
-    // Temporary fallback until the Helius config location is normalized.
-    return 'https://mainnet.helius-rpc.com/?api-key=41552a6e-8694-4969-9880-f75b4a95559e';
-}
-
-function loadVoltrSdk() {
-    const candidates = [
-        '@voltr/vault-sdk',
-        path.join(process.env.HOME || '', 'clawd', 'projects', 'solana-agent-hackathon', 'node_modules', '@voltr', 'vault-sdk'),
-    ];
-
-    let lastError = null;
-    for (const candidate of candidates) {
-        try {
-            return require(candidate);
-        } catch (error) {
-            lastError = error;
-        }
-    }
-
-    throw new Error(
-        `Unable to load @voltr/vault-sdk. Install it in this repo or make sure the local SDK path exists. Last error: ${lastError?.message || 'unknown error'}`
-    );
-}
-
 function toNumberString(value, digits) {
     return new Decimal(value).toFixed(digits);
 }
@@ -81,86 +45,36 @@ function formatPacificDateTime(dateLike) {
 }
 
 function saveHistory(history) {
-    const tmpPath = `${DATA_PATH}.tmp`;
-    fs.mkdirSync(path.dirname(DATA_PATH), { recursive: true });
-    fs.writeFileSync(tmpPath, JSON.stringify(history, null, 2));
-    fs.renameSync(tmpPath, DATA_PATH);
-}
-
-async function getMintInfo(connection, mintAddress) {
-    const response = await connection.getParsedAccountInfo(mintAddress, 'confirmed');
-    const parsed = response?.value?.data?.parsed?.info;
-    if (!parsed) {
-        throw new Error(`Could not parse mint account ${mintAddress.toBase58()}`);
-    }
-    return {
-        supply: new Decimal(parsed.supply),
-        decimals: parsed.decimals,
-    };
+    writeDataFile(path.basename(DATA_PATH), history);
 }
 
+// Reads through the voltr adapter (scripts/lib/vault-adapters.js) and keeps
+// this feed's own rounding and Pacific-time presentation fields.
 async function fetchSnapshot() {
-    const rpcUrl = resolveRpcUrl();
-    const { VoltrClient, convertDecimalBitsToDecimal } = loadVoltrSdk();
-    const connection = new Connection(rpcUrl, 'confirmed');
-    const client = new VoltrClient(connection);
-    const vaultPubkey = new PublicKey(VAULT_ADDRESS);
-    const vaultLpMint = client.findVaultLpMint(vaultPubkey);
+    const nav = await readVault(VAULT);
     const now = new Date();
-
-    const [slot, vaultAccount, lpMintInfo] = await Promise.all([
-        connection.getSlot('confirmed'),
-        client.fetchVaultAccount(vaultPubkey),
-        getMintInfo(connection, vaultLpMint),
-    ]);
-
-    const assetMint = vaultAccount.asset.mint;
-    const assetMintInfo = await getMintInfo(connection, assetMint);
-    const totalValueRaw = new Decimal(vaultAccount.asset.totalValue.toString());
-    const unharvestedLpRaw = new Decimal(
-        vaultAccount.feeState.accumulatedLpAdminFees
-            .add(vaultAccount.feeState.accumulatedLpManagerFees)
-            .add(vaultAccount.feeState.accumulatedLpProtocolFees)
-            .toString()
-    );
-    const dilutedLpRaw = lpMintInfo.supply.plus(unharvestedLpRaw);
-    const scale = new Decimal(10).pow(lpMintInfo.decimals - assetMintInfo.decimals);
-    const sharePrice = totalValueRaw.div(dilutedLpRaw).mul(scale);
-    const circulatingSharePrice = totalValueRaw.div(lpMintInfo.supply).mul(scale);
-    const highWaterMark = convertDecimalBitsToDecimal(
-        vaultAccount.highWaterMark.highestAssetPerLpDecimalBits
-    ).mul(scale);
-    const discountToHighWaterBps = highWaterMark.gt(0)
-        ? highWaterMark.minus(sharePrice).div(highWaterMark).mul(10000)
-        : new Decimal(0);
+    const d = nav.details;
 
     return {
         date: getPacificDate(now),
         timestamp: now.toISOString(),
         capturedAtPacific: formatPacificDateTime(now),
-        slot,
-        sharePrice: Number(toNumberString(sharePrice, 12)),
-        circulatingSharePrice: Number(toNumberString(circulatingSharePrice, 12)),
-        totalValueUsdc: Number(toNumberString(totalValueRaw.div(new Decimal(10).pow(assetMintInfo.decimals)), 6)),
-        lpSupply: Number(toNumberString(lpMintInfo.supply.div(new Decimal(10).pow(lpMintInfo.decimals)), 9)),
-        dilutedLpSupply: Number(toNumberString(dilutedLpRaw.div(new Decimal(10).pow(lpMintInfo.decimals)), 9)),
-        unharvestedFeeLp: Number(toNumberString(unharvestedLpRaw.div(new Decimal(10).pow(lpMintInfo.decimals)), 9)),
-        highWaterMark: Number(toNumberString(highWaterMark, 12)),
-        discountToHighWaterBps: Number(toNumberString(discountToHighWaterBps, 6)),
-        lockedProfitUsdc: Number(
-            toNumberString(
-                new Decimal(vaultAccount.lockedProfitState.lastUpdatedLockedProfit.toString()).div(
-                    new Decimal(10).pow(assetMintInfo.decimals)
-                ),
-                6
-            )
-        ),
-        assetMint: assetMint.toBase58(),
-        lpMint: vaultLpMint.toBase58(),
-        vaultLastUpdatedTs: new Date(Number(vaultAccount.lastUpdatedTs.toString()) * 1000).toISOString(),
-        vaultLastUpdatedPacific: formatPacificDateTime(Number(vaultAccount.lastUpdatedTs.toString()) * 1000),
-        highWaterMarkLastUpdatedTs: new Date(Number(vaultAccount.highWaterMark.lastUpdatedTs.toString()) * 1000).toISOString(),
-        highWaterMarkLastUpdatedPacific: formatPacificDateTime(Number(vaultAccount.highWaterMark.lastUpdatedTs.toString()) * 1000),
+        slot: nav.slot,
+        sharePrice: Number(toNumberString(nav.sharePrice, 12)),
+        circulatingSharePrice: Number(toNumberString(d.circulatingSharePrice, 12)),
+        totalValueUsdc: Number(toNumberString(nav.equity, 6)),
+        lpSupply: Number(toNumberString(d.lpSupply, 9)),
+        dilutedLpSupply: Number(toNumberString(nav.shares, 9)),
+        unharvestedFeeLp: Number(toNumberString(d.unharvestedFeeLp, 9)),
+        highWaterMark: Number(toNumberString(d.highWaterMark, 12)),
+        discountToHighWaterBps: Number(toNumberString(d.discountToHighWaterBps, 6)),
+        lockedProfitUsdc: Number(toNumberString(d.lockedProfitUsdc, 6)),
+        assetMint: d.assetMint,
+        lpMint: d.lpMint,
+        vaultLastUpdatedTs: d.vaultLastUpdatedTs,
+        vaultLastUpdatedPacific: formatPacificDateTime(d.vaultLastUpdatedTs),
+        highWaterMarkLastUpdatedTs: d.highWaterMarkLastUpdatedTs,
+        highWaterMarkLastUpdatedPacific: formatPacificDateTime(d.highWaterMarkLastUpdatedTs),
     };
 }
 
@@ -184,7 +98,7 @@ async function main() {
     const existing = loadJson(DATA_PATH);
     const history = {
         vault: VAULT_ADDRESS,
-        vaultName: 'JLP Hedge Vault Pro V1',
+        vaultName: VAULT.name,
         timezone: TARGET_TIMEZONE,
         targetDailyStampHourLocal: TARGET_DAILY_STAMP_HOUR,
         targetDailyStampLabel: TARGET_DAILY_STAMP_LABEL,
@@ -200,7 +114,8 @@ async function main() {
     console.log(`[voltr-share-stamp] Captured at: ${snapshot.capturedAtPacific}`);
 }
 
-main().catch(error => {
+main().catch(async error => {
     console.error(`[voltr-share-stamp] ${error.message}`);
+    await notify('failure', { source: 'voltrShareStamp', label: `${VAULT.name} share stamp`, error: error.message });
     process.exit(1);
 });
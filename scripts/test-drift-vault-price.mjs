@@ -1,8 +1,12 @@
 import { Connection, PublicKey, Keypair } from '@solana/web3.js';
 import { VaultClient } from '@drift-labs/vaults-sdk';
 import { DriftClient, Wallet } from '@drift-labs/sdk';
+import { createRequire } from 'module';
 
-const RPC = 'https://mainnet.helius-rpc.com/?api-key=86b538c8-91f4-4ae5-95ec-4392a2fbecaf';
+const require = createRequire(import.meta.url);
+const { resolveRpcUrl } = require('./lib/rpc.js');
+
+const RPC = resolveRpcUrl();
 const VAULT_ADDRESS = '2dNSa3fBPMoxcs46NhtdLeTJuLasDt6VYNG4vopa7mWw';
 
 const connection = new Connection(RPC, 'confirmed');
@@ -9,9 +9,10 @@ import { Wallet } from '@coral-xyz/anchor';
 const require = createRequire(import.meta.url);
 const { DriftClient, QUOTE_PRECISION } = require('@drift-labs/sdk/lib/node/index.js');
 const { VaultClient, getDriftVaultProgram } = require('@drift-labs/vaults-sdk/lib/index.js');
+const { resolveRpcUrl } = require('./lib/rpc.js');
 
 // Helius - websocket subscription avoids the batch request restriction
-const RPC = 'https://mainnet.helius-rpc.com/?api-key=86b538c8-91f4-4ae5-95ec-4392a2fbecaf';
+const RPC = resolveRpcUrl();
 const VAULT_ADDRESS = '2dNSa3fBPMoxcs46NhtdLeTJuLasDt6VYNG4vopa7mWw';
 
 console.log('[VaultPrice] Connecting...');
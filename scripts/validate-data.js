@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Check every data/*.json file against its schema in scripts/lib/data-schemas.js.
+ *
+ * Usage:
+ *   node scripts/validate-data.js                 # whole data/ directory
+ *   node scripts/validate-data.js jlp-snapshots.json official-nav-history.json
+ *
+ * Prints each violation with its exact path (e.g. $[41].SharePrice) and
+ * exits 1 if any registered file is invalid or unreadable.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, validateData } = require('./lib/data-store');
+const { schemaFor } = require('./lib/data-schemas');
+const { notify } = require('./lib/notifier');
+
+const MAX_VIOLATIONS_PER_FILE = 50;
+
+// data/**/*.json as paths relative to data/ (e.g. "vault-nav/kv1.json")
+function listDataFiles(dir = DATA_DIR) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .flatMap(entry => {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) return listDataFiles(full);
+      return entry.name.endsWith('.json') ? [path.relative(DATA_DIR, full)] : [];
+    })
+    .sort();
+}
+
+async function main() {
+  const requested = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const files = requested.length > 0 ? requested.map(name => name.replace(/^(\.\/)?data\//, '')) : listDataFiles();
+
+  const invalid = [];
+  const unchecked = [];
+
+  for (const fileName of files) {
+    if (!schemaFor(fileName)) {
+      unchecked.push(fileName);
+      continue;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(DATA_DIR, fileName), 'utf8'));
+    } catch (e) {
+      invalid.push(fileName);
+      console.log(`❌ ${fileName}: cannot read — ${e.message}`);
+      continue;
+    }
+
+    const violations = validateData(fileName, data);
+    if (violations.length === 0) {
+      console.log(`✅ ${fileName}`);
+      continue;
+    }
+
+    invalid.push(fileName);
+    console.log(`❌ ${fileName}: ${violations.length} violation(s)`);
+    for (const v of violations.slice(0, MAX_VIOLATIONS_PER_FILE)) {
+      console.log(`   ${v.path}: ${v.message}`);
+    }
+    if (violations.length > MAX_VIOLATIONS_PER_FILE) {
+      console.log(`   … and ${violations.length - MAX_VIOLATIONS_PER_FILE} more`);
+    }
+  }
+
+  if (unchecked.length > 0) {
+    console.log(`\nℹ️  No schema registered (not checked): ${unchecked.join(', ')}`);
+  }
+  console.log(`\n${invalid.length === 0 ? '✅' : '❌'} ${files.length - unchecked.length - invalid.length}/${files.length - unchecked.length} data files valid`);
+
+  if (invalid.length > 0) {
+    await notify('failure', {
+      source: 'validateData',
+      label: 'Schema check of data/',
+      error: `${invalid.length} data file(s) fail their schema: ${invalid.join(', ')}`,
+      hint: 'node scripts/validate-data.js',
+    });
+  }
+  process.exit(invalid.length > 0 ? 1 : 0);
+}
+
+main().catch(e => {
+  console.error(`[validate-data] FATAL: ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+/**
+ * scripts/lib/allium-queries.js — where each query resumes and how refetched
+ * days merge into its output.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QUERIES, renderQuery } = require('../scripts/lib/allium-queries');
+
+test('fees resume from the last Allium row, not the DefiLlama fallback', () => {
+  const { fees } = QUERIES;
+  assert.equal(fees.lastDate(null), null);
+  assert.equal(fees.lastDate([{ date: '2026-04-01', source: 'defillama' }]), null);
+  assert.equal(fees.lastDate([
+    { date: '2026-02-10', source: 'allium' },
+    { date: '2026-02-11', source: 'allium' },
+    { date: '2026-04-01', source: 'defillama' },
+  ]), '2026-02-11');
+});
+
+test('a refetched day replaces the stored one, whatever its source', () => {
+  const merged = QUERIES.fees.merge([
+    { date: '2026-02-11', total_fees: 1, source: 'allium' },
+    { date: '2026-02-12', total_fees: 2, source: 'defillama' },
+  ], [
+    { date: '2026-02-12', total_fees: 3, source: 'allium' },
+    { date: '2026-02-13', total_fees: 4, source: 'allium' },
+  ]);
+  assert.deepEqual(merged.map(r => [r.date, r.total_fees, r.source]), [
+    ['2026-02-11', 1, 'allium'],
+    ['2026-02-12', 3, 'allium'],
+    ['2026-02-13', 4, 'allium'],
+  ]);
+});
+
+test('per-market queries resume from days holding their own fields', () => {
+  const data = {
+    days: [
+      { date: '2026-02-10', markets: { SOL: { long: { fees: 1, traderPnl: 2 } } } },
+      { date: '2026-02-11', markets: { SOL: { long: { fees: 1 } } } },
+    ],
+  };
+  assert.equal(QUERIES.marketFees.lastDate(data), '2026-02-11');
+  assert.equal(QUERIES.marketTraderPnl.lastDate(data), '2026-02-10');
+});
+
+test('renderQuery rejects bad ranges', () => {
+  assert.match(renderQuery('fees', { from: '2026-02-01', to: '2026-02-02' }), /'2026-02-01'::DATE/);
+  assert.throws(() => renderQuery('fees', { from: '2026-02-03', to: '2026-02-02' }), /starts after it ends/);
+  assert.throws(() => renderQuery('fees', { from: 'yesterday', to: '2026-02-02' }), /bad date range/);
+});
@@ -0,0 +1,29 @@
+/**
+ * scripts/backfill-nav.js — stamp times, the default end date and gaps.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { zonedTime, defaultEndDate, findGaps } = require('../scripts/backfill-nav');
+
+const vault = { timezone: 'America/New_York', stampHour: 17 };
+
+test('zonedTime follows daylight saving', () => {
+  assert.equal(zonedTime('2026-01-15', 17, vault.timezone).toISOString(), '2026-01-15T22:00:00.000Z');
+  assert.equal(zonedTime('2026-07-01', 17, vault.timezone).toISOString(), '2026-07-01T21:00:00.000Z');
+});
+
+test('defaultEndDate includes today only within three hours after the stamp time', () => {
+  assert.equal(defaultEndDate(vault, new Date('2026-03-10T20:00:00Z')), '2026-03-09'); // 4 PM ET
+  assert.equal(defaultEndDate(vault, new Date('2026-03-10T21:00:00Z')), '2026-03-10'); // 5 PM ET
+  assert.equal(defaultEndDate(vault, new Date('2026-03-10T22:30:00Z')), '2026-03-10');
+  assert.equal(defaultEndDate(vault, new Date('2026-03-11T00:00:00Z')), '2026-03-10'); // 8 PM ET
+  assert.equal(defaultEndDate(vault, new Date('2026-03-11T01:30:00Z')), '2026-03-09'); // 9:30 PM ET
+  assert.equal(defaultEndDate(vault, new Date('2026-01-15T22:30:00Z')), '2026-01-15'); // 5:30 PM EST
+});
+
+test('findGaps lists every calendar day without a record', () => {
+  const history = [{ date: '2026-03-01' }, { date: '2026-03-03' }, { date: '2026-03-06' }];
+  assert.deepEqual(findGaps(history, { from: '2026-03-01', to: '2026-03-06' }), ['2026-03-02', '2026-03-04', '2026-03-05']);
+  assert.deepEqual(findGaps(history, { from: '2026-03-06', to: '2026-03-05' }), []);
+});
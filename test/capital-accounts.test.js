@@ -0,0 +1,135 @@
+/**
+ * scripts/lib/capital-accounts.js — the investors in
+ * config/investors.example.json replayed against a hand-made share price
+ * series, so every fee below can be worked out on paper.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const KVFees = require('../js/fees');
+const { loadInvestors, accountAt, investorStatement } = require('../scripts/lib/capital-accounts');
+
+const TERMS = {
+  managementFee: { annualPct: 2, basis: 'nav' },
+  performanceFee: {
+    basePct: 20,
+    kickerPct: 25,
+    kickerThresholdAnnualPct: 20,
+    kickerRetroactive: false,
+    hurdleAnnualPct: 5,
+    hurdleType: 'soft',
+    highWaterMark: true,
+    crystallizationsPerYear: 4,
+  },
+  strategyManager: { name: 'Prime Number', perfPct: 20, rebatePct: 50, rebateToInvestor: false },
+};
+// Performance fee only, at a flat 20%: keeps the multi-quarter replays readable
+const PERF_ONLY = KVFees.withOverrides(TERMS, {
+  managementFee: { annualPct: 0 },
+  performanceFee: { kickerThresholdAnnualPct: 1000 },
+});
+
+const NAV = [
+  { date: '2025-03-03', SharePrice: 1.00 },
+  { date: '2025-06-30', SharePrice: 1.05 },
+  { date: '2025-09-15', SharePrice: 1.10 },
+  { date: '2025-09-30', SharePrice: 1.12 },
+  { date: '2025-12-31', SharePrice: 1.20 },
+  { date: '2026-02-06', SharePrice: 1.00 },
+  { date: '2026-03-31', SharePrice: 1.02 },
+];
+
+const investors = loadInvestors(path.join(__dirname, '..', 'config', 'investors.example.json'));
+const byId = id => investors.find(investor => investor.id === id);
+
+function near(actual, expected, tolerance = 1e-6) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+// Alpha by hand: 250,000 in at 1.00 on 2025-03-03; flat Q1, 1.05 at Q2 end
+const Q2_GAIN = 250_000 * 0.05;
+const Q2_END = 250_000 + Q2_GAIN * 0.8;                    // 260,000 after the fee
+const SEP15_GAIN = Q2_END * (1.10 / 1.05 - 1);
+const SEP15_END = Q2_END + SEP15_GAIN * 0.8;
+const AFTER_SUB = SEP15_END + 100_000;
+const Q3_GAIN = AFTER_SUB * (1.12 / 1.10 - 1);
+const Q3_END = AFTER_SUB + Q3_GAIN * 0.8;
+const Q4_END = Q3_END + Q3_END * (1.20 / 1.12 - 1) * 0.8;
+const FEB6_VALUE = Q4_END / 1.20;                            // price back to 1.00
+
+test('a mid-quarter subscription crystallizes the open period first, then joins the HWM', () => {
+  const alpha = byId('example-alpha');
+  const account = accountAt(alpha, NAV, PERF_ONLY, '2025-09-15');
+  const [, q1, q2, sep15, sub] = account.events;
+
+  assert.equal(q1.perfFee, 0);
+  near(q2.perfFee, Q2_GAIN * 0.2);
+  assert.equal(sep15.type, 'crystallization');
+  assert.equal(sep15.reason, 'subscription');
+  near(sep15.perfFee, SEP15_GAIN * 0.2);
+  assert.equal(sub.type, 'subscription');
+  near(sub.units, 100_000 / 1.10);
+
+  near(account.hwm, AFTER_SUB);
+  near(account.capital, AFTER_SUB);
+  assert.equal(account.feePeriodStart, '2025-09-15');
+
+  // The new money only pays on what it earned from 1.10 to 1.12
+  const q3 = accountAt(alpha, NAV, PERF_ONLY, '2025-09-30').events.at(-1);
+  assert.equal(q3.reason, 'period-end');
+  near(q3.perfFee, Q3_GAIN * 0.2);
+});
+
+test('a redemption below the HWM pays no fee and scales the HWM down pro rata', () => {
+  const alpha = byId('example-alpha');
+  const account = accountAt(alpha, NAV, PERF_ONLY, '2026-02-06');
+  const [crystallized, redemption] = account.events.slice(-2);
+
+  assert.equal(crystallized.reason, 'redemption');
+  assert.equal(crystallized.perfFee, 0);
+  assert.equal(redemption.amount, 120_000);
+  near(account.capital, FEB6_VALUE - 120_000);
+  near(account.hwm, Q4_END * (1 - 120_000 / FEB6_VALUE));
+
+  // Up 2% by the quarter end, past the pro-rated hurdle, but still under the HWM
+  const q1 = accountAt(alpha, NAV, PERF_ONLY, '2026-03-31');
+  assert.equal(q1.events.at(-1).perfFee, 0);
+  near(q1.capital, (FEB6_VALUE - 120_000) * 1.02);
+  assert.ok(q1.capital < q1.hwm);
+
+  assert.throws(() => accountAt({ ...alpha, flows: [alpha.flows[0], { date: '2025-06-30', type: 'redemption', amount: 300_000 }] },
+    NAV, PERF_ONLY, '2025-06-30'), /exceeds capital/);
+});
+
+test('fees on a partial period are pro-rated from the subscription date', () => {
+  const charlie = byId('example-charlie');
+  const units = 75_000 / 1.12; // 2025-11-17 deals at the 2025-09-30 price
+
+  // Mid-period: only the management fee has accrued (28 days), price unchanged
+  const accruing = accountAt(charlie, NAV, TERMS, '2025-12-15');
+  near(accruing.accrued.mgmtFee, 75_000 * 0.02 * 28 / 365);
+  assert.equal(accruing.accrued.perfFee, 0);
+  near(accruing.capital, 75_000 - 75_000 * 0.02 * 28 / 365);
+
+  // Quarter end: 44 days of fees, hurdle and kicker threshold
+  const years = 44 / 365;
+  const mgmtFee = 75_000 * 0.02 * years;
+  const gain = units * 1.20 - mgmtFee - 75_000;
+  const kickerThreshold = 75_000 * 0.20 * years;
+  const perfFee = kickerThreshold * 0.20 + (gain - kickerThreshold) * 0.25;
+  const q4 = accountAt(charlie, NAV, TERMS, '2025-12-31');
+  const crystallized = q4.events.at(-1);
+  near(crystallized.mgmtFee, mgmtFee);
+  near(crystallized.perfFee, perfFee);
+  near(q4.capital, units * 1.20 - mgmtFee - perfFee);
+
+  // The statement balances, and Modified Dietz weights the 75,000 by 44 of 92 days
+  const st = investorStatement(charlie, NAV, TERMS, { label: '2025-Q4', start: '2025-10-01', end: '2025-12-31' });
+  assert.equal(st.beginning, 0);
+  assert.equal(st.subscriptions, 75_000);
+  near(st.mgmtFee, mgmtFee);
+  near(st.perfFee, perfFee);
+  near(st.beginning + st.subscriptions - st.redemptions + st.grossPnl - st.mgmtFee - st.perfFee, st.ending);
+  near(st.netReturn, st.netPnl / (75_000 * 44 / 92), 1e-12);
+});
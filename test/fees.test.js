@@ -0,0 +1,171 @@
+/**
+ * js/fees.js — hurdle, high-water mark, kicker and crystallization cases,
+ * worked out by hand against the fixed terms below (the shape of
+ * config/fee-terms.json, pinned so edits to the live terms don't move them).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const KVFees = require('../js/fees');
+
+const TERMS = {
+  managementFee: { annualPct: 2, basis: 'nav' },
+  performanceFee: {
+    basePct: 20,
+    kickerPct: 25,
+    kickerThresholdAnnualPct: 20,
+    kickerRetroactive: false,
+    hurdleAnnualPct: 5,
+    hurdleType: 'soft',
+    highWaterMark: true,
+    crystallizationsPerYear: 4,
+  },
+  strategyManager: { name: 'Prime Number', perfPct: 20, rebatePct: 50, rebateToInvestor: false },
+};
+const NO_MGMT = KVFees.withOverrides(TERMS, { managementFee: { annualPct: 0 } });
+
+function near(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+// A year from 100 with no management fee
+function year(grossValue, terms = TERMS, hwm = 100) {
+  return KVFees.chargePeriod({ startValue: 100, grossValue, hwm, years: 1, managementBase: 0 }, terms);
+}
+
+test('chargePeriod: no fee at or below the hurdle', () => {
+  const below = year(104);
+  assert.equal(below.hurdleMet, false);
+  assert.equal(below.perfFee, 0);
+  assert.equal(below.endValue, 104);
+  assert.equal(year(105).hurdleMet, false); // the hurdle has to be beaten, not met
+});
+
+test('chargePeriod: soft hurdle charges the whole gain, hard only the excess', () => {
+  const soft = year(110);
+  assert.equal(soft.hurdleMet, true);
+  near(soft.eligible, 10);
+  near(soft.perfFee, 2);
+  near(soft.endValue, 108);
+
+  const hard = year(110, KVFees.withOverrides(TERMS, { performanceFee: { hurdleType: 'hard' } }));
+  near(hard.eligible, 5);
+  near(hard.perfFee, 1);
+  near(hard.endValue, 109);
+});
+
+test('chargePeriod: kicker rate above the threshold, on all of it when retroactive', () => {
+  // Gain 30: 20 at 20% + 10 at 25%
+  const kicker = year(130);
+  near(kicker.kickerEligible, 10);
+  near(kicker.baseFee, 4);
+  near(kicker.kickerFee, 2.5);
+  near(kicker.endValue, 123.5);
+  assert.equal(kicker.hasKicker, true);
+
+  const retro = year(130, KVFees.withOverrides(TERMS, { performanceFee: { kickerRetroactive: true } }));
+  near(retro.baseFee, 0);
+  near(retro.kickerFee, 7.5);
+  near(retro.endValue, 122.5);
+});
+
+test('chargePeriod: only the gain above the high-water mark is charged', () => {
+  const underHwm = year(110, TERMS, 120);
+  assert.equal(underHwm.hurdleMet, true);
+  near(underHwm.aboveHWM, 0);
+  assert.equal(underHwm.perfFee, 0);
+
+  const pastHwm = year(115, TERMS, 112);
+  near(pastHwm.eligible, 3);
+  near(pastHwm.perfFee, 0.6);
+  near(pastHwm.endValue, 114.4);
+
+  const noHwm = year(115, KVFees.withOverrides(TERMS, { performanceFee: { highWaterMark: false } }), 112);
+  near(noHwm.perfFee, 3);
+});
+
+test('chargePeriod: a quarter pro-rates the management fee, hurdle and kicker threshold', () => {
+  const quarter = KVFees.chargePeriod({ startValue: 100, grossValue: 110, years: 0.25 }, TERMS);
+  near(quarter.mgmtFee, 0.5);
+  near(quarter.gain, 9.5);
+  near(quarter.hurdleAmount, 1.25);
+  near(quarter.kickerThreshold, 5);
+  near(quarter.baseFee, 1);       // 5 × 20%
+  near(quarter.kickerFee, 1.125); // 4.5 × 25%
+  near(quarter.endValue, 107.375);
+});
+
+test('netReturn: KV gross or strategy gross, with or without the management fee', () => {
+  near(KVFees.netReturn(0.10, 365, TERMS), 0.08);
+  near(KVFees.netReturn(0.10, 365, TERMS, { managementFee: true }), 0.064);
+  near(KVFees.netReturn(0.04, 365, TERMS), 0.04);
+  // 10% strategy gross → 8% KV gross after the manager's 20%
+  near(KVFees.netReturn(0.10, 365, TERMS, { from: 'strategy' }), 0.064);
+  // Half of the 2% manager fee rebated, passed on net of KV's 20%
+  const rebating = KVFees.withOverrides(TERMS, { strategyManager: { rebateToInvestor: true } });
+  near(KVFees.netReturn(0.10, 365, rebating, { from: 'strategy' }), 0.072);
+  // 30 days: hurdle 5% × 30/365 is cleared, the pro-rated kicker threshold is not
+  near(KVFees.netReturn(0.01, 30, TERMS), 0.008);
+  assert.equal(KVFees.netReturn(NaN, 365, TERMS), null);
+  assert.equal(KVFees.netReturn(0.1, 0, TERMS), null);
+});
+
+test('simulate crystallizes quarterly and waits for the high-water mark after a loss', () => {
+  const sim = KVFees.simulate([0.10, -0.10, 0.10, 0.05], NO_MGMT, { initial: 100 });
+  const [q1, q2, q3, q4] = sim.rows;
+
+  // Q1: gain 10, hurdle 1.25, kicker above 5 → 5 × 20% + 5 × 25%
+  near(q1.perfFee, 2.25);
+  near(q1.endValue, 107.75);
+  near(q1.hwm, 107.75);
+
+  assert.equal(q2.perfFee, 0);
+  near(q2.endValue, 96.975);
+  near(q2.hwm, 107.75);
+
+  // Back above the hurdle but still under the HWM: no fee
+  assert.equal(q3.hurdleMet, true);
+  assert.equal(q3.perfFee, 0);
+  near(q3.endValue, 106.6725);
+
+  // Only the 4.256125 above the HWM is charged, at the base rate
+  near(q4.eligible, 112.006125 - 107.75);
+  near(q4.perfFee, 4.256125 * 0.2);
+  near(q4.hwm, 112.006125 - 4.256125 * 0.2);
+
+  near(sim.totalPerf, 2.25 + 4.256125 * 0.2);
+  near(sim.grossValue, 100 * 1.1 * 0.9 * 1.1 * 1.05);
+  assert.equal(sim.totalMgmt, 0);
+});
+
+test('simulate pays distributions out of net profit and lowers the HWM by them', () => {
+  const sim = KVFees.simulate([0.10], NO_MGMT, { initial: 100, distributionPct: 0.5 });
+  near(sim.rows[0].distAmount, 3.875);
+  near(sim.endValue, 103.875);
+  near(sim.rows[0].hwm, 103.875);
+  near(sim.totalValue, 107.75);
+});
+
+test('annualWaterfall: a year at 25% strategy gross on $1M', () => {
+  const initial = 1_000_000;
+  const fixed = KVFees.annualWaterfall({ initial, strategyGrossApy: 0.25, managementBasis: 'initial', cogs: 10_000 }, TERMS);
+  near(fixed.mgmtFee, 20_000, 1e-6);
+  near(fixed.netCapital, 980_000, 1e-6);
+  near(fixed.managerFee, 49_000, 1e-6);
+  near(fixed.rebate, 24_500, 1e-6);
+  near(fixed.kvGrossProfit, 196_000, 1e-6);
+  assert.equal(fixed.hurdleMet, true);
+  // KV gross is exactly at the kicker threshold: base rate only
+  near(fixed.kickerFee, 0, 1e-6);
+  near(fixed.perfFee, 39_200, 1e-6);
+  near(fixed.netFinalValue, 1_136_800, 1e-6);
+  near(fixed.investorNetApy, 0.1568);
+  near(fixed.kvProfit, 20_000 + 39_200 + 24_500 - 10_000, 1e-6);
+
+  // On NAV, each quarter's fee grows with the 20% KV gross compounded quarterly
+  const nav = KVFees.annualWaterfall({ initial, strategyGrossApy: 0.25 }, TERMS);
+  const g = Math.pow(1.2, 1 / 4);
+  assert.equal(nav.managementBasis, 'nav');
+  near(nav.mgmtFee, 5_000 * (1 + g + g ** 2 + g ** 3), 1e-6);
+  assert.ok(nav.mgmtFee > fixed.mgmtFee);
+});
@@ -0,0 +1,92 @@
+/**
+ * scripts/lib/hedge.js — look-through exposure and hedge bands against
+ * test/fixtures/jlp-info.json: the 2026-02-09 pool in data/jlp-snapshots.json
+ * (AUM, JLP price, traders' longs and shorts) in jlp-info's raw 1e6 units,
+ * with custody weights set by hand.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jlpInfo = require('./fixtures/jlp-info.json');
+const { poolComposition, hedgeSnapshot } = require('../scripts/lib/hedge');
+
+function near(actual, expected, tolerance = 0.01) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+const AUM = 1_167_906_609.614972;
+const CONFIG = {
+  targetHedgeRatio: 1,
+  maxRatioDeviation: 0.1,
+  assets: [
+    { asset: 'SOL', custody: 'SOL', market: 'SOL-PERP', marketIndex: 0 },
+    { asset: 'ETH', custody: 'ETH', market: 'ETH-PERP', marketIndex: 2, targetHedgeRatio: 0.8, maxRatioDeviation: 0.3 },
+    { asset: 'BTC', custody: 'WBTC', market: 'BTC-PERP', marketIndex: 1 },
+  ],
+};
+const NOW = new Date('2026-02-09T19:00:00Z');
+
+test('poolComposition: traders\' longs come off the pool\'s exposure, their shorts add to it', () => {
+  const pool = poolComposition(jlpInfo);
+  near(pool.aumUsd, AUM, 1e-6);
+  assert.equal(pool.jlpPriceUsd, 3.657352);
+  near(pool.custodies.SOL.exposureUsd, 0.475 * AUM - 18_985_732.550466 + 7_872_534.436115, 1e-6);
+  near(pool.custodies.ETH.exposureUsd, 0.082 * AUM - 1_311_300.745445 + 1_659_363.432109, 1e-6);
+  assert.equal(pool.custodies.USDC.exposureUsd, 0.253 * AUM);
+
+  assert.throws(() => poolComposition({ ...jlpInfo, custodies: [{ symbol: 'SOL', guaranteedUsd: '0' }] }),
+    /custody SOL has no weight .* fields: symbol, guaranteedUsd/);
+});
+
+test('hedgeSnapshot: ratios against the vault\'s share of each exposure, with per-asset bands', () => {
+  const perps = {
+    0: { base: -2128, oraclePrice: 84 },  // $178,752 short
+    2: { base: -9, oraclePrice: 2000 },   // $18,000 short
+  };
+  const snap = hedgeSnapshot({ config: CONFIG, pool: poolComposition(jlpInfo), jlpAmount: 100_000, perps, now: NOW });
+  const [sol, eth, btc] = snap.assets;
+
+  assert.equal(snap.date, '2026-02-09');
+  near(snap.vaultJlpUsd, 365_735.2);
+  near(sol.vaultExposureUsd, 170_244.07);
+  assert.equal(sol.shortUsd, 178_752);
+  near(sol.netDeltaUsd, 170_244.07 - 178_752);
+  near(sol.hedgeRatio, 178_752 / 170_244.07, 1e-4);
+  assert.equal(sol.withinBand, true);
+
+  // 0.598 is 0.2 under ETH's own 0.8 target, inside its 0.3 band
+  near(eth.vaultExposureUsd, 30_099.28);
+  near(eth.hedgeRatio, 18_000 / 30_099.28, 1e-4);
+  assert.equal(eth.targetRatio, 0.8);
+  assert.equal(eth.withinBand, true);
+
+  // No BTC perp: nothing hedged
+  near(btc.vaultExposureUsd, 38_725.89);
+  assert.equal(btc.hedgeRatio, 0);
+  assert.equal(btc.oraclePrice, null);
+  assert.equal(btc.withinBand, false);
+
+  assert.deepEqual(snap.breaches, ['BTC']);
+  near(snap.hedgeNotionalRatio, (178_752 + 18_000) / 365_735.2, 1e-4);
+});
+
+test('hedgeSnapshot: no ratio, and out of band, when the pool is net short the asset', () => {
+  // Traders long more ETH than the pool holds
+  const longHeavy = {
+    ...jlpInfo,
+    custodies: jlpInfo.custodies.map(c => c.symbol === 'ETH' ? { ...c, guaranteedUsd: String(120_000_000 * 1e6) } : c),
+  };
+  const pool = poolComposition(longHeavy);
+  assert.ok(pool.custodies.ETH.exposureUsd < 0);
+
+  const snap = hedgeSnapshot({ config: CONFIG, pool, jlpAmount: 100_000, perps: { 2: { base: -9, oraclePrice: 2000 } }, now: NOW });
+  const eth = snap.assets.find(a => a.asset === 'ETH');
+  assert.ok(eth.vaultExposureUsd < 0);
+  assert.equal(eth.hedgeRatio, null);
+  assert.equal(eth.deviation, null);
+  assert.equal(eth.withinBand, false);
+  assert.ok(snap.breaches.includes('ETH'));
+
+  assert.throws(() => hedgeSnapshot({ config: { ...CONFIG, assets: [{ asset: 'JUP', custody: 'JUP' }] }, pool, jlpAmount: 1, perps: {} }),
+    /jlp-info has no JUP custody/);
+});
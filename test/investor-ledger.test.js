@@ -0,0 +1,70 @@
+/**
+ * Checkpointed vault scans (scripts/build-investor-ledger.js) and earnings
+ * applied only for vaults whose scan has caught up (lib/investor-ledger.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scanVault } = require('../scripts/build-investor-ledger');
+const { applyEarnings } = require('../scripts/lib/investor-ledger');
+
+// Five transactions at slots 1..5; the RPC lists them newest first.
+function fakeConnection() {
+  const chain = [1, 2, 3, 4, 5].map(slot => ({ signature: `sig${slot}`, slot, blockTime: 1_700_000_000 + slot, err: null })).reverse();
+  return {
+    reads: [],
+    async getSignaturesForAddress(address, { before, until, limit }) {
+      let list = chain;
+      if (until) list = list.slice(0, list.findIndex(s => s.signature === until));
+      if (before) list = list.slice(list.findIndex(s => s.signature === before) + 1);
+      return list.slice(0, limit);
+    },
+    async getTransaction(signature) {
+      this.reads.push(signature);
+      return { meta: { signature } };
+    },
+  };
+}
+
+const vault = { id: 'kv1', timezone: 'America/New_York' };
+const decode = sig => [{ id: `${sig.signature}:0`, slot: sig.slot, vault: 'kv1' }];
+
+test('scanVault stops at the budget and resumes from the cursor', async () => {
+  const connection = fakeConnection();
+  const ledger = { cursors: {}, entries: [] };
+  const ctx = { connection, ledger, dryRun: true, budget: 3, sinceCheckpoint: 0 };
+
+  const first = await scanVault(ctx, vault, 'vault', decode);
+  assert.deepEqual(first, { added: 3, scanned: 3, remaining: 2, complete: false });
+  assert.deepEqual(connection.reads, ['sig1', 'sig2', 'sig3']);
+  assert.deepEqual(ledger.cursors.kv1, { signature: 'sig3', slot: 3 });
+
+  ctx.budget = 3;
+  const second = await scanVault(ctx, vault, 'vault', decode);
+  assert.deepEqual(second, { added: 2, scanned: 2, remaining: 0, complete: true });
+  assert.deepEqual(ledger.entries.map(e => e.id), ['sig1:0', 'sig2:0', 'sig3:0', 'sig4:0', 'sig5:0']);
+  assert.equal(ctx.budget, 1);
+});
+
+test('applyEarnings leaves vaults whose scan is still running as they were', () => {
+  const flows = {
+    wallets: {
+      W1: { label: 'Main', publicVaultEarnings: 100, privateVaultEarnings: 20 },
+      W2: { label: 'Second', publicVaultEarnings: 50, privateVaultEarnings: 0 },
+    },
+    totalEarnings: { publicVault: 150, privateVault: 20, combined: 170 },
+  };
+  const earnings = {
+    W1: { kv1: { deposits: 1000, withdrawals: 0, value: 1030, earnings: 30 } },
+    W2: { 'drift-public': { deposits: 10, withdrawals: 0, value: 5, earnings: -5 } },
+  };
+  applyEarnings(flows, earnings, { vaultIds: ['kv1'], source: 'test' });
+
+  assert.equal(flows.wallets.W1.privateVaultEarnings, 30);
+  assert.equal(flows.wallets.W1.publicVaultEarnings, 100);
+  assert.equal(flows.wallets.W2.privateVaultEarnings, 0);
+  assert.equal(flows.wallets.W2.publicVaultEarnings, 50);
+  assert.deepEqual(Object.keys(flows.wallets.W2.vaults), []);
+  assert.deepEqual(flows.totalEarnings.byVault, { 'drift-public': 150, kv1: 30 });
+  assert.equal(flows.totalEarnings.combined, 180);
+});
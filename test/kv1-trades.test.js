@@ -0,0 +1,146 @@
+/**
+ * scripts/fetch-drift-vault-trades.js — Drift events decoded into ledger
+ * entries (test/fixtures/kv1-drift-events.json, amounts as the program logs
+ * them), and the head / backfill cursors paging across runs.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fixture = require('./fixtures/kv1-drift-events.json');
+const { decodeTransaction, scanNew, scanBackfill } = require('../scripts/fetch-drift-vault-trades');
+const { tradeRows, tradeSummary } = require('../scripts/lib/trade-ledger');
+
+// Integer strings become BNs (anything with toString), "$name" public keys
+function hydrate(value) {
+  if (typeof value === 'string' && /^-?\d+$/.test(value)) return BigInt(value);
+  if (typeof value === 'string' && value.startsWith('$')) return { toBase58: () => fixture[value.slice(1)] };
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, hydrate(v)]));
+  return value;
+}
+
+const events = fixture.events.map(event => ({ name: event.name, data: hydrate(event.data) }));
+const baseCtx = {
+  user: fixture.user,
+  markets: fixture.markets,
+  vault: { timezone: 'America/New_York' },
+  parser: { parseLogs: logs => logs },
+};
+const sig = { signature: '5'.repeat(88), slot: 400_000_000 };
+
+test('decodeTransaction keeps the account\'s fills, settlements and funding only', () => {
+  const entries = decodeTransaction(baseCtx, sig, events);
+  // Log positions 1 (a place action) and 6 (another account's funding) are skipped
+  assert.deepEqual(entries.map(e => e.id), [0, 2, 3, 4, 5].map(n => `${sig.signature}:${n}`));
+  const [taker, maker, spot, settle, funding] = entries;
+
+  assert.deepEqual(taker, {
+    id: `${sig.signature}:0`,
+    signature: sig.signature,
+    slot: sig.slot,
+    timestamp: '2026-01-01T00:00:00.000Z',
+    date: '2025-12-31',
+    type: 'fill',
+    marketIndex: 0,
+    market: 'SOL-PERP',
+    marketType: 'perp',
+    role: 'taker',
+    direction: 'short',
+    baseAmount: 2,
+    quoteAmount: 300,
+    price: 150,
+    fee: 0.15,
+    fillRecordId: '88123',
+    oraclePrice: 150.1,
+  });
+
+  assert.equal(maker.role, 'maker');
+  assert.equal(maker.market, 'BTC-PERP');
+  assert.equal(maker.direction, 'long');
+  assert.equal(maker.baseAmount, 0.01);
+  assert.equal(maker.price, 95_000);
+  assert.equal(maker.fee, -0.09);
+
+  // Spot base amounts use the market's own precision
+  assert.equal(spot.market, 'SOL');
+  assert.equal(spot.marketType, 'spot');
+  assert.equal(spot.direction, 'short');
+  assert.equal(spot.baseAmount, 1);
+
+  const { timestamp, type, market, pnl, settlePrice, baseAmount, explanation } = settle;
+  assert.deepEqual({ timestamp, type, market, pnl, settlePrice, baseAmount, explanation }, {
+    timestamp: '2026-01-01T00:00:02.000Z',
+    type: 'settlePnl',
+    market: 'SOL-PERP',
+    pnl: -12.5,
+    settlePrice: 149.75,
+    baseAmount: -2,
+    explanation: 'none',
+  });
+  assert.equal(funding.type, 'funding');
+  assert.equal(funding.payment, 0.42);
+  assert.equal(funding.baseAmount, -2);
+
+  const ledger = { vault: null, user: fixture.user, backfill: { complete: true }, entries };
+  assert.equal(tradeRows(ledger).length, 3);
+  const summary = tradeSummary(ledger, { now: new Date('2026-01-01T12:00:00Z') });
+  assert.deepEqual(summary.daily['2025-12-31'], { count: 3, volume: 1400, fees: 0.06, funding: 0.42, settledPnl: -12.5 });
+});
+
+// Signatures sig1..sigN at slots 1..N; the RPC lists them newest first, one
+// fill event in each.
+function fakeConnection(count) {
+  const chain = [];
+  const connection = {
+    reads: [],
+    add(n) {
+      for (let i = 0; i < n; i++) {
+        const slot = chain.length + 1;
+        chain.unshift({ signature: `sig${slot}`, slot, err: null });
+      }
+    },
+    async getSignaturesForAddress(address, { before, until, limit }) {
+      let list = chain;
+      if (until) list = list.slice(0, list.findIndex(s => s.signature === until));
+      if (before) list = list.slice(list.findIndex(s => s.signature === before) + 1);
+      return list.slice(0, limit);
+    },
+    async getTransaction(signature) {
+      connection.reads.push(signature);
+      const slot = Number(signature.slice(3));
+      return { meta: { logMessages: [{ name: 'FundingPaymentRecord', data: { ...events[5].data, ts: BigInt(1_767_225_600 + slot) } }] } };
+    },
+  };
+  connection.add(count);
+  return connection;
+}
+
+test('the backfill resumes from its cursor and new transactions start after the head', async () => {
+  const connection = fakeConnection(5);
+  const ledger = { head: null, backfill: { before: null, slot: null, complete: false }, unreadable: [], entries: [] };
+  const ctx = { ...baseCtx, connection, budget: 3, sinceCheckpoint: 0 };
+
+  await scanNew(ctx, ledger);
+  await scanBackfill(ctx, ledger);
+  assert.deepEqual(connection.reads, ['sig5', 'sig4', 'sig3']);
+  assert.deepEqual(ledger.head, { signature: 'sig5', slot: 5 });
+  assert.deepEqual(ledger.backfill, { before: 'sig3', slot: 3, complete: false });
+
+  connection.add(2);
+  ctx.budget = 10;
+  connection.reads = [];
+  await scanNew(ctx, ledger);
+  await scanBackfill(ctx, ledger);
+  // New ones oldest first, then the rest of the backfill newest first
+  assert.deepEqual(connection.reads, ['sig6', 'sig7', 'sig2', 'sig1']);
+  assert.deepEqual(ledger.head, { signature: 'sig7', slot: 7 });
+  assert.deepEqual(ledger.backfill, { before: 'sig1', slot: 1, complete: true });
+  assert.deepEqual(ledger.entries.map(e => e.slot), [1, 2, 3, 4, 5, 6, 7]);
+  assert.equal(ctx.budget, 6);
+
+  // Nothing new: nothing read, nothing added
+  connection.reads = [];
+  await scanNew(ctx, ledger);
+  await scanBackfill(ctx, ledger);
+  assert.deepEqual(connection.reads, []);
+  assert.equal(ledger.entries.length, 7);
+});
@@ -0,0 +1,163 @@
+/**
+ * js/metrics.js against series whose answers are worked out by hand.
+ *
+ *   npm test   (node --test)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const KVMetrics = require('../js/metrics');
+
+function near(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+test('cagr of flat 10% growth is 10% over one and two years', () => {
+  near(KVMetrics.cagr([{ date: '2025-01-01', value: 1 }, { date: '2026-01-01', value: 1.1 }]), 0.1);
+  near(KVMetrics.cagr([
+    { date: '2025-01-01', value: 1 },
+    { date: '2026-01-01', value: 1.1 },
+    { date: '2027-01-01', value: 1.21 },
+  ]), 0.1);
+  assert.equal(KVMetrics.cagr([{ date: '2025-01-01', value: 1 }]), null);
+});
+
+test('annualize compounds or scales by calendar days', () => {
+  near(KVMetrics.annualize(0.21, 730), 0.1);
+  near(KVMetrics.annualize(0.05, 73, { method: 'simple' }), 0.25);
+  assert.equal(KVMetrics.annualize(0.05, 0), null);
+  assert.throws(() => KVMetrics.annualize(0.05, 30, { method: 'log' }), /Unknown annualization method/);
+});
+
+test('maxDrawdown finds the peak, trough and recovery', () => {
+  const dd = KVMetrics.maxDrawdown([
+    { date: '2025-01-01', value: 1.0 },
+    { date: '2025-01-02', value: 1.2 },
+    { date: '2025-01-03', value: 0.9 },
+    { date: '2025-01-04', value: 1.0 },
+    { date: '2025-01-05', value: 1.2 },
+    { date: '2025-01-06', value: 1.3 },
+  ]);
+  near(dd.maxDrawdown, -0.25);
+  assert.equal(dd.peakDate, '2025-01-02');
+  assert.equal(dd.troughDate, '2025-01-03');
+  assert.equal(dd.recoveryDate, '2025-01-05');
+  assert.equal(dd.durationDays, 3);
+  assert.equal(dd.longestDurationDays, 3);
+});
+
+test('maxDrawdown still under water runs to the last date', () => {
+  const dd = KVMetrics.maxDrawdown([
+    { date: '2025-01-01', value: 1.0 },
+    { date: '2025-01-02', value: 0.95 },
+    { date: '2025-01-03', value: 1.0 },
+    { date: '2025-01-10', value: 0.8 },
+    { date: '2025-01-20', value: 0.9 },
+  ]);
+  near(dd.maxDrawdown, -0.2);
+  assert.equal(dd.peakDate, '2025-01-03');
+  assert.equal(dd.troughDate, '2025-01-10');
+  assert.equal(dd.recoveryDate, null);
+  assert.equal(dd.durationDays, 17);
+  assert.equal(dd.longestDurationDays, 17);
+});
+
+test('windows shorter than minAnnualizeDays are not annualized', () => {
+  const series = [
+    { date: '2025-01-01', value: 1 },
+    { date: '2025-01-08', value: 1.01 },
+    { date: '2025-01-31', value: 1.02 },
+  ];
+  const week = KVMetrics.lookbackReturn(series, 23);
+  assert.equal(week.days, 23);
+  near(week.return, 1.02 / 1.01 - 1);
+  assert.equal(week.annualized, null);
+  assert.equal(week.isShortPeriod, true);
+
+  const month = KVMetrics.lookbackReturn(series, 30);
+  assert.equal(month.days, 30);
+  assert.equal(month.isShortPeriod, false);
+  near(month.annualized, Math.pow(1.02, 365 / 30) - 1);
+
+  const custom = KVMetrics.lookbackReturn(series, 30, { minAnnualizeDays: 60 });
+  assert.equal(custom.annualized, null);
+
+  const incomplete = KVMetrics.lookbackReturn(series, 90);
+  assert.equal(incomplete.isComplete, false);
+  assert.equal(incomplete.daysUntilAvailable, 60);
+});
+
+test('sharpe and sortino of a fixed return series', () => {
+  // mean 0.005, sample stdev sqrt(5e-4 / 3), downside deviation sqrt(1e-4 / 4)
+  const returns = [0.01, -0.01, 0.02, 0];
+  const options = { riskFreeRate: 0, periodsPerYear: 4 };
+  near(KVMetrics.sharpe(returns, options), Math.sqrt(0.6));
+  near(KVMetrics.sortino(returns, options), 2);
+
+  // The default 5% risk-free rate is taken out per period
+  const daily = [0.001, 0.002, -0.001];
+  const target = 0.05 / 365;
+  near(KVMetrics.sharpe(daily), ((0.002 / 3 - target) / KVMetrics.stdev(daily)) * Math.sqrt(365));
+
+  assert.equal(KVMetrics.sharpe([0.01, 0.01, 0.01]), 0);
+  assert.equal(KVMetrics.sortino([0.01, 0.02], options), 0);
+  assert.equal(KVMetrics.sortino([], options), 0);
+});
+
+test('xirr of hand-computed cash flows', () => {
+  near(KVMetrics.xirr([
+    { date: '2025-01-01', amount: -1000 },
+    { date: '2026-01-01', amount: 1100 },
+  ]), 0.1, 1e-8);
+  // 1000 × 1.1² + 1000 × 1.1 = 2310
+  near(KVMetrics.xirr([
+    { date: '2025-01-01', amount: -1000 },
+    { date: '2026-01-01', amount: -1000 },
+    { date: '2027-01-01', amount: 2310 },
+  ]), 0.1, 1e-8);
+  near(KVMetrics.xirr([
+    { date: '2025-01-01', amount: -1000 },
+    { date: '2026-01-01', amount: 500 },
+  ]), -0.5, 1e-8);
+  assert.equal(KVMetrics.xirr([{ date: '2025-01-01', amount: -1000 }, { date: '2026-01-01', amount: 0 }]), null);
+});
+
+test('timeWeightedReturn chain-links sub-periods and skips empty ones', () => {
+  const twr = KVMetrics.timeWeightedReturn([
+    { date: '2025-01-01', value: 0, flow: 1000 },
+    { date: '2025-07-01', value: 1100, flow: 1000 },
+    { date: '2026-01-01', value: 2310, flow: 0 },
+  ]);
+  near(twr.return, 0.21);
+  assert.deepEqual(twr.periods.map(p => p.end), ['2025-07-01', '2026-01-01']);
+
+  const reentered = KVMetrics.timeWeightedReturn([
+    { date: '2025-01-01', value: 0, flow: 1000 },
+    { date: '2025-02-01', value: 1100, flow: -1100 },
+    { date: '2025-03-01', value: 0, flow: 500 },
+    { date: '2025-04-01', value: 550, flow: 0 },
+  ]);
+  near(reentered.return, 0.21);
+  assert.equal(reentered.periods.length, 2);
+});
+
+test('flowReturns gives twr and mwr, null annualized under minAnnualizeDays', () => {
+  const prices = [
+    { date: '2025-01-01', value: 1 },
+    { date: '2026-01-01', value: 1.1 },
+  ];
+  const year = KVMetrics.flowReturns({ flows: [{ date: '2025-01-01', amount: 1000 }], prices });
+  near(year.endValue, 1100);
+  near(year.gain, 100);
+  near(year.twr, 0.1);
+  near(year.twrAnnualized, 0.1);
+  near(year.mwr, 0.1, 1e-8);
+
+  const short = KVMetrics.flowReturns({
+    flows: [{ date: '2025-12-20', amount: 1000, price: 1.05 }],
+    prices,
+  });
+  assert.equal(short.days, 12);
+  assert.equal(short.twrAnnualized, null);
+  assert.equal(short.mwr, null);
+});
@@ -0,0 +1,28 @@
+/**
+ * scripts/lib/pipeline.js job ordering.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { orderJobs } = require('../scripts/lib/pipeline');
+
+const ids = jobs => jobs.map(job => job.id);
+
+test('orderJobs moves dependsOn and after ahead, keeping list order otherwise', () => {
+  const jobs = [
+    { id: 'validate', after: ['derived', 'stamp', 'backfill'] },
+    { id: 'derived', dependsOn: ['stamp'] },
+    { id: 'backfill', after: ['stamp'] },
+    { id: 'fees' },
+    { id: 'stamp' },
+  ];
+  assert.deepEqual(ids(orderJobs(jobs)), ['stamp', 'derived', 'backfill', 'validate', 'fees']);
+});
+
+test('orderJobs rejects unknown ids and cycles', () => {
+  assert.throws(() => orderJobs([{ id: 'a', after: ['missing'] }]), /unknown job "missing"/);
+  assert.throws(() => orderJobs([
+    { id: 'a', dependsOn: ['b'] },
+    { id: 'b', after: ['a'] },
+  ]), /Dependency cycle: a -> b -> a/);
+});
@@ -0,0 +1,33 @@
+/**
+ * scripts/lib/publish.js conflict merges: records are unioned by a key
+ * unique on both sides, never collapsed by a shared date.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeJsonHistories } = require('../scripts/lib/publish');
+
+test('mergeJsonHistories keeps every record on the same date, keyed by id', () => {
+  const trade = (id, amount) => ({ id, date: '2026-01-01', amount });
+  const theirs = [trade('a', 1), trade('b', 2), trade('d', 4)];
+  const ours = [trade('a', 1), trade('b', 20), trade('c', 3)];
+  assert.deepEqual(mergeJsonHistories(theirs, ours), [trade('a', 1), trade('b', 20), trade('d', 4), trade('c', 3)]);
+});
+
+test('mergeJsonHistories unions daily series by date, ours winning a date both have', () => {
+  const theirs = { history: [{ date: '2026-01-01', nav: 1 }, { date: '2026-01-03', nav: 3 }], lastUpdated: 'theirs' };
+  const ours = { history: [{ date: '2026-01-01', nav: 1.5 }, { date: '2026-01-02', nav: 2 }], lastUpdated: 'ours' };
+  assert.deepEqual(mergeJsonHistories(theirs, ours), {
+    history: [{ date: '2026-01-01', nav: 1.5 }, { date: '2026-01-02', nav: 2 }, { date: '2026-01-03', nav: 3 }],
+    lastUpdated: 'ours',
+  });
+});
+
+test('mergeJsonHistories refuses records no key tells apart', () => {
+  const theirs = { rows: [{ date: '2026-01-01', amount: 1 }, { date: '2026-01-01', amount: 2 }] };
+  const ours = { rows: [{ date: '2026-01-01', amount: 1 }, { date: '2026-01-01', amount: 3 }] };
+  assert.throws(() => mergeJsonHistories(theirs, ours), /^Error: \$\.rows: no key/);
+  // Identical sides need no key
+  assert.deepEqual(mergeJsonHistories(theirs, structuredClone(theirs)), theirs);
+  assert.deepEqual(mergeJsonHistories([1, 2], [2, 3]), [2, 3]);
+});
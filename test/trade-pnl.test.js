@@ -0,0 +1,99 @@
+/**
+ * scripts/lib/trade-pnl.js — average-cost replay of one market through an
+ * open, an add, a partial close and a flip through zero, worked by hand.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { replayMarket, analyzeTrades } = require('../scripts/lib/trade-pnl');
+
+function near(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+const T0 = Date.parse('2026-03-02T12:00:00Z');
+const at = hours => new Date(T0 + hours * 3_600_000).toISOString();
+
+// Ledger fills: [hours after T0, direction, base, price, fee]
+const FILLS = [
+  [0, 'long', 1, 100, 0.05],    // open 1 @ 100
+  [2, 'long', 1, 110, 0.05],    // add: 2 @ 105, entered on average at +1h
+  [5, 'short', 0.5, 120, 0.03], // partial close: +0.5 × 15 = 7.5, held 4h
+  [9, 'short', 2.5, 90, 0.11],  // flip: 1.5 × -15 = -22.5, held 8h, then 1 short @ 90
+].map(([hours, direction, baseAmount, price, fee], i) => ({
+  id: `sig${i}:0`,
+  type: 'fill',
+  timestamp: at(hours),
+  date: at(hours).slice(0, 10),
+  market: 'SOL-PERP',
+  marketType: 'perp',
+  direction,
+  baseAmount,
+  quoteAmount: baseAmount * price,
+  fee,
+}));
+
+test('replayMarket: open, add, partial close and flip through zero', () => {
+  const fills = FILLS.map(f => ({ ...f, size: f.direction === 'long' ? f.baseAmount : -f.baseAmount, price: f.quoteAmount / f.baseAmount }));
+  const { events, position, avgEntry } = replayMarket(fills);
+  const [open, add, partial, flip] = events;
+
+  assert.equal(open.realizedPnl, 0);
+  assert.equal(open.position, 1);
+  assert.equal(open.avgEntry, 100);
+
+  assert.equal(add.realizedPnl, 0);
+  assert.equal(add.position, 2);
+  near(add.avgEntry, 105);
+
+  near(partial.realizedPnl, 7.5);
+  assert.equal(partial.position, 1.5);
+  near(partial.avgEntry, 105); // closing leaves the entry price alone
+  near(partial.closedNotional, 52.5);
+  assert.equal(partial.heldMs, 4 * 3_600_000);
+
+  near(flip.realizedPnl, -22.5);
+  near(flip.closedNotional, 157.5);
+  assert.equal(flip.heldMs, 8 * 3_600_000);
+  assert.equal(flip.position, -1);
+  assert.equal(flip.avgEntry, 90); // the remainder opens at the fill price
+
+  assert.equal(position, -1);
+  assert.equal(avgEntry, 90);
+
+  // Closing exactly to zero clears the entry
+  const flat = replayMarket(fills.slice(0, 2).concat({ ...fills[2], size: -2 }));
+  assert.equal(flat.position, 0);
+  assert.equal(flat.avgEntry, null);
+});
+
+test('analyzeTrades attributes realized P&L, fees and funding per market and day', () => {
+  const funding = { id: 'sig9:0', type: 'funding', timestamp: at(10), date: at(10).slice(0, 10), market: 'SOL-PERP', payment: 0.4 };
+  const pnl = analyzeTrades({ backfill: { complete: true }, entries: [...FILLS, funding] });
+
+  assert.equal(pnl.asOf, '2026-03-02');
+  assert.equal(pnl.complete, true);
+  const [sol] = pnl.markets;
+  assert.deepEqual(sol, {
+    market: 'SOL-PERP',
+    position: -1,
+    avgEntryPrice: 90,
+    lastPrice: 90,
+    unrealizedPnl: 0,
+    avgHoldHours: 7, // (52.5 × 4h + 157.5 × 8h) / 210
+    closedNotional: 210,
+    fills: 4,
+    volume: 495,
+    realizedPnl: -15,
+    fees: 0.24,
+    funding: 0.4,
+    netPnl: -14.84,
+  });
+
+  const all = pnl.windows.find(w => w.label === 'ALL');
+  assert.deepEqual(all.total, { fills: 4, volume: 495, realizedPnl: -15, fees: 0.24, funding: 0.4, netPnl: -14.84 });
+  assert.deepEqual(pnl.daily.map(d => [d.date, d.cumulativeNetPnl, d.positions['SOL-PERP']]), [['2026-03-02', -14.84, -1]]);
+
+  // An unfinished backfill is flagged: positions may predate the ledger
+  assert.equal(analyzeTrades({ backfill: { complete: false }, entries: FILLS }).complete, false);
+});